@@ -0,0 +1,67 @@
+const siteConfig = require('./site-config');
+
+const authConfig = {
+  // Emailed account tokens; only a hash of each token is stored on the user
+  tokens: {
+    // How long a forgot-password link stays valid
+    passwordResetMinutes: parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 60,
+
+    // How long an email verification link stays valid
+    emailVerificationHours: parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 24,
+
+    // How long an emailed account unlock link stays valid
+    accountUnlockMinutes: parseInt(process.env.ACCOUNT_UNLOCK_TTL_MINUTES) || 60
+  },
+
+  // Failed login tracking, per account (email) and per client IP
+  loginProtection: {
+    // Failures older than this are forgotten
+    windowMinutes: parseInt(process.env.LOGIN_FAILURE_WINDOW_MINUTES) || 15,
+
+    // How long a lockout lasts once `maxFailures` is reached
+    lockoutMinutes: parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15,
+
+    account: {
+      maxFailures: parseInt(process.env.LOGIN_MAX_ACCOUNT_FAILURES) || 5,
+      // Failures allowed before delays start
+      freeAttempts: 2
+    },
+
+    // Higher limits than per account: many users can share one address
+    ip: {
+      maxFailures: parseInt(process.env.LOGIN_MAX_IP_FAILURES) || 20,
+      freeAttempts: 5
+    },
+
+    // Wait enforced between attempts, doubling with each further failure
+    delay: {
+      baseSeconds: 1,
+      maxSeconds: 30
+    }
+  },
+
+  // Two-factor authentication (TOTP authenticator apps plus backup codes)
+  twoFactor: {
+    // Name shown next to the account in authenticator apps
+    issuer: process.env.TOTP_ISSUER || siteConfig.name,
+
+    // Time steps either side of now a code is accepted for, to allow for clock drift
+    window: 1,
+
+    // One-time backup codes issued on enrollment and regeneration
+    backupCodeCount: 10,
+
+    // Wrong codes allowed on one pending login before the password must be entered again
+    maxLoginAttempts: 5
+  },
+
+  // Frontend pages that receive emailed tokens as ?token=...
+  pages: {
+    resetPassword: '/reset-password',
+    forgotPassword: '/forgot-password',
+    verifyEmail: '/verify-email',
+    unlockAccount: '/unlock-account'
+  }
+};
+
+module.exports = authConfig;
@@ -0,0 +1,38 @@
+const commentConfig = {
+  // Moderation policy for new comments:
+  //   'auto-approve' - publish every comment immediately
+  //   'first-time'   - hold comments until the commenter has one approved comment
+  //   'manual'       - hold every comment for review
+  moderationPolicy: process.env.COMMENT_MODERATION_POLICY || 'auto-approve',
+
+  // Roles whose comments skip the moderation queue
+  trustedRoles: ['admin', 'editor'],
+
+  // Longest comment accepted, in characters
+  maxLength: 1000,
+
+  // How long after posting an author may still edit a comment
+  editWindowMinutes: parseInt(process.env.COMMENT_EDIT_WINDOW_MINUTES) || 15,
+
+  // Maximum nesting depth for replies (top-level comments are depth 0)
+  maxReplyDepth: parseInt(process.env.COMMENT_MAX_REPLY_DEPTH) || 5,
+
+  // Fixed set of emoji reactions readers can leave on a comment
+  reactions: {
+    love: '❤️',
+    laugh: '😂',
+    wow: '😮',
+    sad: '😢',
+    angry: '😡',
+    clap: '👏'
+  },
+
+  // Moderation actions and the status each one sets
+  moderationActions: {
+    approve: 'approved',
+    reject: 'rejected',
+    spam: 'spam'
+  }
+};
+
+module.exports = commentConfig;
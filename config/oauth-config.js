@@ -0,0 +1,36 @@
+const oauthConfig = {
+  // Public origin of this API; providers redirect to <callbackBaseUrl>/api/auth/oauth/<provider>/callback
+  callbackBaseUrl: (process.env.OAUTH_CALLBACK_BASE_URL || `http://localhost:${process.env.PORT || 5000}`)
+    .replace(/\/+$/, ''),
+
+  // Frontend pages users are sent to after a provider sign-in
+  redirects: {
+    success: process.env.OAUTH_SUCCESS_REDIRECT || '/',
+    twoFactor: process.env.OAUTH_TWO_FACTOR_REDIRECT || '/login/2fa',
+    error: process.env.OAUTH_ERROR_REDIRECT || '/login'
+  },
+
+  // Role given to accounts created by signing in with a provider
+  defaultRole: 'reader',
+
+  // How long a user has to finish the provider's consent screen
+  stateTtlMinutes: 10,
+
+  // A provider is offered once its client ID and secret are set
+  providers: {
+    google: {
+      clientId: process.env.GOOGLE_CLIENT_ID || '',
+      clientSecret: process.env.GOOGLE_CLIENT_SECRET || ''
+    },
+    github: {
+      clientId: process.env.GITHUB_CLIENT_ID || '',
+      clientSecret: process.env.GITHUB_CLIENT_SECRET || ''
+    },
+    // Local provider for development and tests; never offered in production
+    mock: {
+      enabled: process.env.OAUTH_MOCK_ENABLED === 'true' && process.env.NODE_ENV !== 'production'
+    }
+  }
+};
+
+module.exports = oauthConfig;
@@ -0,0 +1,59 @@
+const siteConfig = {
+  // Public site identity used in feeds and other syndication output
+  name: process.env.SITE_NAME || 'Trending Blog',
+  description: process.env.SITE_DESCRIPTION || 'Latest trending articles',
+  language: process.env.SITE_LANGUAGE || 'en',
+
+  // Locales articles can be written in; articles without a locale are in `language`
+  locales: (process.env.SITE_LOCALES || 'en,fr')
+    .split(',')
+    .map(locale => locale.trim().toLowerCase())
+    .filter(Boolean),
+
+  // Public frontend origin that article links point to
+  url: (process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/+$/, ''),
+
+  feeds: {
+    // Number of most recent articles in each feed
+    itemLimit: parseInt(process.env.FEED_ITEM_LIMIT) || 20,
+
+    // Include full article content by default; clients can override with ?full=true|false
+    fullContent: process.env.FEED_FULL_CONTENT === 'true',
+
+    // Cache-Control max-age for feed responses, in seconds
+    maxAge: parseInt(process.env.FEED_CACHE_MAX_AGE) || 300
+  },
+
+  sitemaps: {
+    // Protocol limit of URLs per sitemap file before splitting
+    maxUrlsPerFile: 50000,
+
+    // Articles published within this window go into the Google News sitemap
+    newsWindowHours: 48,
+
+    // Google News accepts at most 1000 URLs per news sitemap
+    maxNewsUrls: 1000,
+
+    // Batch bursts of article changes into one regeneration
+    regenerateDelayMs: parseInt(process.env.SITEMAP_REGENERATE_DELAY_MS) || 5000,
+
+    // Each instance rebuilds at least this often, so it picks up changes handled
+    // by other instances and drops news items that left the news window
+    maxAgeMinutes: parseInt(process.env.SITEMAP_MAX_AGE_MINUTES) || 15
+  },
+
+  seo: {
+    // Recommended maximum lengths before search engines truncate
+    titleMaxLength: 60,
+    descriptionMaxLength: 160,
+
+    // Twitter @handle of the site for twitter:site
+    twitterSite: process.env.TWITTER_SITE || null,
+
+    // Publisher logo for structured data and fallback share image
+    logoUrl: process.env.SITE_LOGO_URL || null,
+    defaultImage: process.env.SITE_DEFAULT_IMAGE || null
+  }
+};
+
+module.exports = siteConfig;
@@ -190,9 +190,18 @@ class AnalyticsController {
               totalShares: { $sum: '$shares' }
             }
           },
+          {
+            $lookup: {
+              from: 'categories',
+              localField: '_id',
+              foreignField: 'slug',
+              as: 'categoryDoc'
+            }
+          },
           {
             $project: {
               category: '$_id',
+              categoryName: { $ifNull: [{ $arrayElemAt: ['$categoryDoc.name', 0] }, '$_id'] },
               views: '$totalViews',
               articles: '$articleCount',
               likes: '$totalLikes',
@@ -642,6 +651,7 @@ class AnalyticsController {
         },
         categoryStats: categoryStats.map(cat => ({
           category: cat.category,
+          categoryName: cat.categoryName,
           views: cat.views,
           articles: cat.articles
         })),
@@ -1387,7 +1397,8 @@ class AnalyticsController {
         commentsByHour,
         commentsByDayOfWeek,
         avgCommentsPerArticle,
-        commentEngagement
+        commentEngagement,
+        commentsByStatus
       ] = await Promise.all([
         // Total comments in period
         Article.aggregate([
@@ -1602,7 +1613,30 @@ class AnalyticsController {
               commentConversionRate: { $divide: ['$articlesWithComments', '$totalArticles'] }
             }
           }
-        ]).then(result => result[0] || { commentsPerView: 0, commentConversionRate: 0 })
+        ]).then(result => result[0] || { commentsPerView: 0, commentConversionRate: 0 }),
+
+        // Comments by moderation status (comments predating moderation count as approved)
+        Article.aggregate([
+          { $unwind: '$comments' },
+          {
+            $match: {
+              'comments.createdAt': { $gte: fromDate, $lte: toDate },
+              'comments.isDeleted': { $ne: true }
+            }
+          },
+          {
+            $group: {
+              _id: { $ifNull: ['$comments.status', 'approved'] },
+              count: { $sum: 1 }
+            }
+          }
+        ]).then(result => {
+          const counts = { pending: 0, approved: 0, rejected: 0, spam: 0 };
+          result.forEach(item => {
+            counts[item._id] = item.count;
+          });
+          return counts;
+        })
       ]);
 
       // Fill in missing dates with zero comments
@@ -1642,6 +1676,12 @@ class AnalyticsController {
           commentsPerView: commentEngagement.commentsPerView || 0,
           commentConversionRate: commentEngagement.commentConversionRate || 0
         },
+        moderation: {
+          pendingComments: commentsByStatus.pending,
+          approvedComments: commentsByStatus.approved,
+          rejectedComments: commentsByStatus.rejected,
+          spamComments: commentsByStatus.spam
+        },
         period: {
           from: fromDate.toISOString(),
           to: toDate.toISOString(),
@@ -1,8 +1,180 @@
 const Article = require('../models/Article');
+const { CONTRIBUTOR_ROLES, CREDITS_POPULATE } = require('../models/Article');
 const Newsletter = require('../models/Newsletter');
+const ArticleRevision = require('../models/ArticleRevision');
+const Bookmark = require('../models/Bookmark');
+const Series = require('../models/Series');
+const Category = require('../models/Category');
+const Tag = require('../models/Tag');
 const { getTrendingArticles, calculateTrendingScore } = require('../utils/trendingAlgorithm');
+const { extractSearchTerms, highlight, buildSnippet } = require('../utils/searchHighlighter');
+const { trackEvent } = require('../middleware/tracking');
+const { SHARE_NETWORKS, buildArticleUrl, buildShareUrl, buildShareIntentUrl } = require('../utils/shareLinks');
+const { requestSitemapRegeneration } = require('../utils/sitemapGenerator');
+const { buildArticleSeo } = require('../utils/seoMetadata');
+const siteConfig = require('../config/site-config');
+const { CONTENT_FORMATS, renderContent } = require('../utils/contentRenderer');
+const { analyzeContent } = require('../utils/contentAnalyzer');
 const slugify = require('slugify');
 const mongoose = require('mongoose');
+const commentConfig = require('../config/comment-config');
+
+// Map a submitted category (slug or display name) onto a managed category slug
+const resolveCategorySlug = async (value) => {
+  const category = await Category.resolve(value);
+  return category ? category.slug : null;
+};
+
+// Editors and admins publish directly; authors publish by submitting for review
+const canPublishDirectly = (user) => ['admin', 'editor'].includes(user.role);
+
+// Accounts that registered but never confirmed their email cannot publish
+const hasVerifiedEmail = (user) => user.emailVerified !== false;
+const UNVERIFIED_EMAIL_ERROR = 'Verify your email address before publishing';
+
+// Statuses only the editorial review endpoints may set
+const REVIEW_STATUSES = ['in_review', 'rejected'];
+
+// Articles readers can see now or on a set date
+const LIVE_STATUSES = ['published', 'scheduled'];
+
+// Article update that puts a revision snapshot's copy back, rendered and analyzed
+const buildRestoreData = (article, snapshot) => {
+  const restoreData = { contentUpdatedAt: new Date() };
+  ArticleRevision.REVISION_FIELDS.forEach(field => {
+    if (snapshot[field] !== undefined && snapshot[field] !== null) {
+      restoreData[field] = snapshot[field];
+    }
+  });
+  Object.assign(restoreData, article.getSlugChange(restoreData.slug));
+  Object.assign(restoreData, renderContent(
+    restoreData.content !== undefined ? restoreData.content : article.content,
+    restoreData.contentFormat || article.contentFormat
+  ));
+  Object.assign(restoreData, analyzeContent(restoreData.html));
+  return restoreData;
+};
+
+// Editors, admins and everyone credited on an article may see its revisions
+const canManageRevisions = (article, user) => canPublishDirectly(user) || article.isCredited(user._id);
+
+// Copy an editor is reviewing or has approved; authors can't change it in place
+const LOCKED_COPY_STATUSES = ['in_review', 'published', 'scheduled'];
+const COPY_FIELDS = ['title', 'content', 'contentFormat', 'excerpt', 'slug', 'featuredImage', 'metaTitle', 'metaDescription'];
+
+// Validate contributor credits; returns { error } or { contributors } ready to store
+const validateContributors = async (contributors, authorId) => {
+  if (!Array.isArray(contributors)) {
+    return { error: 'Contributors must be an array' };
+  }
+
+  const seen = new Set();
+  for (const contributor of contributors) {
+    if (!contributor || !mongoose.Types.ObjectId.isValid(contributor.user)) {
+      return { error: 'Each contributor needs a valid user ID' };
+    }
+    if (!CONTRIBUTOR_ROLES.includes(contributor.role)) {
+      return { error: `Contributor role must be one of: ${CONTRIBUTOR_ROLES.join(', ')}` };
+    }
+    if (contributor.role === 'author' && contributor.user.toString() === authorId.toString()) {
+      return { error: 'The primary author cannot also be credited as a co-author' };
+    }
+
+    const key = `${contributor.user}:${contributor.role}`;
+    if (seen.has(key)) {
+      return { error: 'Duplicate contributor credit' };
+    }
+    seen.add(key);
+  }
+
+  const userIds = [...new Set(contributors.map(contributor => contributor.user.toString()))];
+  const activeUsers = await require('../models/User').countDocuments({
+    _id: { $in: userIds },
+    isActive: true
+  });
+  if (activeUsers !== userIds.length) {
+    return { error: 'Invalid or inactive contributor' };
+  }
+
+  return {
+    contributors: contributors.map(({ user, role }) => ({ user, role }))
+  };
+};
+
+// Languages accepted for ?lang= filters and article locales
+const isSupportedLocale = (locale) => siteConfig.locales.includes(locale);
+
+const unsupportedLocaleError = () => `Language must be one of: ${siteConfig.locales.join(', ')}`;
+
+// Work out the translation group an article joins as the `locale` version of
+// `translationOf`; returns { error } or { translationGroup }
+const resolveTranslationGroup = async (translationOf, locale, articleId = null) => {
+  if (!mongoose.Types.ObjectId.isValid(translationOf)) {
+    return { error: 'Invalid original article' };
+  }
+
+  const source = await Article.findById(translationOf).select('locale translationGroup');
+  if (!source || (articleId && source._id.equals(articleId))) {
+    return { error: 'Original article not found' };
+  }
+
+  const translationGroup = source.translationGroup || source._id;
+  const taken = await Article.exists({
+    _id: { $ne: articleId },
+    $or: [{ _id: source._id }, { translationGroup }],
+    locale: Article.localeFilter(locale)
+  });
+  if (taken) {
+    return { error: `This article already has a "${locale}" version` };
+  }
+
+  // The first translation turns the original into the head of a new group
+  if (!source.translationGroup) {
+    await Article.updateOne(
+      { _id: source._id },
+      { translationGroup, locale: source.locale || siteConfig.language }
+    );
+  }
+
+  return { translationGroup };
+};
+
+// Keep User.articlesWritten in step with the published articles writers are credited on
+const refreshWriterCounts = (...articles) => {
+  Article.refreshArticlesWritten(articles.filter(Boolean)).catch(error => {
+    console.error('Articles written count error:', error);
+  });
+};
+
+// Serialize an article for readers, hiding unmoderated and deleted comments
+// and attaching previous/next navigation when it is part of a series
+const toPublicArticle = async (article) => {
+  const data = article.toJSON();
+
+  // Articles saved before content rendering existed have no cached HTML yet
+  if (!data.html) {
+    const { html, toc } = renderContent(data.content, data.contentFormat);
+    data.html = html;
+    data.toc = toc;
+  }
+
+  // Content statistics are an editorial aid shown in the draft view only
+  delete data.contentStats;
+
+  data.comments = article.getPublicComments();
+  data.series = await Series.getNavigationForArticle(article._id);
+
+  // Published versions of the article in other languages
+  const translations = await Article.getTranslations(article);
+  data.alternates = translations.map(translation => ({
+    locale: translation.locale,
+    title: translation.title,
+    slug: translation.slug,
+    url: buildArticleUrl(translation)
+  }));
+
+  return data;
+};
 
 class ArticleController {
   // Get all published articles with pagination and filtering
@@ -13,6 +185,7 @@ class ArticleController {
       const category = req.query.category;
       const tag = req.query.tag;
       const search = req.query.search;
+      const lang = req.query.lang;
       const sortBy = req.query.sortBy || 'publishedAt';
       const sortOrder = req.query.sortOrder === 'asc' ? 1 : -1;
 
@@ -21,19 +194,22 @@ class ArticleController {
       // Build query
       const query = { status: 'published' };
       
-      if (category) query.category = category;
-      if (tag) query.tags = { $in: [tag] };
-      if (search) {
-        query.$or = [
-          { title: { $regex: search, $options: 'i' } },
-          { content: { $regex: search, $options: 'i' } },
-          { excerpt: { $regex: search, $options: 'i' } }
-        ];
+      if (category) query.category = Category.toSlug(category);
+      if (tag) query.tags = await Tag.buildArticleFilter(tag); // Includes synonyms
+      if (search) query.$text = { $search: search };
+      if (lang !== undefined) {
+        if (!isSupportedLocale(lang)) {
+          return res.status(400).json({
+            success: false,
+            error: unsupportedLocaleError()
+          });
+        }
+        query.locale = Article.localeFilter(lang);
       }
 
       // Get articles
       const articles = await Article.find(query)
-        .populate('author', 'username avatar bio')
+        .populate(CREDITS_POPULATE)
         .sort({ [sortBy]: sortOrder })
         .skip(skip)
         .limit(limit)
@@ -65,6 +241,156 @@ class ArticleController {
     }
   }
 
+  // Full-text search over published articles with relevance, snippets and facets
+  async searchArticles(req, res) {
+    try {
+      const q = (req.query.q || '').trim();
+      const page = parseInt(req.query.page) || 1;
+      const limit = Math.min(parseInt(req.query.limit) || 10, 50);
+      const { category, tag, author, lang } = req.query;
+      const skip = (page - 1) * limit;
+
+      if (!q) {
+        return res.status(400).json({
+          success: false,
+          error: 'Search query is required'
+        });
+      }
+
+      const query = {
+        $text: { $search: q },
+        status: 'published'
+      };
+
+      if (category) query.category = Category.toSlug(category);
+      if (tag) query.tags = await Tag.buildArticleFilter(tag); // Includes synonyms
+      if (author && mongoose.Types.ObjectId.isValid(author)) {
+        query.author = new mongoose.Types.ObjectId(author);
+      }
+      if (lang !== undefined) {
+        if (!isSupportedLocale(lang)) {
+          return res.status(400).json({
+            success: false,
+            error: unsupportedLocaleError()
+          });
+        }
+        query.locale = Article.localeFilter(lang);
+      }
+
+      const [articles, facetResults] = await Promise.all([
+        Article.find(query, { score: { $meta: 'textScore' } })
+          .populate(CREDITS_POPULATE)
+          .select('title slug excerpt content category tags author featuredImage publishedAt readTime views')
+          .sort({ score: { $meta: 'textScore' }, publishedAt: -1 })
+          .skip(skip)
+          .limit(limit)
+          .lean(),
+
+        Article.aggregate([
+          { $match: query },
+          {
+            $facet: {
+              total: [{ $count: 'count' }],
+              categories: [
+                { $group: { _id: '$category', count: { $sum: 1 } } },
+                { $sort: { count: -1 } },
+                { $project: { _id: 0, category: '$_id', count: 1 } }
+              ],
+              tags: [
+                { $unwind: '$tags' },
+                { $group: { _id: '$tags', count: { $sum: 1 } } },
+                { $sort: { count: -1 } },
+                { $limit: 20 },
+                { $project: { _id: 0, tag: '$_id', count: 1 } }
+              ],
+              authors: [
+                { $group: { _id: '$author', count: { $sum: 1 } } },
+                { $sort: { count: -1 } },
+                { $limit: 20 },
+                {
+                  $lookup: {
+                    from: 'users',
+                    localField: '_id',
+                    foreignField: '_id',
+                    as: 'user'
+                  }
+                },
+                { $unwind: { path: '$user', preserveNullAndEmptyArrays: true } },
+                { $project: { _id: 0, author: '$_id', username: '$user.username', count: 1 } }
+              ],
+              languages: [
+                { $group: { _id: { $ifNull: ['$locale', siteConfig.language] }, count: { $sum: 1 } } },
+                { $sort: { count: -1 } },
+                { $project: { _id: 0, lang: '$_id', count: 1 } }
+              ]
+            }
+          }
+        ])
+      ]);
+
+      const facets = facetResults[0] || {};
+      const total = facets.total?.[0]?.count || 0;
+      const totalPages = Math.ceil(total / limit);
+      const terms = extractSearchTerms(q);
+
+      const results = articles.map(({ content, score, ...article }) => ({
+        ...article,
+        score,
+        highlights: {
+          title: highlight(article.title, terms),
+          excerpt: buildSnippet(article.excerpt, terms),
+          content: buildSnippet(content, terms)
+        }
+      }));
+
+      // Record the search for analytics
+      await trackEvent({
+        sessionId: req.session?.sessionId || 'anonymous',
+        userId: req.session?.userId || undefined,
+        eventType: 'search',
+        eventData: {
+          query: q,
+          filters: { category, tag, author, lang },
+          resultCount: total,
+          page
+        },
+        metadata: {
+          ipAddress: req.ip,
+          userAgent: req.headers['user-agent'],
+          referrer: req.headers.referer,
+          pageUrl: req.originalUrl
+        }
+      });
+
+      res.json({
+        success: true,
+        data: {
+          query: q,
+          results,
+          facets: {
+            categories: facets.categories || [],
+            tags: facets.tags || [],
+            authors: facets.authors || [],
+            languages: facets.languages || []
+          },
+          pagination: {
+            current: page,
+            total: totalPages,
+            totalItems: total,
+            hasNext: page < totalPages,
+            hasPrev: page > 1
+          }
+        }
+      });
+    } catch (error) {
+      console.error('Search articles error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to search articles'
+      });
+    }
+  }
+
   // Add to articleController.js
 
 // Get all articles with advanced filtering (Admin only)
@@ -85,7 +411,7 @@ async getAllArticles(req, res) {
     const query = {};
     
     if (status) query.status = status;
-    if (category) query.category = category;
+    if (category) query.category = Category.toSlug(category);
     if (author) query.author = author;
     if (search) {
       query.$or = [
@@ -96,7 +422,7 @@ async getAllArticles(req, res) {
     }
 
     const articles = await Article.find(query)
-      .populate('author', 'username avatar bio')
+      .populate(CREDITS_POPULATE)
       .sort({ [sortBy]: sortOrder })
       .skip(skip)
       .limit(limit)
@@ -190,7 +516,7 @@ async updateArticleStatus(req, res) {
     const { id } = req.params;
     const { status } = req.body;
 
-    if (!['draft', 'published', 'scheduled', 'archived'].includes(status)) {
+    if (!Article.ARTICLE_STATUSES.includes(status)) {
       return res.status(400).json({
         success: false,
         error: 'Invalid status'
@@ -211,7 +537,7 @@ async updateArticleStatus(req, res) {
       id,
       updateData,
       { new: true }
-    ).populate('author', 'username avatar bio');
+    ).populate(CREDITS_POPULATE);
 
     if (!article) {
       return res.status(404).json({
@@ -220,6 +546,9 @@ async updateArticleStatus(req, res) {
       });
     }
 
+    requestSitemapRegeneration();
+    refreshWriterCounts(article);
+
     res.json({
       success: true,
       data: article,
@@ -246,6 +575,11 @@ async bulkArticleOperations(req, res) {
       });
     }
 
+    // Credits are read up front so deleted articles can still be recounted
+    const affectedArticles = await Article.find({ _id: { $in: articleIds } })
+      .select('author contributors')
+      .lean();
+
     let result;
     switch (operation) {
       case 'publish':
@@ -267,9 +601,24 @@ async bulkArticleOperations(req, res) {
       
       case 'delete':
         result = await Article.deleteMany({ _id: { $in: articleIds } });
+        await Series.updateMany(
+          { articles: { $in: articleIds } },
+          { $pull: { articles: { $in: articleIds } } }
+        );
         break;
       
       case 'update':
+        if (data && data.category !== undefined) {
+          const categorySlug = await resolveCategorySlug(data.category);
+          if (!categorySlug) {
+            return res.status(400).json({
+              success: false,
+              error: 'Invalid category'
+            });
+          }
+          data.category = categorySlug;
+        }
+
         result = await Article.updateMany(
           { _id: { $in: articleIds } },
           data
@@ -277,6 +626,9 @@ async bulkArticleOperations(req, res) {
         break;
     }
 
+    requestSitemapRegeneration();
+    refreshWriterCounts(...affectedArticles);
+
     res.json({
       success: true,
       data: result,
@@ -325,7 +677,7 @@ async bulkArticleOperations(req, res) {
     console.log('🔍 Backend: MongoDB query:', JSON.stringify(query));
 
     let article = await Article.findOne(query)
-      .populate('author', 'username avatar bio')
+      .populate(CREDITS_POPULATE)
       .populate({
         path: 'comments.user',
         select: 'username avatar',
@@ -337,7 +689,7 @@ async bulkArticleOperations(req, res) {
       console.log('✅ Backend: Article title:', article.title);
       return res.json({
         success: true,
-        data: article
+        data: await toPublicArticle(article)
       });
     }
 
@@ -358,7 +710,7 @@ async bulkArticleOperations(req, res) {
         console.log('✅ Backend: Article found with trimmed slug!');
         return res.json({
           success: true,
-          data: article
+          data: await toPublicArticle(article)
         });
       }
     }
@@ -374,7 +726,32 @@ async bulkArticleOperations(req, res) {
       console.log('✅ Backend: Article found with case-insensitive match!');
       return res.json({
         success: true,
-        data: article
+        data: await toPublicArticle(article)
+      });
+    }
+
+    // The slug may be one the article was published under before
+    const renamedArticle = await Article.findOne({
+      previousSlugs: slug,
+      status: 'published'
+    })
+      .populate(CREDITS_POPULATE)
+      .populate({
+        path: 'comments.user',
+        select: 'username avatar',
+        options: { strictPopulate: false }
+      });
+
+    if (renamedArticle) {
+      console.log('↪️ Backend: Old slug, redirecting to:', renamedArticle.slug);
+      return res.json({
+        success: true,
+        data: await toPublicArticle(renamedArticle),
+        redirect: {
+          slug: renamedArticle.slug,
+          url: buildArticleUrl(renamedArticle),
+          statusCode: 301
+        }
       });
     }
 
@@ -433,6 +810,7 @@ async getArticleById(req, res) {
       // We use lean() for faster read performance since we don't need Mongoose documents methods
       const article = await Article.findById(id)
           .populate('author', 'username firstName lastName avatar bio') // Assuming you want author details
+          .populate('contributors.user', 'username avatar bio')
           .select('-__v') // Exclude the Mongoose version key
           .lean();
 
@@ -442,11 +820,14 @@ async getArticleById(req, res) {
           return res.status(404).json({ message: 'Article not found.' });
       }
 
-      // 5. Send the found article back to the client
+      // 5. Hide unmoderated and deleted comments from readers
+      article.comments = Article.filterPublicComments(article.comments);
+
+      // 6. Send the found article back to the client
       res.status(200).json(article);
 
   } catch (error) {
-      // 6. Handle server/database errors
+      // 7. Handle server/database errors
       console.error('Error fetching article by ID:', error);
       res.status(500).json({ message: 'Server error while retrieving article.', error: error.message });
   }
@@ -455,29 +836,49 @@ async getArticleById(req, res) {
   // Get articles by category
   async getArticlesByCategory(req, res) {
     try {
-      const { category } = req.params;
       const page = parseInt(req.query.page) || 1;
       const limit = parseInt(req.query.limit) || 10;
       const skip = (page - 1) * limit;
 
-      const articles = await Article.find({
-        category,
+      const category = await Category.resolve(req.params.category);
+
+      if (!category) {
+        return res.status(404).json({
+          success: false,
+          error: 'Category not found'
+        });
+      }
+
+      // Include articles filed under subcategories
+      const query = {
+        category: { $in: await Category.getSubtreeSlugs(category._id) },
         status: 'published'
-      })
-        .populate('author', 'username avatar bio')
+      };
+
+      const articles = await Article.find(query)
+        .populate(CREDITS_POPULATE)
         .sort({ publishedAt: -1 })
         .skip(skip)
         .limit(limit)
         .exec();
 
-      const total = await Article.countDocuments({ 
-        category, 
-        status: 'published' 
-      });
+      const total = await Article.countDocuments(query);
 
       res.json({
         success: true,
         data: {
+          category: {
+            _id: category._id,
+            slug: category.slug,
+            name: category.name,
+            description: category.description,
+            parent: category.parent,
+            seo: {
+              title: category.metaTitle || category.name,
+              description: category.metaDescription || category.description || '',
+              image: category.ogImage || null
+            }
+          },
           articles,
           pagination: {
             current: page,
@@ -611,20 +1012,174 @@ async getArticleById(req, res) {
     }
   }
 
+  // Record a share and return a UTM-tagged share URL
+  async shareArticle(req, res) {
+    try {
+      const { id } = req.params;
+      const network = (req.body.network || '').toLowerCase();
+
+      if (!SHARE_NETWORKS[network]) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid network',
+          allowedNetworks: Object.keys(SHARE_NETWORKS)
+        });
+      }
+
+      if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid article ID'
+        });
+      }
+
+      const article = await Article.findOneAndUpdate(
+        { _id: id, status: 'published' },
+        { $inc: { shares: 1, [`socialShares.${network}`]: 1 } },
+        { new: true }
+      );
+
+      if (!article) {
+        return res.status(404).json({
+          success: false,
+          error: 'Article not found'
+        });
+      }
+
+      await Article.updateOne(
+        { _id: article._id },
+        { $set: { trendingScore: calculateTrendingScore(article) } }
+      );
+
+      const shareUrl = buildShareUrl(article, network);
+
+      await trackEvent({
+        sessionId: req.session?.sessionId || 'anonymous',
+        userId: req.user?._id,
+        articleId: article._id,
+        eventType: 'share',
+        eventData: { network, shareUrl },
+        metadata: {
+          ipAddress: req.ip,
+          userAgent: req.headers['user-agent'],
+          referrer: req.headers.referer,
+          pageUrl: req.originalUrl
+        },
+        updateArticleCounters: false
+      });
+
+      res.json({
+        success: true,
+        data: {
+          network,
+          shareUrl,
+          shareIntentUrl: buildShareIntentUrl(network, shareUrl, article.title),
+          shares: article.shares,
+          socialShares: article.socialShares
+        }
+      });
+    } catch (error) {
+      console.error('Share article error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to record share'
+      });
+    }
+  }
+
+  // Shares and return visits per network (Admin/Author)
+  async getShareStats(req, res) {
+    try {
+      const { id } = req.params;
+
+      if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid article ID'
+        });
+      }
+
+      const article = await Article.findById(id)
+        .select('title slug author shares socialShares shareReferrals');
+
+      if (!article) {
+        return res.status(404).json({
+          success: false,
+          error: 'Article not found'
+        });
+      }
+
+      // Check if user is author or admin
+      if (article.author.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+        return res.status(403).json({
+          success: false,
+          error: 'Not authorized to view share statistics of this article'
+        });
+      }
+
+      const networks = Object.keys(SHARE_NETWORKS).map(network => {
+        const shares = article.socialShares?.[network] || 0;
+        const referrals = article.shareReferrals?.[network] || 0;
+        return {
+          network,
+          shares,
+          referrals,
+          referralsPerShare: shares > 0 ? referrals / shares : 0
+        };
+      }).sort((a, b) => b.referrals - a.referrals);
+
+      res.json({
+        success: true,
+        data: {
+          article: {
+            _id: article._id,
+            title: article.title,
+            slug: article.slug
+          },
+          totalShares: article.shares,
+          totalReferrals: networks.reduce((sum, item) => sum + item.referrals, 0),
+          networks
+        }
+      });
+    } catch (error) {
+      console.error('Get share stats error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch share statistics'
+      });
+    }
+  }
+
   // Add comment
   async addComment(req, res) {
     try {
       const { id } = req.params;
-      const { content } = req.body;
+      const { content, parentComment } = req.body;
       const userId = req.user._id;
 
-      // Check if user is subscribed to newsletter
-      const subscriber = await Newsletter.findOne({
+      if (typeof content !== 'string' || !content.trim()) {
+        return res.status(400).json({
+          success: false,
+          error: 'Comment content is required'
+        });
+      }
+
+      if (content.length > commentConfig.maxLength) {
+        return res.status(400).json({
+          success: false,
+          error: `Comments can be at most ${commentConfig.maxLength} characters`
+        });
+      }
+
+      // Readers who signed in with Google/GitHub have a provider-verified email;
+      // everyone else must be subscribed to the newsletter
+      const hasLinkedProvider = Boolean(req.user.oauthAccounts?.length);
+      const subscriber = !hasLinkedProvider && await Newsletter.findOne({
         email: req.user.email,
         isActive: true
       });
 
-      if (!subscriber) {
+      if (!hasLinkedProvider && !subscriber) {
         return res.status(403).json({
           success: false,
           error: 'You must be subscribed to our newsletter to comment on articles'
@@ -640,10 +1195,43 @@ async getArticleById(req, res) {
         });
       }
 
+      // Replies must point at an existing, visible comment on the same article
+      if (parentComment) {
+        const parent = mongoose.Types.ObjectId.isValid(parentComment)
+          ? article.comments.id(parentComment)
+          : null;
+
+        if (!parent || !parent.isVisible()) {
+          return res.status(400).json({
+            success: false,
+            error: 'Parent comment not found'
+          });
+        }
+
+        let depth = 1;
+        let ancestor = parent;
+        while (ancestor.parentComment) {
+          ancestor = article.comments.id(ancestor.parentComment);
+          if (!ancestor) break;
+          depth++;
+        }
+
+        if (depth > commentConfig.maxReplyDepth) {
+          return res.status(400).json({
+            success: false,
+            error: 'Maximum reply depth reached'
+          });
+        }
+      }
+
+      const status = await Article.resolveCommentStatus(req.user);
+
       const newComment = {
         user: userId,
         content,
-        likes: 0
+        likes: 0,
+        parentComment: parentComment || null,
+        status
       };
 
       article.comments.push(newComment);
@@ -661,7 +1249,10 @@ async getArticleById(req, res) {
 
       res.status(201).json({
         success: true,
-        data: addedComment
+        data: addedComment,
+        message: status === 'pending'
+          ? 'Comment submitted and awaiting moderation'
+          : 'Comment added'
       });
     } catch (error) {
       console.error('Add comment error:', error);
@@ -678,6 +1269,7 @@ async getArticleById(req, res) {
       const {
         title,
         content,
+        contentFormat,
         excerpt,
         category,
         tags,
@@ -686,6 +1278,9 @@ async getArticleById(req, res) {
         status,
         scheduledFor,
         featuredImage,
+        contributors,
+        locale,
+        translationOf,
         author: authorId
       } = req.body;
 
@@ -696,9 +1291,8 @@ async getArticleById(req, res) {
         remove: /[*+~.()'"!:@]/g
       });
 
-      // Check if slug already exists
-      const existingArticle = await Article.findOne({ slug });
-      if (existingArticle) {
+      // Check if slug already exists, including slugs other articles used before
+      if (await Article.isSlugTaken(slug)) {
         return res.status(400).json({
           success: false,
           error: 'An article with similar title already exists'
@@ -733,37 +1327,131 @@ async getArticleById(req, res) {
         articleAuthor = authorId;
       }
 
-      const articleData = {
-        title,
-        content,
-        excerpt: excerpt || content.substring(0, 150) + '...',
-        slug,
-        category,
-        tags: tags || [],
-        author: articleAuthor,
-        metaTitle: metaTitle || title,
-        metaDescription: metaDescription || excerpt || content.substring(0, 150),
-        status: status || 'published'
-      };
-
-      // Handle scheduled publishing
-      if (status === 'scheduled' && scheduledFor) {
-        articleData.scheduledFor = new Date(scheduledFor);
-      } else if (status === 'published') {
-        articleData.publishedAt = new Date();
+      // Category must exist in the managed taxonomy
+      const categorySlug = await resolveCategorySlug(category);
+      if (!categorySlug) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid category'
+        });
       }
 
-      // Handle featured image URL (no file upload for create)
-      if (featuredImage && featuredImage !== "/placeholder.svg" && featuredImage.trim() !== "") {
-        // Use the provided featured image URL directly
-        articleData.featuredImage = featuredImage;
+      if (contentFormat !== undefined && !CONTENT_FORMATS.includes(contentFormat)) {
+        return res.status(400).json({
+          success: false,
+          error: `Content format must be one of: ${CONTENT_FORMATS.join(', ')}`
+        });
+      }
+
+      if (REVIEW_STATUSES.includes(status)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Create the article as a draft, then submit it for review'
+        });
+      }
+
+      if (['published', 'scheduled'].includes(status) && !canPublishDirectly(req.user)) {
+        return res.status(403).json({
+          success: false,
+          error: 'Authors must submit articles for review before publishing'
+        });
+      }
+
+      if (['published', 'scheduled'].includes(status) && !hasVerifiedEmail(req.user)) {
+        return res.status(403).json({
+          success: false,
+          error: UNVERIFIED_EMAIL_ERROR
+        });
+      }
+
+      // The scheduled publisher only picks up articles with a publish date
+      if (status === 'scheduled' && (!scheduledFor || isNaN(new Date(scheduledFor).getTime()))) {
+        return res.status(400).json({
+          success: false,
+          error: 'A valid scheduledFor date is required to schedule an article'
+        });
+      }
+
+      // Language, and the article this one translates when it is a translation
+      const articleLocale = locale || siteConfig.language;
+      if (!isSupportedLocale(articleLocale)) {
+        return res.status(400).json({
+          success: false,
+          error: unsupportedLocaleError()
+        });
+      }
+
+      let translationGroup;
+      if (translationOf) {
+        const result = await resolveTranslationGroup(translationOf, articleLocale);
+        if (result.error) {
+          return res.status(400).json({
+            success: false,
+            error: result.error
+          });
+        }
+        translationGroup = result.translationGroup;
+      }
+
+      let credits = [];
+      if (contributors !== undefined) {
+        const result = await validateContributors(contributors, articleAuthor);
+        if (result.error) {
+          return res.status(400).json({
+            success: false,
+            error: result.error
+          });
+        }
+        credits = result.contributors;
+      }
+
+      const articleData = {
+        title,
+        content,
+        contentFormat: contentFormat || 'html',
+        excerpt: excerpt || content.substring(0, 150) + '...',
+        slug,
+        category: categorySlug,
+        tags: await Tag.canonicalize(tags || []),
+        author: articleAuthor,
+        contributors: credits,
+        locale: articleLocale,
+        translationGroup,
+        metaTitle: metaTitle || title,
+        metaDescription: metaDescription || excerpt || content.substring(0, 150),
+        status: status || (canPublishDirectly(req.user) && hasVerifiedEmail(req.user) ? 'published' : 'draft')
+      };
+
+      // Handle scheduled publishing
+      if (status === 'scheduled' && scheduledFor) {
+        articleData.scheduledFor = new Date(scheduledFor);
+      } else if (status === 'published') {
+        articleData.publishedAt = new Date();
+      }
+
+      // Handle featured image URL (no file upload for create)
+      if (featuredImage && featuredImage !== "/placeholder.svg" && featuredImage.trim() !== "") {
+        // Use the provided featured image URL directly
+        articleData.featuredImage = featuredImage;
       }
 
       const article = new Article(articleData);
       await article.save();
 
-      // Populate author data
-      await article.populate('author', 'username avatar bio');
+      // Record the initial revision
+      try {
+        await ArticleRevision.recordRevision(article, req.user._id);
+      } catch (revisionError) {
+        console.error('Revision recording error:', revisionError);
+      }
+
+      if (article.status === 'published') {
+        requestSitemapRegeneration();
+        refreshWriterCounts(article);
+      }
+
+      // Populate author and contributor data
+      await article.populate(CREDITS_POPULATE);
 
       res.status(201).json({
         success: true,
@@ -793,33 +1481,196 @@ async getArticleById(req, res) {
         });
       }
 
-      // Check if user is author or admin
-      if (article.author.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+      // Authors and admins may edit; contributors may edit drafts they are credited on
+      const isOwner = article.author.toString() === req.user._id.toString() || req.user.role === 'admin';
+      const isDraftContributor = article.status === 'draft' && article.isCredited(req.user._id);
+
+      if (!isOwner && !isDraftContributor) {
         return res.status(403).json({
           success: false,
           error: 'Not authorized to update this article'
         });
       }
 
-      // Handle slug update
+      // Byline, credits and status stay with the primary author
+      if (!isOwner && ['author', 'contributors', 'status'].some(field => updateData[field] !== undefined)) {
+        return res.status(403).json({
+          success: false,
+          error: 'Only the primary author can change credits or status'
+        });
+      }
+
+      // Translation links: translationOf joins another article's group, null leaves the group
+      const { translationOf } = updateData;
+      delete updateData.translationOf;
+      delete updateData.translationGroup;
+
+      if (updateData.locale !== undefined && !isSupportedLocale(updateData.locale)) {
+        return res.status(400).json({
+          success: false,
+          error: unsupportedLocaleError()
+        });
+      }
+
+      if (translationOf === null) {
+        updateData.$unset = { translationGroup: 1 };
+      } else if (translationOf !== undefined) {
+        const result = await resolveTranslationGroup(
+          translationOf,
+          updateData.locale || article.locale || siteConfig.language,
+          article._id
+        );
+        if (result.error) {
+          return res.status(400).json({
+            success: false,
+            error: result.error
+          });
+        }
+        updateData.translationGroup = result.translationGroup;
+      } else if (updateData.locale !== undefined && article.translationGroup) {
+        const taken = await Article.exists({
+          _id: { $ne: article._id },
+          translationGroup: article.translationGroup,
+          locale: Article.localeFilter(updateData.locale)
+        });
+        if (taken) {
+          return res.status(400).json({
+            success: false,
+            error: `This article already has a "${updateData.locale}" version`
+          });
+        }
+      }
+
+      if (updateData.contributors !== undefined) {
+        const result = await validateContributors(updateData.contributors, updateData.author || article.author);
+        if (result.error) {
+          return res.status(400).json({
+            success: false,
+            error: result.error
+          });
+        }
+        updateData.contributors = result.contributors;
+      }
+
+      // Slug history and review state are maintained server-side, never taken from the request
+      delete updateData.previousSlugs;
+      delete updateData.review;
+      delete updateData.reviewHistory;
+
+      if (updateData.status !== undefined && updateData.status !== article.status) {
+        if (REVIEW_STATUSES.includes(updateData.status)) {
+          return res.status(400).json({
+            success: false,
+            error: 'Use the review endpoints to submit or review an article'
+          });
+        }
+
+        if (['published', 'scheduled'].includes(updateData.status) && !canPublishDirectly(req.user)) {
+          return res.status(403).json({
+            success: false,
+            error: 'Authors must submit articles for review before publishing'
+          });
+        }
+
+        if (['published', 'scheduled'].includes(updateData.status) && !hasVerifiedEmail(req.user)) {
+          return res.status(403).json({
+            success: false,
+            error: UNVERIFIED_EMAIL_ERROR
+          });
+        }
+
+        if (updateData.status === 'scheduled' && isNaN(new Date(updateData.scheduledFor || article.scheduledFor || NaN).getTime())) {
+          return res.status(400).json({
+            success: false,
+            error: 'A valid scheduledFor date is required to schedule an article'
+          });
+        }
+      }
+
+      // Authors edit submitted or published copy by moving it back to draft and
+      // resubmitting, so editors never approve or publish unreviewed changes
+      const resultingStatus = updateData.status !== undefined ? updateData.status : article.status;
+      const changesCopy = Boolean(req.file) || COPY_FIELDS.some(field =>
+        updateData[field] !== undefined && String(updateData[field]) !== String(article[field] ?? ''));
+      if (!canPublishDirectly(req.user) && changesCopy &&
+          LOCKED_COPY_STATUSES.includes(article.status) && LOCKED_COPY_STATUSES.includes(resultingStatus)) {
+        return res.status(403).json({
+          success: false,
+          error: article.status === 'in_review'
+            ? 'This article is awaiting review. Move it back to draft to make changes'
+            : 'Move this article back to draft and resubmit it for review to change its content'
+        });
+      }
+
+      // Handle slug update; an explicit slug is normalized like a title-derived one
       if (updateData.title && updateData.title !== article.title) {
         updateData.slug = slugify(updateData.title, { 
           lower: true,
           strict: true,
           remove: /[*+~.()'"!:@]/g
         });
+      } else if (updateData.slug !== undefined) {
+        updateData.slug = typeof updateData.slug === 'string'
+          ? slugify(updateData.slug, { lower: true, strict: true })
+          : '';
+        if (!updateData.slug) {
+          return res.status(400).json({
+            success: false,
+            error: 'Slug must contain at least one letter or number'
+          });
+        }
+      }
 
-        // Check if new slug exists
-        const existingArticle = await Article.findOne({ 
-          slug: updateData.slug,
-          _id: { $ne: id }
-        });
-        if (existingArticle) {
+      if (updateData.slug && updateData.slug !== article.slug) {
+        // Check if new slug exists, including slugs other articles used before
+        if (await Article.isSlugTaken(updateData.slug, id)) {
           return res.status(400).json({
             success: false,
             error: 'An article with similar title already exists'
           });
         }
+
+        // Keep the old slug so existing links redirect
+        Object.assign(updateData, article.getSlugChange(updateData.slug));
+      }
+
+      // Category must exist in the managed taxonomy
+      if (updateData.category !== undefined) {
+        const categorySlug = await resolveCategorySlug(updateData.category);
+        if (!categorySlug) {
+          return res.status(400).json({
+            success: false,
+            error: 'Invalid category'
+          });
+        }
+        updateData.category = categorySlug;
+      }
+
+      // Rendered and analyzed fields are derived from the source, never taken from the request
+      delete updateData.html;
+      delete updateData.toc;
+      delete updateData.readTime;
+      delete updateData.contentStats;
+
+      if (updateData.content !== undefined || updateData.contentFormat !== undefined) {
+        if (updateData.contentFormat !== undefined && !CONTENT_FORMATS.includes(updateData.contentFormat)) {
+          return res.status(400).json({
+            success: false,
+            error: `Content format must be one of: ${CONTENT_FORMATS.join(', ')}`
+          });
+        }
+
+        // findByIdAndUpdate skips save hooks, so sanitize, render and analyze here
+        Object.assign(updateData, renderContent(
+          updateData.content !== undefined ? updateData.content : article.content,
+          updateData.contentFormat || article.contentFormat
+        ));
+        Object.assign(updateData, analyzeContent(updateData.html));
+      }
+
+      // Fold tag spellings and synonyms into registered tag names
+      if (Array.isArray(updateData.tags)) {
+        updateData.tags = await Tag.canonicalize(updateData.tags);
       }
 
       // Handle featured image upload or URL
@@ -839,11 +1690,29 @@ async getArticleById(req, res) {
         updateData.publishedAt = new Date();
       }
 
+      // findByIdAndUpdate skips save hooks, so track reader-facing changes here
+      if (req.file || Article.CONTENT_FIELDS.some(field =>
+        updateData[field] !== undefined && String(updateData[field]) !== String(article[field] ?? ''))) {
+        updateData.contentUpdatedAt = new Date();
+      }
+
       const updatedArticle = await Article.findByIdAndUpdate(
         id,
         updateData,
         { new: true, runValidators: true }
-      ).populate('author', 'username avatar bio');
+      ).populate(CREDITS_POPULATE);
+
+      // Keep an immutable revision of the change
+      try {
+        await ArticleRevision.recordRevision(updatedArticle, req.user._id, { previous: article });
+      } catch (revisionError) {
+        console.error('Revision recording error:', revisionError);
+      }
+
+      if (article.status === 'published' || updatedArticle.status === 'published') {
+        requestSitemapRegeneration();
+        refreshWriterCounts(article, updatedArticle);
+      }
 
       res.json({
         success: true,
@@ -891,6 +1760,17 @@ async getArticleById(req, res) {
 
       await Article.findByIdAndDelete(id);
 
+      // Remove the article from every reading list
+      await Bookmark.deleteMany({ article: id });
+
+      // Drop it from any series it was part of
+      await Series.updateMany({ articles: id }, { $pull: { articles: id } });
+
+      if (article.status === 'published') {
+        requestSitemapRegeneration();
+        refreshWriterCounts(article);
+      }
+
       res.json({
         success: true,
         message: 'Article deleted successfully'
@@ -913,13 +1793,13 @@ async getArticleById(req, res) {
 
       let query = { status: 'draft' };
       
-      // Authors can only see their own drafts
+      // Authors can only see drafts they wrote or are credited on
       if (req.user.role !== 'admin') {
-        query.author = req.user._id;
+        query = { ...query, ...Article.creditedTo(req.user._id) };
       }
 
       const articles = await Article.find(query)
-        .populate('author', 'username avatar bio')
+        .populate(CREDITS_POPULATE)
         .sort({ updatedAt: -1 })
         .skip(skip)
         .limit(limit)
@@ -927,10 +1807,20 @@ async getArticleById(req, res) {
 
       const total = await Article.countDocuments(query);
 
+      // Drafts saved before content analysis existed get their statistics computed on the fly
+      const drafts = articles.map(article => {
+        const data = article.toJSON();
+        if (!data.contentStats || !data.contentStats.analyzedAt) {
+          const html = data.html || renderContent(data.content, data.contentFormat).html;
+          Object.assign(data, analyzeContent(html));
+        }
+        return data;
+      });
+
       res.json({
         success: true,
         data: {
-          articles,
+          articles: drafts,
           pagination: {
             current: page,
             total: Math.ceil(total / limit),
@@ -969,18 +1859,62 @@ async getArticleById(req, res) {
         });
       }
 
+      if (!canPublishDirectly(req.user)) {
+        return res.status(403).json({
+          success: false,
+          error: 'Authors must submit articles for review before publishing'
+        });
+      }
+
+      // Schedule for later when a future publish date is supplied
+      const { publishAt } = req.body || {};
+      let updateData = {
+        $set: { status: 'published', publishedAt: new Date() },
+        $unset: { scheduledFor: 1 }
+      };
+
+      if (publishAt) {
+        const publishDate = new Date(publishAt);
+
+        if (isNaN(publishDate.getTime())) {
+          return res.status(400).json({
+            success: false,
+            error: 'Invalid publish date'
+          });
+        }
+
+        if (publishDate > new Date()) {
+          updateData = {
+            $set: { status: 'scheduled', scheduledFor: publishDate }
+          };
+        }
+      }
+
       const updatedArticle = await Article.findByIdAndUpdate(
         id,
-        {
-          status: 'published',
-          publishedAt: new Date()
-        },
+        updateData,
         { new: true }
-      ).populate('author', 'username avatar bio');
+      ).populate(CREDITS_POPULATE);
+
+      if (updatedArticle.status === 'published') {
+        updatedArticle.trendingScore = calculateTrendingScore(updatedArticle);
+        await Article.updateOne(
+          { _id: updatedArticle._id },
+          { trendingScore: updatedArticle.trendingScore }
+        );
+      }
+
+      if (updatedArticle.status === 'published' || article.status === 'published') {
+        requestSitemapRegeneration();
+        refreshWriterCounts(updatedArticle);
+      }
 
       res.json({
         success: true,
-        data: updatedArticle
+        data: updatedArticle,
+        message: updatedArticle.status === 'scheduled'
+          ? `Article scheduled for ${updatedArticle.scheduledFor.toISOString()}`
+          : 'Article published'
       });
     } catch (error) {
       console.error('Publish article error:', error);
@@ -991,6 +1925,477 @@ async getArticleById(req, res) {
     }
   }
 
+  // Get upcoming scheduled articles (Admin/Author)
+  async getScheduledArticles(req, res) {
+    try {
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 10;
+      const skip = (page - 1) * limit;
+
+      const query = { status: 'scheduled' };
+
+      // Authors can only see their own scheduled articles
+      if (req.user.role !== 'admin') {
+        query.author = req.user._id;
+      }
+
+      const articles = await Article.find(query)
+        .populate(CREDITS_POPULATE)
+        .sort({ scheduledFor: 1 })
+        .skip(skip)
+        .limit(limit)
+        .exec();
+
+      const total = await Article.countDocuments(query);
+
+      res.json({
+        success: true,
+        data: {
+          articles,
+          pagination: {
+            current: page,
+            total: Math.ceil(total / limit),
+            totalItems: total
+          }
+        }
+      });
+    } catch (error) {
+      console.error('Get scheduled articles error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch scheduled articles'
+      });
+    }
+  }
+
+  // Cancel a scheduled publication, returning the article to draft (Admin/Author)
+  async cancelScheduledArticle(req, res) {
+    try {
+      const { id } = req.params;
+
+      const article = await Article.findById(id);
+
+      if (!article) {
+        return res.status(404).json({
+          success: false,
+          error: 'Article not found'
+        });
+      }
+
+      // Check if user is author or admin
+      if (article.author.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+        return res.status(403).json({
+          success: false,
+          error: 'Not authorized to modify this article'
+        });
+      }
+
+      // Only cancel if the publisher has not already claimed it
+      const updatedArticle = await Article.findOneAndUpdate(
+        { _id: id, status: 'scheduled' },
+        {
+          $set: { status: 'draft' },
+          $unset: { scheduledFor: 1 }
+        },
+        { new: true }
+      ).populate(CREDITS_POPULATE);
+
+      if (!updatedArticle) {
+        return res.status(400).json({
+          success: false,
+          error: 'Article is not scheduled'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: updatedArticle,
+        message: 'Scheduled publication cancelled'
+      });
+    } catch (error) {
+      console.error('Cancel scheduled article error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to cancel scheduled article'
+      });
+    }
+  }
+
+  // List revisions of an article (Admin/Author)
+  async getArticleRevisions(req, res) {
+    try {
+      const { id } = req.params;
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 20;
+      const skip = (page - 1) * limit;
+
+      const article = await Article.findById(id).select('author contributors');
+
+      if (!article) {
+        return res.status(404).json({
+          success: false,
+          error: 'Article not found'
+        });
+      }
+
+      if (!canManageRevisions(article, req.user)) {
+        return res.status(403).json({
+          success: false,
+          error: 'Not authorized to view revisions of this article'
+        });
+      }
+
+      const revisions = await ArticleRevision.find({ article: id })
+        .populate('editor', 'username avatar')
+        .select('-snapshot.content')
+        .sort({ revisionNumber: -1 })
+        .skip(skip)
+        .limit(limit)
+        .exec();
+
+      const total = await ArticleRevision.countDocuments({ article: id });
+
+      res.json({
+        success: true,
+        data: {
+          revisions,
+          pagination: {
+            current: page,
+            total: Math.ceil(total / limit),
+            totalItems: total
+          }
+        }
+      });
+    } catch (error) {
+      console.error('Get article revisions error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch revisions'
+      });
+    }
+  }
+
+  // Get a single revision with its full snapshot (Admin/Author)
+  async getArticleRevision(req, res) {
+    try {
+      const { id, revision } = req.params;
+
+      const article = await Article.findById(id).select('author contributors');
+
+      if (!article) {
+        return res.status(404).json({
+          success: false,
+          error: 'Article not found'
+        });
+      }
+
+      if (!canManageRevisions(article, req.user)) {
+        return res.status(403).json({
+          success: false,
+          error: 'Not authorized to view revisions of this article'
+        });
+      }
+
+      const articleRevision = await ArticleRevision.findOne({
+        article: id,
+        revisionNumber: parseInt(revision)
+      }).populate('editor', 'username avatar');
+
+      if (!articleRevision) {
+        return res.status(404).json({
+          success: false,
+          error: 'Revision not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: articleRevision
+      });
+    } catch (error) {
+      console.error('Get article revision error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch revision'
+      });
+    }
+  }
+
+  // Field-level diff between two revisions (Admin/Author)
+  async diffArticleRevisions(req, res) {
+    try {
+      const { id } = req.params;
+      const from = parseInt(req.query.from);
+      const to = parseInt(req.query.to);
+
+      if (isNaN(from) || isNaN(to)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Both from and to revision numbers are required'
+        });
+      }
+
+      const article = await Article.findById(id).select('author contributors');
+
+      if (!article) {
+        return res.status(404).json({
+          success: false,
+          error: 'Article not found'
+        });
+      }
+
+      if (!canManageRevisions(article, req.user)) {
+        return res.status(403).json({
+          success: false,
+          error: 'Not authorized to view revisions of this article'
+        });
+      }
+
+      const [fromRevision, toRevision] = await Promise.all([
+        ArticleRevision.findOne({ article: id, revisionNumber: from }).lean(),
+        ArticleRevision.findOne({ article: id, revisionNumber: to }).lean()
+      ]);
+
+      if (!fromRevision || !toRevision) {
+        return res.status(404).json({
+          success: false,
+          error: 'Revision not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          from,
+          to,
+          changes: ArticleRevision.diffSnapshots(fromRevision.snapshot, toRevision.snapshot)
+        }
+      });
+    } catch (error) {
+      console.error('Diff article revisions error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to compare revisions'
+      });
+    }
+  }
+
+  // Restore an old revision as a new draft (Admin/Editor/credited writers)
+  async restoreArticleRevision(req, res) {
+    try {
+      const { id, revision } = req.params;
+
+      const article = await Article.findById(id);
+
+      if (!article) {
+        return res.status(404).json({
+          success: false,
+          error: 'Article not found'
+        });
+      }
+
+      // Contributors may change the article only while it is a draft, as in updateArticle
+      const isOwner = article.author.toString() === req.user._id.toString() || canPublishDirectly(req.user);
+      if (!canManageRevisions(article, req.user) || (!isOwner && article.status !== 'draft')) {
+        return res.status(403).json({
+          success: false,
+          error: 'Not authorized to restore revisions of this article'
+        });
+      }
+
+      const articleRevision = await ArticleRevision.findOne({
+        article: id,
+        revisionNumber: parseInt(revision)
+      }).lean();
+
+      if (!articleRevision) {
+        return res.status(404).json({
+          success: false,
+          error: 'Revision not found'
+        });
+      }
+
+      const { snapshot } = articleRevision;
+
+      // A live article stays up: the restored copy is saved as a draft revision to
+      // be reviewed and published through the usual edit flow
+      if (LIVE_STATUSES.includes(article.status)) {
+        const draftSource = { _id: article._id };
+        ArticleRevision.REVISION_FIELDS.forEach(field => {
+          draftSource[field] = snapshot[field] !== undefined && snapshot[field] !== null
+            ? snapshot[field]
+            : article[field];
+        });
+
+        const newRevision = await ArticleRevision.recordRevision(draftSource, req.user._id, {
+          previous: article,
+          restoredFrom: articleRevision.revisionNumber,
+          draft: true
+        });
+
+        return res.json({
+          success: true,
+          data: {
+            article,
+            revision: newRevision
+          },
+          message: `Revision ${articleRevision.revisionNumber} saved as draft revision ${newRevision ? newRevision.revisionNumber : articleRevision.revisionNumber}; ` +
+            'the live article is unchanged until an editor applies it with POST /api/articles/:id/revisions/:revision/apply'
+        });
+      }
+
+      // The slug may since have been taken by another article
+      if (snapshot.slug && snapshot.slug !== article.slug) {
+        if (await Article.isSlugTaken(snapshot.slug, id)) {
+          return res.status(400).json({
+            success: false,
+            error: 'The slug of this revision is now used by another article'
+          });
+        }
+      }
+
+      const restoreData = { ...buildRestoreData(article, snapshot), status: 'draft' };
+
+      const updatedArticle = await Article.findByIdAndUpdate(
+        id,
+        restoreData,
+        { new: true, runValidators: true }
+      ).populate(CREDITS_POPULATE);
+
+      const newRevision = await ArticleRevision.recordRevision(updatedArticle, req.user._id, {
+        previous: article,
+        restoredFrom: articleRevision.revisionNumber
+      });
+
+      res.json({
+        success: true,
+        data: {
+          article: updatedArticle,
+          revision: newRevision
+        },
+        message: `Revision ${articleRevision.revisionNumber} restored as draft`
+      });
+    } catch (error) {
+      console.error('Restore article revision error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to restore revision'
+      });
+    }
+  }
+
+  // Apply a draft revision to a live article, keeping it published (Admin/Editor)
+  async applyArticleRevision(req, res) {
+    try {
+      const { id, revision } = req.params;
+
+      if (!canPublishDirectly(req.user)) {
+        return res.status(403).json({
+          success: false,
+          error: 'Only editors can apply a revision to a live article'
+        });
+      }
+
+      const article = await Article.findById(id);
+
+      if (!article) {
+        return res.status(404).json({
+          success: false,
+          error: 'Article not found'
+        });
+      }
+
+      const articleRevision = await ArticleRevision.findOne({
+        article: id,
+        revisionNumber: parseInt(revision),
+        draft: true
+      }).lean();
+
+      if (!articleRevision) {
+        return res.status(404).json({
+          success: false,
+          error: 'Draft revision not found'
+        });
+      }
+
+      const { snapshot } = articleRevision;
+
+      if (snapshot.slug && snapshot.slug !== article.slug) {
+        if (await Article.isSlugTaken(snapshot.slug, id)) {
+          return res.status(400).json({
+            success: false,
+            error: 'The slug of this revision is now used by another article'
+          });
+        }
+      }
+
+      const updatedArticle = await Article.findByIdAndUpdate(
+        id,
+        buildRestoreData(article, snapshot),
+        { new: true, runValidators: true }
+      ).populate(CREDITS_POPULATE);
+
+      const newRevision = await ArticleRevision.recordRevision(updatedArticle, req.user._id, {
+        previous: article,
+        restoredFrom: articleRevision.revisionNumber
+      });
+
+      if (article.status === 'published') {
+        requestSitemapRegeneration();
+      }
+
+      res.json({
+        success: true,
+        data: {
+          article: updatedArticle,
+          revision: newRevision
+        },
+        message: `Draft revision ${articleRevision.revisionNumber} applied`
+      });
+    } catch (error) {
+      console.error('Apply article revision error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to apply revision'
+      });
+    }
+  }
+
+  // Get the SEO head payload for an article (Public)
+  async getArticleSeo(req, res) {
+    try {
+      const { slug } = req.params;
+
+      const article = await Article.findOne({ slug, status: 'published' })
+        .select('title slug locale translationGroup excerpt content metaTitle metaDescription featuredImage category tags author readTime publishedAt updatedAt')
+        .populate(CREDITS_POPULATE)
+        .lean();
+
+      if (!article) {
+        return res.status(404).json({
+          success: false,
+          error: 'Article not found'
+        });
+      }
+
+      const [categoryTrail, translations] = await Promise.all([
+        Category.getTrail(article.category),
+        Article.getTranslations(article)
+      ]);
+
+      res.json({
+        success: true,
+        data: buildArticleSeo(article, categoryTrail, translations)
+      });
+    } catch (error) {
+      console.error('Get article SEO error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to build SEO metadata'
+      });
+    }
+  }
+
   // Get related articles
   async getRelatedArticles(req, res) {
     try {
@@ -1007,30 +2412,47 @@ async getArticleById(req, res) {
         });
       }
 
+      // Other published parts of the same series come first, in series order
+      const series = await Series.findOne({ articles: currentArticle._id }).select('articles').lean();
+      let seriesArticles = [];
+
+      if (series) {
+        const partIds = series.articles.filter(id => !id.equals(currentArticle._id));
+        const parts = await Article.find({ _id: { $in: partIds }, status: 'published' })
+          .populate(CREDITS_POPULATE)
+          .exec();
+
+        const position = (article) => partIds.findIndex(id => id.equals(article._id));
+        seriesArticles = parts.sort((a, b) => position(a) - position(b)).slice(0, limit);
+      }
+
       // Build query for related articles
       const query = {
         status: 'published',
-        _id: { $ne: currentArticle._id }, // Exclude current article
+        _id: { $nin: [currentArticle._id, ...seriesArticles.map(article => article._id)] }, // Exclude current article and series parts
         $or: [
           { category: currentArticle.category }, // Same category
           { tags: { $in: currentArticle.tags } } // Shared tags
         ]
       };
 
-      // Get related articles, prioritizing those with same category and tags
-      const relatedArticles = await Article.find(query)
-        .populate('author', 'username avatar bio')
-        .sort({
-          category: -1, // Prioritize same category
-          trendingScore: -1, // Then by trending score
-          publishedAt: -1 // Finally by recency
-        })
-        .limit(limit)
-        .exec();
+      // Fill the remaining slots, prioritizing those with same category and tags
+      const remaining = limit - seriesArticles.length;
+      const relatedArticles = remaining > 0
+        ? await Article.find(query)
+          .populate(CREDITS_POPULATE)
+          .sort({
+            category: -1, // Prioritize same category
+            trendingScore: -1, // Then by trending score
+            publishedAt: -1 // Finally by recency
+          })
+          .limit(remaining)
+          .exec()
+        : [];
 
       res.json({
         success: true,
-        data: relatedArticles
+        data: [...seriesArticles, ...relatedArticles]
       });
     } catch (error) {
       console.error('Get related articles error:', error);
@@ -1046,7 +2468,7 @@ async getArticleById(req, res) {
     try {
       const { limit = 10, category } = req.query;
 
-      const articles = await getTrendingArticles(parseInt(limit), category);
+      const articles = await getTrendingArticles(parseInt(limit), category ? Category.toSlug(category) : category);
 
       res.json({
         success: true,
@@ -1091,12 +2513,21 @@ async getArticleById(req, res) {
         });
       }
 
-      // Update article author
+      // Update article author; the new author no longer needs a co-author credit
       const updatedArticle = await Article.findByIdAndUpdate(
         id,
-        { author: newAuthorId },
+        {
+          author: newAuthorId,
+          contentUpdatedAt: new Date(),
+          $pull: { contributors: { user: newAuthor._id, role: 'author' } }
+        },
         { new: true }
-      ).populate('author', 'username avatar bio');
+      ).populate(CREDITS_POPULATE);
+
+      if (updatedArticle.status === 'published') {
+        requestSitemapRegeneration();
+        refreshWriterCounts(article, updatedArticle);
+      }
 
       res.json({
         success: true,
@@ -1,7 +1,19 @@
 // controllers/authController.js  
+const crypto = require('crypto');
+const mongoose = require('mongoose');
 const User = require('../models/User');  
+const { USER_ROLES } = require('../models/User');
 const { Session, SESSION_CONFIG } = require('../models/Session');  
 const { v4: uuidv4 } = require('uuid');  
+const SecuritySettings = require('../models/SecuritySettings');
+const LoginThrottle = require('../models/LoginThrottle');
+const { trackEvent, getLocationFromIP } = require('../middleware/tracking');
+const emailService = require('../utils/emailService');
+const { generateSecret, verifyCode, buildOtpAuthUrl } = require('../utils/totp');
+const authConfig = require('../config/auth-config');
+const oauthConfig = require('../config/oauth-config');
+const siteConfig = require('../config/site-config');
+const { getProvider, listProviders, createPkcePair } = require('../utils/oauthProviders');
   
 // Helper function to extract device info from user agent  
 function extractDeviceInfo(userAgent) {  
@@ -107,6 +119,402 @@ function determineSource(req) {
   return 'referral';  
 }  
   
+// Email a verification link; a mail failure never fails the request
+async function sendVerificationEmail(user) {
+  try {
+    const token = await user.createAuthToken('emailVerification');
+    await emailService.sendEmailVerification(user, token);
+  } catch (error) {
+    console.error('Verification email error:', error);
+  }
+}
+
+// Start (or resume) the user's authentication session and set the auth cookie.
+// Every way of signing in ends here so they all share one cookie path.
+async function issueAuthSession(req, res, user) {
+  // Reuse this browser's own auth session when it is still valid for the same user.
+  // Sessions on the user's other devices are left alone; each one is listed and
+  // revoked separately from /api/auth/sessions.
+  const authCookie = req.cookies[SESSION_CONFIG.COOKIE_NAMES?.AUTH || 'session_id'];
+  const currentAuthSession = await Session.findAuthSession(authCookie);
+  let existingAuthSession = null;
+
+  if (currentAuthSession && currentAuthSession.userId?.equals(user._id)) {
+    existingAuthSession = currentAuthSession;
+  } else if (currentAuthSession) {
+    // Switching accounts in this browser ends the previous account's session
+    currentAuthSession.isActive = false;
+    currentAuthSession.endTime = new Date();
+    currentAuthSession.duration = Math.round((currentAuthSession.endTime - currentAuthSession.startTime) / 1000);
+    await currentAuthSession.save();
+  }
+
+  let sessionId;
+  let session;
+  let isConvertedFromTracking = false;
+
+  // Check if there's a tracking session to convert
+  const trackingCookie = req.cookies[SESSION_CONFIG.COOKIE_NAMES?.TRACKING || 'tracking_session_id'];
+  let trackingSession = null;
+
+  if (trackingCookie) {
+    trackingSession = await Session.findOne({
+      sessionId: trackingCookie,
+      sessionType: 'tracking',
+      isAuthenticated: false
+    });
+
+    if (trackingSession) {
+      console.log('Found tracking session to convert:', trackingCookie);
+    }
+  }
+
+  if (existingAuthSession) {
+    // REUSE THIS BROWSER'S AUTH SESSION
+    console.log('Reusing existing auth session...');
+
+    sessionId = existingAuthSession.sessionId;
+    existingAuthSession.endTime = new Date();
+    existingAuthSession.pageCount += 1;
+
+    await existingAuthSession.save();
+    session = existingAuthSession;
+
+    console.log('Reused existing auth session');
+
+  } else if (trackingSession) {
+    // CONVERT TRACKING SESSION TO AUTH SESSION
+    console.log('Converting tracking session to auth session...');
+
+    sessionId = trackingSession.sessionId;
+    isConvertedFromTracking = true;
+
+    // Update tracking session to become auth session
+    trackingSession.userId = user._id;
+    trackingSession.sessionType = 'authentication';
+    trackingSession.isAuthenticated = true;
+    trackingSession.convertedAt = new Date();
+    trackingSession.endTime = new Date();
+    trackingSession.pageCount += 1;
+
+    await trackingSession.save();
+    session = trackingSession;
+
+    // Clear the tracking cookie (now using auth cookie)
+    res.clearCookie(SESSION_CONFIG.COOKIE_NAMES?.TRACKING || 'tracking_session_id', {
+      path: '/',
+      httpOnly: true,
+      secure: process.env.NODE_ENV === 'production',
+      sameSite: process.env.NODE_ENV === 'production' ? 'none' : 'strict'
+    });
+
+    console.log('Successfully converted tracking session to auth session');
+
+  } else {
+    // CREATE NEW AUTH SESSION
+    console.log('Creating new auth session...');
+
+    // Generate unique session ID
+    sessionId = `sess_auth_${uuidv4()}_${Date.now()}`;
+
+    // Get device info from request
+    const userAgent = req.headers['user-agent'];
+    const deviceInfo = extractDeviceInfo(userAgent);
+
+    // Determine traffic source
+    const source = determineSource(req);
+    const referrer = req.get('referer') || req.headers.referer || 'direct';
+
+    // Approximate location, shown in the user's session list
+    const location = getLocationFromIP(req.ip || '127.0.0.1');
+
+    // Create new auth session
+    session = new Session({
+      sessionId,
+      userId: user._id,
+      sessionType: 'authentication',
+      isAuthenticated: true,
+      ipAddress: req.ip,
+      userAgent: userAgent,
+      deviceType: deviceInfo.deviceType,
+      deviceCategory: deviceInfo.deviceCategory,
+      browser: deviceInfo.browser,
+      browserVersion: deviceInfo.browserVersion,
+      os: deviceInfo.os,
+      osVersion: deviceInfo.osVersion,
+      isTouchDevice: deviceInfo.isTouchDevice,
+      country: location.country,
+      countryCode: location.country === 'Local' ? 'LOCAL' : location.country,
+      city: location.city,
+      region: location.region,
+      referrer: referrer,
+      source: source,
+      startTime: new Date(),
+      endTime: new Date(),
+      pageCount: 1,
+      isActive: true,
+      convertedAt: null // Not a conversion, fresh auth session
+    });
+
+    await session.save();
+    console.log('Created new auth session');
+  }
+
+  // Set the auth cookie (shorter expiration for security)
+  const authCookieMaxAge = 2 * 60 * 60 * 1000; // 2 hours for auth sessions
+
+  res.cookie(SESSION_CONFIG.COOKIE_NAMES?.AUTH || 'session_id', sessionId, {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: process.env.NODE_ENV === 'production' ? 'none' : 'strict',
+    maxAge: authCookieMaxAge,
+    path: '/'
+  });
+
+  console.log('Auth cookie set with 2-hour expiration');
+
+  return { session, isConvertedFromTracking };
+}
+
+// Login response: the user without secrets plus details of the session issued
+function buildLoginResponse(user, session, isConvertedFromTracking) {
+  // Return user info without password
+  const userResponse = user.toJSON ? user.toJSON() : {
+    id: user._id,
+    username: user.username,
+    email: user.email,
+    role: user.role,
+    avatar: user.avatar,
+    bio: user.bio,
+    isActive: user.isActive,
+    createdAt: user.createdAt,
+    updatedAt: user.updatedAt
+  };
+
+  // Remove sensitive data
+  delete userResponse.password;
+
+  // Prepare response with session info
+  const response = {
+    success: true,
+    data: {
+      user: userResponse,
+      session: {
+        id: session.sessionId,
+        type: session.sessionType,
+        converted: isConvertedFromTracking,
+        expiresIn: '2 hours',
+        device: session.deviceType,
+        browser: session.browser
+      }
+    }
+  };
+
+  // If session was converted from tracking, include timestamp
+  if (session.convertedAt) {
+    response.data.session.convertedAt = session.convertedAt;
+  }
+
+  return response;
+}
+
+const PENDING_COOKIE_NAME = SESSION_CONFIG.COOKIE_NAMES?.PENDING || 'pending_session_id';
+
+const hashEnrollmentCode = (code) => crypto.createHash('sha256').update(String(code)).digest('hex');
+
+// A pending login may only start two-factor enrollment after its emailed code was confirmed
+const ENROLLMENT_UNCONFIRMED_ERROR = 'Enter the code we emailed you before setting up two-factor authentication';
+const needsEnrollmentConfirmation = (pendingSession) =>
+  Boolean(pendingSession) && !pendingSession.pendingLogin?.emailConfirmed;
+
+// Hold a two-step login in a short-lived pending session until the second factor arrives
+async function startPendingLogin(req, res, user, stage) {
+  const userAgent = req.headers['user-agent'];
+  const deviceInfo = extractDeviceInfo(userAgent);
+
+  const pendingSession = new Session({
+    sessionId: `sess_pending_${uuidv4()}_${Date.now()}`,
+    userId: user._id,
+    sessionType: 'pending',
+    isAuthenticated: false,
+    pendingLogin: { stage },
+    ipAddress: req.ip,
+    userAgent: userAgent,
+    deviceType: deviceInfo.deviceType,
+    deviceCategory: deviceInfo.deviceCategory,
+    browser: deviceInfo.browser,
+    browserVersion: deviceInfo.browserVersion,
+    os: deviceInfo.os,
+    osVersion: deviceInfo.osVersion,
+    isTouchDevice: deviceInfo.isTouchDevice,
+    source: determineSource(req),
+    startTime: new Date(),
+    endTime: new Date(),
+    isActive: true
+  });
+
+  // Enrolling for the first time: the account owner must confirm by email
+  let emailCode;
+  if (stage === 'two_factor_setup') {
+    emailCode = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+    pendingSession.pendingLogin.emailCode = hashEnrollmentCode(emailCode);
+  }
+
+  await pendingSession.save();
+
+  if (emailCode) {
+    emailService.sendTwoFactorEnrollmentCode(user, emailCode).catch(error => {
+      console.error('Two-factor enrollment email error:', error);
+    });
+  }
+
+  res.cookie(PENDING_COOKIE_NAME, pendingSession.sessionId, {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: process.env.NODE_ENV === 'production' ? 'none' : 'strict',
+    maxAge: SESSION_CONFIG.pendingTimeout,
+    path: '/'
+  });
+
+  return pendingSession;
+}
+
+function clearPendingCookie(res) {
+  res.clearCookie(PENDING_COOKIE_NAME, {
+    path: '/',
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: process.env.NODE_ENV === 'production' ? 'none' : 'strict'
+  });
+}
+
+// Close a pending login once its second factor is accepted. Returns false when
+// it was already used or abandoned, so one pending login yields one session.
+async function completePendingLogin(res, pendingSession) {
+  const completed = await Session.findOneAndUpdate(
+    { _id: pendingSession._id, isActive: true },
+    { $set: { isActive: false, endTime: new Date() } }
+  );
+  clearPendingCookie(res);
+  return Boolean(completed);
+}
+
+// Count a wrong code against a pending login and end it once the limit is reached.
+// Returns the error response body to send.
+async function recordFailedCode(res, pendingSession) {
+  const updated = await Session.findOneAndUpdate(
+    { _id: pendingSession._id, isActive: true },
+    { $inc: { 'pendingLogin.attempts': 1 } },
+    { new: true }
+  );
+
+  if (updated && updated.pendingLogin.attempts < authConfig.twoFactor.maxLoginAttempts) {
+    return { success: false, error: 'Invalid authentication code' };
+  }
+
+  await Session.updateOne({ _id: pendingSession._id }, { $set: { isActive: false, endTime: new Date() } });
+  clearPendingCookie(res);
+  return { success: false, error: 'Too many invalid codes. Please log in again' };
+}
+
+// Record a login attempt as a `login` Event, so failures and lockouts show up in the admin dashboard
+function recordLoginEvent(req, outcome, { email, user = null, sessionId = null, ...details } = {}) {
+  return trackEvent({
+    sessionId: sessionId || req.cookies?.[SESSION_CONFIG.COOKIE_NAMES?.TRACKING || 'tracking_session_id'] || 'anonymous',
+    userId: user?._id,
+    eventType: 'login',
+    eventData: { outcome, email: email || user?.email, ...details },
+    metadata: {
+      ipAddress: req.ip,
+      userAgent: req.headers['user-agent'],
+      referrer: req.headers.referer,
+      pageUrl: req.originalUrl
+    }
+  });
+}
+
+// Answer 429 when the account or the client IP is locked out or still has to wait.
+// Returns true when the response was sent.
+async function rejectThrottledLogin(req, res, email) {
+  const block = await LoginThrottle.checkAttempt(email, req.ip);
+  if (!block) return false;
+
+  console.log('Login attempt throttled:', { email, ip: req.ip, ...block });
+  await recordLoginEvent(req, 'blocked', { email, scope: block.scope, locked: block.locked });
+
+  let error = 'Too many login attempts. Please wait before trying again';
+  if (block.locked) {
+    error = block.scope === 'account'
+      ? 'Too many failed login attempts. Try again later or use the unlock link sent to your email'
+      : 'Too many failed login attempts from your network. Try again later';
+  }
+
+  res.set('Retry-After', String(block.retryAfter));
+  res.status(429).json({
+    success: false,
+    error,
+    retryAfter: block.retryAfter
+  });
+  return true;
+}
+
+// Count a failed login against the account and the client IP. When the account
+// has just been locked its owner is emailed an unlock link.
+async function handleFailedLogin(req, email, user, reason) {
+  const [account, ip] = await Promise.all([
+    LoginThrottle.recordFailure('account', email),
+    LoginThrottle.recordFailure('ip', req.ip)
+  ]);
+
+  let lockedOut;
+  if (account.lockedNow) lockedOut = 'account';
+  else if (ip.lockedNow) lockedOut = 'ip';
+
+  await recordLoginEvent(req, 'failure', {
+    email,
+    user,
+    reason,
+    accountFailures: account.throttle.failures,
+    ipFailures: ip.throttle.failures,
+    lockedOut
+  });
+
+  if (account.lockedNow && user && user.isActive) {
+    console.log('Account locked after failed logins:', email);
+    account.throttle.createUnlockToken()
+      .then(token => emailService.sendAccountUnlockEmail(user, token, authConfig.loginProtection.lockoutMinutes))
+      .catch(error => {
+        console.error('Account unlock email error:', error);
+      });
+  }
+}
+
+// A completed login clears the account's failures and is recorded for the dashboard
+async function recordLoginSuccess(req, user, session, details = {}) {
+  await LoginThrottle.clear('account', user.email);
+  await recordLoginEvent(req, 'success', { user, sessionId: session.sessionId, ...details });
+}
+
+const OAUTH_STATE_COOKIE = 'oauth_state';
+
+// Only same-site paths may be used as the post-sign-in destination
+function safeReturnTo(returnTo) {
+  return typeof returnTo === 'string' && /^\/(?![\/\\])/.test(returnTo) ? returnTo : null;
+}
+
+// Send the browser back to a frontend page after a provider sign-in
+function redirectToFrontend(res, path, params = {}) {
+  const url = new URL(path, `${siteConfig.url}/`);
+  for (const [key, value] of Object.entries(params)) {
+    url.searchParams.set(key, value);
+  }
+  res.redirect(url.toString());
+}
+
+// Same answer whether or not an account exists, so emails can't be probed
+const FORGOT_PASSWORD_MESSAGE = 'If an account exists for that email, a password reset link has been sent';
+const REGISTRATION_MESSAGE = 'Registration received. Check your email to verify your account';
+
 // User login - Updated with unified session model
 class AuthController {
   async login(req, res) {
@@ -115,10 +523,14 @@ class AuthController {
       
     console.log('Login attempt for:', email);  
       
+    // Refuse attempts while the account or IP is locked out or must wait
+    if (await rejectThrottledLogin(req, res, email)) return;
+      
     // Find user by email  
     const user = await User.findOne({ email });  
     if (!user) {  
       console.log('User not found:', email);  
+      await handleFailedLogin(req, email, null, 'unknown_account');
       return res.status(401).json({  
         success: false,  
         error: 'Invalid credentials'  
@@ -127,6 +539,7 @@ class AuthController {
       
     // Check if user is active  
     if (!user.isActive) {  
+      await handleFailedLogin(req, email, user, 'deactivated');
       return res.status(401).json({  
         success: false,  
         error: 'Account is deactivated'  
@@ -138,179 +551,41 @@ class AuthController {
     const isPasswordValid = await user.comparePassword(password);  
     if (!isPasswordValid) {  
       console.log('Invalid password for user:', email);  
+      await handleFailedLogin(req, email, user, 'invalid_password');
       return res.status(401).json({  
         success: false,  
         error: 'Invalid credentials'  
       });  
     }  
       
-    console.log('Password valid, creating/updating session...');  
-      
-    // Check if user already has active auth session (prevent multiple sessions)  
-    const existingAuthSession = await Session.findOne({  
-      userId: user._id,  
-      sessionType: 'authentication',  
-      isActive: true,  
-      endTime: { $gte: new Date(Date.now() - SESSION_CONFIG.inactivityTimeout) }  
-    }).sort({ endTime: -1 });  
-      
-    let sessionId;  
-    let session;  
-    let isConvertedFromTracking = false;  
-      
-    // Check if there's a tracking session to convert  
-    const trackingCookie = req.cookies[SESSION_CONFIG.COOKIE_NAMES?.TRACKING || 'tracking_session_id'];  
-    let trackingSession = null;  
-      
-    if (trackingCookie) {  
-      trackingSession = await Session.findOne({  
-        sessionId: trackingCookie,  
-        sessionType: 'tracking',  
-        isAuthenticated: false  
-      });  
-        
-      if (trackingSession) {  
-        console.log('Found tracking session to convert:', trackingCookie);  
-      }  
-    }  
-      
-    if (trackingSession) {  
-      // CONVERT TRACKING SESSION TO AUTH SESSION  
-      console.log('Converting tracking session to auth session...');  
-        
-      sessionId = trackingSession.sessionId;  
-      isConvertedFromTracking = true;  
-        
-      // Update tracking session to become auth session  
-      trackingSession.userId = user._id;  
-      trackingSession.sessionType = 'authentication';  
-      trackingSession.isAuthenticated = true;  
-      trackingSession.convertedAt = new Date();  
-      trackingSession.endTime = new Date();  
-      trackingSession.pageCount += 1;  
-        
-      await trackingSession.save();  
-      session = trackingSession;  
-        
-      // Clear the tracking cookie (now using auth cookie)  
-      res.clearCookie(SESSION_CONFIG.COOKIE_NAMES?.TRACKING || 'tracking_session_id', {  
-        path: '/',  
-        httpOnly: true,  
-        secure: process.env.NODE_ENV === 'production',  
-        sameSite: process.env.NODE_ENV === 'production' ? 'none' : 'strict'  
-      });  
-        
-      console.log('Successfully converted tracking session to auth session');  
-        
-    } else if (existingAuthSession) {  
-      // REUSE EXISTING AUTH SESSION  
-      console.log('Reusing existing auth session...');  
-        
-      sessionId = existingAuthSession.sessionId;  
-      existingAuthSession.endTime = new Date();  
-      existingAuthSession.pageCount += 1;  
-        
-      await existingAuthSession.save();  
-      session = existingAuthSession;  
-        
-      console.log('Reused existing auth session');  
-        
-    } else {  
-      // CREATE NEW AUTH SESSION  
-      console.log('Creating new auth session...');  
-        
-      // Generate unique session ID  
-      sessionId = `sess_auth_${uuidv4()}_${Date.now()}`;  
-        
-      // Get device info from request  
-      const userAgent = req.headers['user-agent'];  
-      const deviceInfo = extractDeviceInfo(userAgent);  
-        
-      // Determine traffic source  
-      const source = determineSource(req);  
-      const referrer = req.get('referer') || req.headers.referer || 'direct';  
-        
-      // Create new auth session  
-      session = new Session({  
-        sessionId,  
-        userId: user._id,  
-        sessionType: 'authentication',  
-        isAuthenticated: true,  
-        ipAddress: req.ip,  
-        userAgent: userAgent,  
-        deviceType: deviceInfo.deviceType,  
-        deviceCategory: deviceInfo.deviceCategory,  
-        browser: deviceInfo.browser,  
-        browserVersion: deviceInfo.browserVersion,  
-        os: deviceInfo.os,  
-        osVersion: deviceInfo.osVersion,  
-        isTouchDevice: deviceInfo.isTouchDevice,  
-        referrer: referrer,  
-        source: source,  
-        startTime: new Date(),  
-        endTime: new Date(),  
-        pageCount: 1,  
-        isActive: true,  
-        convertedAt: null // Not a conversion, fresh auth session  
-      });  
-        
-      await session.save();  
-      console.log('Created new auth session');  
-    }  
-      
-    // Set the auth cookie (shorter expiration for security)  
-    const authCookieMaxAge = 2 * 60 * 60 * 1000; // 2 hours for auth sessions  
-      
-    res.cookie(SESSION_CONFIG.COOKIE_NAMES?.AUTH || 'session_id', sessionId, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production',
-      sameSite: process.env.NODE_ENV === 'production' ? 'none' : 'strict',
-      maxAge: authCookieMaxAge,
-      path: '/'
-    });
-      
-    console.log('Auth cookie set with 2-hour expiration');  
-      
-    // Return user info without password  
-    const userResponse = user.toJSON ? user.toJSON() : {  
-      id: user._id,  
-      username: user.username,  
-      email: user.email,  
-      role: user.role,  
-      avatar: user.avatar,  
-      bio: user.bio,  
-      isActive: user.isActive,  
-      createdAt: user.createdAt,  
-      updatedAt: user.updatedAt  
-    };  
-      
-    // Remove sensitive data  
-    delete userResponse.password;  
-    delete userResponse.resetPasswordToken;  
-    delete userResponse.resetPasswordExpires;  
-      
-    // Prepare response with session info  
-    const response = {  
-      success: true,  
-      data: {  
-        user: userResponse,  
-        session: {  
-          id: session.sessionId,  
-          type: session.sessionType,  
-          converted: isConvertedFromTracking,  
-          expiresIn: '2 hours',  
-          device: session.deviceType,  
-          browser: session.browser  
-        }  
-      }  
-    };  
-      
-    // If session was converted from tracking, include timestamp  
-    if (session.convertedAt) {  
-      response.data.session.convertedAt = session.convertedAt;  
-    }  
-      
-    res.json(response);  
+    // Two-step login: the password is accepted, the second factor is still outstanding
+    const twoFactorRequired = await SecuritySettings.isTwoFactorRequired(user.role);
+    if (user.twoFactor?.enabled || twoFactorRequired) {
+      const stage = user.twoFactor?.enabled ? 'two_factor' : 'two_factor_setup';
+      console.log('Password valid, waiting for second factor:', stage);
+
+      const pendingSession = await startPendingLogin(req, res, user, stage);
+      await recordLoginEvent(req, 'two_factor_pending', { email, user, sessionId: pendingSession.sessionId, stage });
+
+      return res.json({
+        success: true,
+        message: stage === 'two_factor'
+          ? 'Enter the code from your authenticator app'
+          : 'Two-factor authentication is required for your account. Enter the code we emailed you to set it up',
+        data: {
+          twoFactorRequired: true,
+          stage,
+          expiresIn: '5 minutes'
+        }
+      });
+    }
+
+    console.log('Password valid, creating/updating session...');
+
+    const { session, isConvertedFromTracking } = await issueAuthSession(req, res, user);
+    await recordLoginSuccess(req, user, session, { method: 'password' });
+
+    res.json(buildLoginResponse(user, session, isConvertedFromTracking));
       
   } catch (error) {  
     console.error('Login error details:', error);  
@@ -507,33 +782,161 @@ class AuthController {
     }
   }
 
+  // List the logged-in user's active sessions, marking the one making this request
+  async getSessions(req, res) {
+    try {
+      const sessions = await Session.findUserAuthSessions(req.user._id);
+
+      res.json({
+        success: true,
+        data: {
+          sessions: sessions.map(session => session.toSummary(req.session.sessionId)),
+          total: sessions.length
+        }
+      });
+    } catch (error) {
+      console.error('Get sessions error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch sessions'
+      });
+    }
+  }
+
+  // Sign out one of the logged-in user's sessions
+  async revokeSession(req, res) {
+    try {
+      if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return res.status(404).json({
+          success: false,
+          error: 'Session not found'
+        });
+      }
+
+      const session = await Session.findOne({
+        _id: req.params.id,
+        userId: req.user._id,
+        sessionType: 'authentication',
+        isActive: true
+      });
+
+      if (!session) {
+        return res.status(404).json({
+          success: false,
+          error: 'Session not found'
+        });
+      }
+
+      session.isActive = false;
+      session.endTime = new Date();
+      session.duration = Math.round((session.endTime - session.startTime) / 1000);
+      await session.save();
+
+      const isCurrent = session.sessionId === req.session.sessionId;
+      if (isCurrent) {
+        res.clearCookie(SESSION_CONFIG.COOKIE_NAMES?.AUTH || 'session_id', {
+          path: '/',
+          httpOnly: true,
+          secure: process.env.NODE_ENV === 'production',
+          sameSite: process.env.NODE_ENV === 'production' ? 'none' : 'strict'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: { id: session._id, current: isCurrent },
+        message: isCurrent ? 'Signed out of this device' : 'Session revoked'
+      });
+    } catch (error) {
+      console.error('Revoke session error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to revoke session'
+      });
+    }
+  }
+
+  // Sign out every session except the one making this request
+  async revokeOtherSessions(req, res) {
+    try {
+      const result = await Session.endAuthSessions(req.user._id, req.session.sessionId);
+
+      res.json({
+        success: true,
+        data: { revoked: result.modifiedCount },
+        message: `Signed out of ${result.modifiedCount} other session${result.modifiedCount === 1 ? '' : 's'}`
+      });
+    } catch (error) {
+      console.error('Revoke other sessions error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to revoke sessions'
+      });
+    }
+  }
+
   // User registration
   async register(req, res) {
     try {
-      const { username, email, password, role = 'author' } = req.body;
+      const { username, email, password } = req.body;
+
+      // Admins registering users get exact errors; public sign-ups never
+      // learn whether an email address is already registered
+      const isAdminRequest = req.user?.role === 'admin';
+
+      // Only admins choose a role; self-registration always gets the default
+      const role = isAdminRequest && req.body.role ? req.body.role : 'author';
+      if (!USER_ROLES.includes(role)) {
+        return res.status(400).json({
+          success: false,
+          error: `Invalid role. Must be one of: ${USER_ROLES.join(', ')}`
+        });
+      }
 
       // Check if user already exists
       const existingUser = await User.findOne({
         $or: [{ email }, { username }]
       });
 
-      if (existingUser) {
+      let user = null;
+
+      if (existingUser && isAdminRequest) {
         return res.status(400).json({
           success: false,
           error: 'User with this email or username already exists'
         });
       }
 
-      // Create new user
-      const user = new User({
-        username,
-        email,
-        password,
-        role,
-        isActive: true
-      });
+      if (existingUser && existingUser.email !== email) {
+        return res.status(400).json({
+          success: false,
+          error: 'Username already taken'
+        });
+      }
 
-      await user.save();
+      if (existingUser) {
+        // Hash the submitted password anyway so the response takes as long as
+        // creating an account would
+        await User.hashPassword(password);
+
+        // Let the owner know, and answer exactly as for a new account
+        emailService.sendAccountExistsEmail(existingUser).catch(error => {
+          console.error('Account exists email error:', error);
+        });
+      } else {
+        // Create new user; publishing unlocks once the email is verified
+        user = new User({
+          username,
+          email,
+          password,
+          role,
+          isActive: true,
+          emailVerified: false
+        });
+
+        await user.save();
+        sendVerificationEmail(user);
+      }
 
       // Create initial tracking session
       const userAgent = req.headers['user-agent'];
@@ -574,6 +977,13 @@ class AuthController {
         path: '/'
       });
 
+      if (!isAdminRequest) {
+        return res.status(201).json({
+          success: true,
+          message: REGISTRATION_MESSAGE
+        });
+      }
+
       res.status(201).json({
         success: true,
         message: 'User registered successfully',
@@ -582,7 +992,8 @@ class AuthController {
             id: user._id,
             username: user.username,
             email: user.email,
-            role: user.role
+            role: user.role,
+            emailVerified: user.emailVerified
           }
         }
       });
@@ -640,7 +1051,16 @@ class AuthController {
         }
       }
 
-      const updateData = {};
+      // Public profile fields shown on the author page
+      const profile = User.buildProfileUpdate(req.body);
+      if (profile.error) {
+        return res.status(400).json({
+          success: false,
+          error: profile.error
+        });
+      }
+
+      const updateData = { ...profile.update };
       if (username) updateData.username = username;
       if (bio !== undefined) updateData.bio = bio;
       if (avatar) updateData.avatar = avatar;
@@ -711,27 +1131,648 @@ class AuthController {
     }
   }
 
-  // Create initial admin user
-  async createAdmin(req, res) {
+  // Request a password reset link; always answers the same way
+  async forgotPassword(req, res) {
     try {
-      // Check if any admin already exists
-      const existingAdmin = await User.findOne({ role: 'admin' });
-      if (existingAdmin) {
+      const { email } = req.body;
+      const user = await User.findOne({ email, isActive: true });
+
+      if (user) {
+        // Not awaited, so response timing doesn't reveal that the account exists
+        user.createAuthToken('passwordReset')
+          .then(token => emailService.sendPasswordResetEmail(user, token))
+          .catch(error => {
+            console.error('Password reset email error:', error);
+          });
+      } else {
+        console.log('Password reset requested for unknown or inactive email');
+      }
+
+      res.json({
+        success: true,
+        message: FORGOT_PASSWORD_MESSAGE
+      });
+    } catch (error) {
+      console.error('Forgot password error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to process password reset request'
+      });
+    }
+  }
+
+  // Set a new password with an emailed reset token and sign out everywhere
+  async resetPassword(req, res) {
+    try {
+      const { token, password } = req.body;
+
+      const user = await User.consumeAuthToken('passwordReset', token);
+
+      if (!user || !user.isActive) {
         return res.status(400).json({
           success: false,
-          error: 'Admin user already exists'
+          error: 'Invalid or expired reset link'
         });
       }
 
-      const { username, email, password } = req.body;
+      user.password = password;
+      // Following the emailed link proves ownership of the address
+      user.emailVerified = true;
+      await user.save();
 
-      // Create admin user
-      const admin = new User({
-        username,
-        email,
+      const result = await Session.endAuthSessions(user._id);
+      await LoginThrottle.clear('account', user.email);
+      console.log(`Password reset ended ${result.modifiedCount} auth sessions for user:`, user._id);
+
+      res.clearCookie(SESSION_CONFIG.COOKIE_NAMES?.AUTH || 'session_id', {
+        path: '/',
+        httpOnly: true,
+        secure: process.env.NODE_ENV === 'production',
+        sameSite: process.env.NODE_ENV === 'production' ? 'none' : 'strict'
+      });
+
+      res.json({
+        success: true,
+        message: 'Password reset successfully. Please log in with your new password'
+      });
+    } catch (error) {
+      console.error('Reset password error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to reset password'
+      });
+    }
+  }
+
+  // Confirm an email address with an emailed verification token
+  async verifyEmail(req, res) {
+    try {
+      const user = await User.consumeAuthToken('emailVerification', req.body.token);
+
+      if (!user) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid or expired verification link'
+        });
+      }
+
+      await User.updateOne({ _id: user._id }, { emailVerified: true });
+
+      res.json({
+        success: true,
+        message: 'Email verified successfully'
+      });
+    } catch (error) {
+      console.error('Verify email error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to verify email'
+      });
+    }
+  }
+
+  // Lift a failed-login lockout with the emailed unlock link
+  async unlockAccount(req, res) {
+    try {
+      const throttle = await LoginThrottle.unlockWithToken(req.body.token);
+
+      if (!throttle) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid or expired unlock link'
+        });
+      }
+
+      await recordLoginEvent(req, 'unlocked', { email: throttle.key, method: 'email' });
+
+      res.json({
+        success: true,
+        message: 'Account unlocked. You can log in again'
+      });
+    } catch (error) {
+      console.error('Unlock account error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to unlock account'
+      });
+    }
+  }
+
+  // Send a fresh verification link to the logged-in user
+  async resendVerification(req, res) {
+    try {
+      if (req.user.emailVerified !== false) {
+        return res.status(400).json({
+          success: false,
+          error: 'Email is already verified'
+        });
+      }
+
+      const token = await req.user.createAuthToken('emailVerification');
+      await emailService.sendEmailVerification(req.user, token);
+
+      res.json({
+        success: true,
+        message: 'Verification email sent'
+      });
+    } catch (error) {
+      console.error('Resend verification error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to send verification email'
+      });
+    }
+  }
+
+  // Finish a two-step login with an authenticator or backup code (pending session)
+  async verifyTwoFactorLogin(req, res) {
+    try {
+      if (req.pendingSession.pendingLogin?.stage !== 'two_factor') {
+        return res.status(400).json({
+          success: false,
+          error: 'Set up two-factor authentication to continue'
+        });
+      }
+
+      if (await rejectThrottledLogin(req, res, req.user.email)) return;
+
+      const result = await User.verifyTwoFactorCode(req.user._id, req.body.code);
+
+      if (!result) {
+        // Wrong codes count against the account like wrong passwords do
+        await handleFailedLogin(req, req.user.email, req.user, 'invalid_two_factor_code');
+        return res.status(401).json(await recordFailedCode(res, req.pendingSession));
+      }
+
+      if (!(await completePendingLogin(res, req.pendingSession))) {
+        return res.status(401).json({
+          success: false,
+          error: 'Login expired. Please log in again'
+        });
+      }
+
+      const { session, isConvertedFromTracking } = await issueAuthSession(req, res, req.user);
+      await recordLoginSuccess(req, req.user, session, { method: result.method });
+
+      const response = buildLoginResponse(req.user, session, isConvertedFromTracking);
+      response.data.twoFactor = result;
+
+      res.json(response);
+    } catch (error) {
+      console.error('Two-factor login error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to verify authentication code'
+      });
+    }
+  }
+
+  // Confirm the emailed code that unlocks first-time enrollment on a pending login
+  async confirmTwoFactorEnrollment(req, res) {
+    try {
+      const pendingSession = await Session.findById(req.pendingSession._id).select('+pendingLogin.emailCode');
+
+      if (!pendingSession || pendingSession.pendingLogin?.stage !== 'two_factor_setup') {
+        return res.status(400).json({
+          success: false,
+          error: 'This login does not need two-factor setup'
+        });
+      }
+
+      if (pendingSession.pendingLogin.emailConfirmed) {
+        return res.json({
+          success: true,
+          message: 'Email confirmed. Set up your authenticator app to continue'
+        });
+      }
+
+      const expected = pendingSession.pendingLogin.emailCode;
+      const submitted = hashEnrollmentCode(String(req.body.code).replace(/\s/g, ''));
+      const matches = Boolean(expected) &&
+        crypto.timingSafeEqual(Buffer.from(submitted), Buffer.from(expected));
+
+      if (!matches) {
+        return res.status(401).json(await recordFailedCode(res, req.pendingSession));
+      }
+
+      await Session.updateOne(
+        { _id: pendingSession._id, isActive: true },
+        {
+          $set: { 'pendingLogin.emailConfirmed': true, 'pendingLogin.attempts': 0 },
+          $unset: { 'pendingLogin.emailCode': 1 }
+        }
+      );
+
+      res.json({
+        success: true,
+        message: 'Email confirmed. Set up your authenticator app to continue'
+      });
+    } catch (error) {
+      console.error('Confirm two-factor enrollment error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to confirm two-factor setup'
+      });
+    }
+  }
+
+  // Two-factor status for the logged-in user
+  async getTwoFactorStatus(req, res) {
+    try {
+      const user = await User.findById(req.user._id).select('+twoFactor.backupCodes');
+
+      res.json({
+        success: true,
+        data: {
+          enabled: Boolean(user.twoFactor?.enabled),
+          enabledAt: user.twoFactor?.enabledAt || null,
+          required: await SecuritySettings.isTwoFactorRequired(user.role),
+          backupCodesRemaining: user.twoFactor?.enabled ? user.twoFactor.backupCodes.length : 0
+        }
+      });
+    } catch (error) {
+      console.error('Get two-factor status error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to get two-factor status'
+      });
+    }
+  }
+
+  // Start TOTP enrollment: a new secret plus the otpauth:// URI to render as a QR code
+  // (logged-in user, or a pending login whose role requires two-factor)
+  async setupTwoFactor(req, res) {
+    try {
+      if (req.user.twoFactor?.enabled) {
+        return res.status(400).json({
+          success: false,
+          error: 'Two-factor authentication is already enabled'
+        });
+      }
+
+      if (needsEnrollmentConfirmation(req.pendingSession)) {
+        return res.status(403).json({
+          success: false,
+          error: ENROLLMENT_UNCONFIRMED_ERROR
+        });
+      }
+
+      const secret = generateSecret();
+      await User.updateOne({ _id: req.user._id }, { 'twoFactor.pendingSecret': secret });
+
+      const { issuer } = authConfig.twoFactor;
+
+      res.json({
+        success: true,
+        message: 'Scan the QR code with your authenticator app, then confirm with a code',
+        data: {
+          secret,
+          otpauthUrl: buildOtpAuthUrl({ secret, accountName: req.user.email, issuer }),
+          issuer,
+          accountName: req.user.email
+        }
+      });
+    } catch (error) {
+      console.error('Two-factor setup error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to start two-factor setup'
+      });
+    }
+  }
+
+  // Confirm enrollment with a code from the new secret and issue backup codes.
+  // On a pending login this also completes the sign-in.
+  async enableTwoFactor(req, res) {
+    try {
+      const user = await User.findById(req.user._id).select('+twoFactor.pendingSecret');
+
+      if (user.twoFactor?.enabled) {
+        return res.status(400).json({
+          success: false,
+          error: 'Two-factor authentication is already enabled'
+        });
+      }
+
+      if (needsEnrollmentConfirmation(req.pendingSession)) {
+        return res.status(403).json({
+          success: false,
+          error: ENROLLMENT_UNCONFIRMED_ERROR
+        });
+      }
+
+      if (!user.twoFactor?.pendingSecret) {
+        return res.status(400).json({
+          success: false,
+          error: 'Start two-factor setup first'
+        });
+      }
+
+      const step = verifyCode(user.twoFactor.pendingSecret, req.body.code, { window: authConfig.twoFactor.window });
+
+      if (step === null) {
+        if (req.pendingSession) {
+          return res.status(401).json(await recordFailedCode(res, req.pendingSession));
+        }
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid authentication code'
+        });
+      }
+
+      if (req.pendingSession && !(await completePendingLogin(res, req.pendingSession))) {
+        return res.status(401).json({
+          success: false,
+          error: 'Login expired. Please log in again'
+        });
+      }
+
+      user.twoFactor.secret = user.twoFactor.pendingSecret;
+      user.twoFactor.pendingSecret = undefined;
+      user.twoFactor.lastUsedStep = step;
+      user.twoFactor.enabled = true;
+      user.twoFactor.enabledAt = new Date();
+      const backupCodes = user.generateBackupCodes();
+      await user.save();
+
+      const message = 'Two-factor authentication enabled. Store your backup codes somewhere safe; they are shown only once';
+
+      if (!req.pendingSession) {
+        return res.json({
+          success: true,
+          message,
+          data: { backupCodes }
+        });
+      }
+
+      const { session, isConvertedFromTracking } = await issueAuthSession(req, res, user);
+      await recordLoginSuccess(req, user, session, { method: 'totp', enrolled: true });
+
+      const response = buildLoginResponse(user, session, isConvertedFromTracking);
+      response.message = message;
+      response.data.backupCodes = backupCodes;
+
+      res.json(response);
+    } catch (error) {
+      console.error('Enable two-factor error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to enable two-factor authentication'
+      });
+    }
+  }
+
+  // Turn two-factor off; needs the password and a current code
+  async disableTwoFactor(req, res) {
+    try {
+      const { password, code } = req.body;
+      const user = await User.findById(req.user._id);
+
+      if (!user.twoFactor?.enabled) {
+        return res.status(400).json({
+          success: false,
+          error: 'Two-factor authentication is not enabled'
+        });
+      }
+
+      if (await SecuritySettings.isTwoFactorRequired(user.role)) {
+        return res.status(403).json({
+          success: false,
+          error: 'Two-factor authentication is required for your role'
+        });
+      }
+
+      // Wrong passwords and codes count against the login throttle, so a stolen
+      // session can't be used to guess its way to turning two-factor off
+      if (await rejectThrottledLogin(req, res, user.email)) return;
+
+      if (!(await user.comparePassword(password)) || !(await User.verifyTwoFactorCode(user._id, code))) {
+        await handleFailedLogin(req, user.email, user, 'invalid_two_factor_disable');
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid password or authentication code'
+        });
+      }
+
+      await User.updateOne(
+        { _id: user._id },
+        {
+          $set: { 'twoFactor.enabled': false },
+          $unset: {
+            'twoFactor.enabledAt': 1,
+            'twoFactor.secret': 1,
+            'twoFactor.pendingSecret': 1,
+            'twoFactor.backupCodes': 1,
+            'twoFactor.lastUsedStep': 1
+          }
+        }
+      );
+
+      res.json({
+        success: true,
+        message: 'Two-factor authentication disabled'
+      });
+    } catch (error) {
+      console.error('Disable two-factor error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to disable two-factor authentication'
+      });
+    }
+  }
+
+  // Replace the backup codes; needs a current code
+  async regenerateBackupCodes(req, res) {
+    try {
+      if (!req.user.twoFactor?.enabled) {
+        return res.status(400).json({
+          success: false,
+          error: 'Two-factor authentication is not enabled'
+        });
+      }
+
+      // Wrong codes count against the login throttle, as on sign-in
+      if (await rejectThrottledLogin(req, res, req.user.email)) return;
+
+      if (!(await User.verifyTwoFactorCode(req.user._id, req.body.code))) {
+        await handleFailedLogin(req, req.user.email, req.user, 'invalid_two_factor_code');
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid authentication code'
+        });
+      }
+
+      const user = await User.findById(req.user._id);
+      const backupCodes = user.generateBackupCodes();
+      await user.save();
+
+      res.json({
+        success: true,
+        message: 'New backup codes generated; the old ones no longer work',
+        data: { backupCodes }
+      });
+    } catch (error) {
+      console.error('Regenerate backup codes error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to generate backup codes'
+      });
+    }
+  }
+
+  // Sign-in providers that are configured, for the login page
+  async getOAuthProviders(req, res) {
+    res.json({
+      success: true,
+      data: { providers: listProviders() }
+    });
+  }
+
+  // Start a provider sign-in: remember state and the PKCE verifier, then send
+  // the browser to the provider's consent screen
+  async startOAuth(req, res) {
+    try {
+      const provider = getProvider(req.params.provider);
+      if (!provider) {
+        return res.status(404).json({
+          success: false,
+          error: 'Sign-in provider not available'
+        });
+      }
+
+      const state = crypto.randomBytes(24).toString('hex');
+      const { verifier, challenge } = createPkcePair();
+
+      res.cookie(OAUTH_STATE_COOKIE, JSON.stringify({
+        state,
+        verifier,
+        provider: req.params.provider,
+        returnTo: safeReturnTo(req.query.returnTo)
+      }), {
+        httpOnly: true,
+        maxAge: oauthConfig.stateTtlMinutes * 60 * 1000,
+        path: '/'
+      });
+
+      res.redirect(provider.buildAuthorizationUrl({ state, codeChallenge: challenge, query: req.query }));
+    } catch (error) {
+      console.error('Start OAuth error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to start sign-in'
+      });
+    }
+  }
+
+  // Provider callback: find or create the account for the profile and log it in
+  // the same way a password login does
+  async oauthCallback(req, res) {
+    const providerId = req.params.provider;
+
+    const fail = async (reason, details = {}) => {
+      await recordLoginEvent(req, 'failure', { method: `oauth_${providerId}`, reason, ...details });
+      redirectToFrontend(res, oauthConfig.redirects.error, { oauthError: reason });
+    };
+
+    try {
+      let stored = null;
+      try {
+        stored = JSON.parse(req.cookies?.[OAUTH_STATE_COOKIE] || 'null');
+      } catch (parseError) {
+        stored = null;
+      }
+      res.clearCookie(OAUTH_STATE_COOKIE, { path: '/', httpOnly: true });
+
+      const provider = getProvider(providerId);
+      if (!provider) {
+        return res.status(404).json({
+          success: false,
+          error: 'Sign-in provider not available'
+        });
+      }
+
+      if (req.query.error) {
+        return await fail('cancelled', { providerError: String(req.query.error) });
+      }
+
+      if (!stored || stored.provider !== providerId || typeof req.query.state !== 'string' ||
+          stored.state !== req.query.state || typeof req.query.code !== 'string') {
+        return await fail('invalid_state');
+      }
+
+      const profile = await provider.fetchProfile({ code: req.query.code, codeVerifier: stored.verifier });
+      const result = await User.resolveOAuthProfile(profile, { defaultRole: oauthConfig.defaultRole });
+
+      if (result.error) {
+        return await fail(result.error, { email: profile.email });
+      }
+
+      const { user, created, linked } = result;
+      if (!user.isActive) {
+        return await fail('account_deactivated', { email: user.email, user });
+      }
+
+      if (created) {
+        console.log(`Account created from ${providerId} sign-in:`, user.email);
+      } else if (linked) {
+        console.log(`${providerId} sign-in linked to existing account:`, user.email);
+      }
+
+      // Two-factor still applies to accounts that have it or whose role requires it
+      const twoFactorRequired = await SecuritySettings.isTwoFactorRequired(user.role);
+      if (user.twoFactor?.enabled || twoFactorRequired) {
+        const stage = user.twoFactor?.enabled ? 'two_factor' : 'two_factor_setup';
+        const pendingSession = await startPendingLogin(req, res, user, stage);
+        await recordLoginEvent(req, 'two_factor_pending', {
+          user,
+          sessionId: pendingSession.sessionId,
+          stage,
+          method: `oauth_${providerId}`
+        });
+
+        return redirectToFrontend(res, oauthConfig.redirects.twoFactor, { stage });
+      }
+
+      const { session } = await issueAuthSession(req, res, user);
+      await recordLoginSuccess(req, user, session, { method: `oauth_${providerId}`, created, linked });
+
+      redirectToFrontend(res, stored.returnTo || oauthConfig.redirects.success);
+    } catch (error) {
+      console.error('OAuth callback error:', error);
+      try {
+        await fail('sign_in_failed');
+      } catch (redirectError) {
+        console.error('OAuth failure redirect error:', redirectError);
+        res.status(500).json({
+          success: false,
+          error: 'Failed to sign in'
+        });
+      }
+    }
+  }
+
+  // Create initial admin user
+  async createAdmin(req, res) {
+    try {
+      // Check if any admin already exists
+      const existingAdmin = await User.findOne({ role: 'admin' });
+      if (existingAdmin) {
+        return res.status(400).json({
+          success: false,
+          error: 'Admin user already exists'
+        });
+      }
+
+      const { username, email, password } = req.body;
+
+      // Create admin user
+      const admin = new User({
+        username,
+        email,
         password,
         role: 'admin',
-        isActive: true
+        isActive: true,
+        emailVerified: true // Bootstrap account; email may not be configured yet
       });
 
       await admin.save();
@@ -0,0 +1,78 @@
+const User = require('../models/User');
+const Article = require('../models/Article');
+const { CREDITS_POPULATE } = require('../models/Article');
+
+class AuthorController {
+  // Get an author's public profile, stats and published articles (Public)
+  async getAuthorProfile(req, res) {
+    try {
+      const page = parseInt(req.query.page) || 1;
+      const limit = Math.min(parseInt(req.query.limit) || 10, 50);
+      const skip = (page - 1) * limit;
+
+      const author = await User.findOne({
+        username: String(req.params.username).trim(),
+        // Reader accounts only comment, so they have no author page
+        role: { $ne: 'reader' },
+        isActive: true
+      });
+
+      if (!author) {
+        return res.status(404).json({
+          success: false,
+          error: 'Author not found'
+        });
+      }
+
+      // Articles the author wrote, alone or as a credited co-author
+      const query = {
+        ...Article.creditedTo(author._id, 'author'),
+        status: 'published'
+      };
+
+      const [articles, total, totals] = await Promise.all([
+        Article.find(query)
+          .select('title slug excerpt category tags author contributors featuredImage publishedAt readTime views')
+          .populate(CREDITS_POPULATE)
+          .sort({ publishedAt: -1 })
+          .skip(skip)
+          .limit(limit)
+          .lean(),
+        Article.countDocuments(query),
+        Article.aggregate([
+          { $match: query },
+          { $group: { _id: null, totalViews: { $sum: '$views' } } }
+        ])
+      ]);
+
+      const totalPages = Math.ceil(total / limit);
+
+      res.json({
+        success: true,
+        data: {
+          author: author.toPublicProfile(),
+          stats: {
+            articleCount: total,
+            totalViews: totals[0]?.totalViews || 0
+          },
+          articles,
+          pagination: {
+            current: page,
+            total: totalPages,
+            totalItems: total,
+            hasNext: page < totalPages,
+            hasPrev: page > 1
+          }
+        }
+      });
+    } catch (error) {
+      console.error('Get author profile error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch author profile'
+      });
+    }
+  }
+}
+
+module.exports = new AuthorController();
@@ -0,0 +1,202 @@
+const Article = require('../models/Article');
+const Bookmark = require('../models/Bookmark');
+const mongoose = require('mongoose');
+const { calculateTrendingScore } = require('../utils/trendingAlgorithm');
+const { trackEvent } = require('../middleware/tracking');
+
+// Adjust the cached bookmark counter and trending score of an article
+const updateBookmarkCount = async (articleId, delta) => {
+  const article = await Article.findByIdAndUpdate(
+    articleId,
+    { $inc: { bookmarks: delta } },
+    { new: true }
+  );
+
+  if (!article) return null;
+
+  // Guard against drift below zero
+  if (article.bookmarks < 0) {
+    article.bookmarks = 0;
+    await Article.updateOne({ _id: article._id }, { $set: { bookmarks: 0 } });
+  }
+
+  article.trendingScore = calculateTrendingScore(article);
+  await Article.updateOne({ _id: article._id }, { $set: { trendingScore: article.trendingScore } });
+
+  return article;
+};
+
+// Record a bookmark change as an Event; counters are maintained above
+const recordBookmarkEvent = (req, articleId, action) => trackEvent({
+  sessionId: req.session?.sessionId || 'anonymous',
+  userId: req.user._id,
+  articleId,
+  eventType: 'bookmark',
+  eventData: { action },
+  metadata: {
+    ipAddress: req.ip,
+    userAgent: req.headers['user-agent'],
+    referrer: req.headers.referer,
+    pageUrl: req.originalUrl
+  },
+  updateArticleCounters: false
+});
+
+class BookmarkController {
+  // Get the logged-in user's saved articles
+  async getBookmarks(req, res) {
+    try {
+      const page = parseInt(req.query.page) || 1;
+      const limit = Math.min(parseInt(req.query.limit) || 10, 50);
+      const skip = (page - 1) * limit;
+
+      const query = { user: req.user._id };
+
+      const [bookmarks, total] = await Promise.all([
+        Bookmark.find(query)
+          .sort({ createdAt: -1 })
+          .skip(skip)
+          .limit(limit)
+          .populate({
+            path: 'article',
+            select: 'title slug excerpt featuredImage category tags author publishedAt readTime status',
+            populate: { path: 'author', select: 'username avatar' }
+          })
+          .lean(),
+        Bookmark.countDocuments(query)
+      ]);
+
+      const totalPages = Math.ceil(total / limit);
+
+      res.json({
+        success: true,
+        data: {
+          bookmarks: bookmarks
+            .filter(bookmark => bookmark.article)
+            .map(bookmark => ({
+              _id: bookmark._id,
+              savedAt: bookmark.createdAt,
+              isAvailable: bookmark.article.status === 'published',
+              article: bookmark.article
+            })),
+          pagination: {
+            current: page,
+            total: totalPages,
+            totalItems: total,
+            hasNext: page < totalPages,
+            hasPrev: page > 1
+          }
+        }
+      });
+    } catch (error) {
+      console.error('Get bookmarks error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch bookmarks'
+      });
+    }
+  }
+
+  // Save an article to the reading list
+  async addBookmark(req, res) {
+    try {
+      const { articleId } = req.params;
+
+      if (!mongoose.Types.ObjectId.isValid(articleId)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid article ID'
+        });
+      }
+
+      const article = await Article.findOne({ _id: articleId, status: 'published' }).select('_id');
+
+      if (!article) {
+        return res.status(404).json({
+          success: false,
+          error: 'Article not found'
+        });
+      }
+
+      try {
+        await Bookmark.create({ user: req.user._id, article: articleId });
+      } catch (error) {
+        // Duplicate key: already bookmarked, so nothing to count
+        if (error.code === 11000) {
+          return res.json({
+            success: true,
+            data: { articleId, isBookmarked: true },
+            message: 'Article already bookmarked'
+          });
+        }
+        throw error;
+      }
+
+      const updatedArticle = await updateBookmarkCount(articleId, 1);
+      await recordBookmarkEvent(req, articleId, 'add');
+
+      res.status(201).json({
+        success: true,
+        data: {
+          articleId,
+          isBookmarked: true,
+          bookmarks: updatedArticle ? updatedArticle.bookmarks : undefined
+        },
+        message: 'Article bookmarked'
+      });
+    } catch (error) {
+      console.error('Add bookmark error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to bookmark article'
+      });
+    }
+  }
+
+  // Remove an article from the reading list
+  async removeBookmark(req, res) {
+    try {
+      const { articleId } = req.params;
+
+      if (!mongoose.Types.ObjectId.isValid(articleId)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid article ID'
+        });
+      }
+
+      const bookmark = await Bookmark.findOneAndDelete({
+        user: req.user._id,
+        article: articleId
+      });
+
+      if (!bookmark) {
+        return res.status(404).json({
+          success: false,
+          error: 'Bookmark not found'
+        });
+      }
+
+      const updatedArticle = await updateBookmarkCount(articleId, -1);
+      await recordBookmarkEvent(req, articleId, 'remove');
+
+      res.json({
+        success: true,
+        data: {
+          articleId,
+          isBookmarked: false,
+          bookmarks: updatedArticle ? updatedArticle.bookmarks : undefined
+        },
+        message: 'Bookmark removed'
+      });
+    } catch (error) {
+      console.error('Remove bookmark error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to remove bookmark'
+      });
+    }
+  }
+}
+
+module.exports = new BookmarkController();
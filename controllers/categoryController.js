@@ -0,0 +1,347 @@
+const Category = require('../models/Category');
+const Article = require('../models/Article');
+const mongoose = require('mongoose');
+const { requestSitemapRegeneration } = require('../utils/sitemapGenerator');
+
+// Published article counts keyed by category slug
+const getArticleCounts = async () => {
+  const counts = await Article.aggregate([
+    { $match: { status: 'published' } },
+    { $group: { _id: '$category', count: { $sum: 1 } } }
+  ]);
+
+  return counts.reduce((map, { _id, count }) => {
+    map[_id] = count;
+    return map;
+  }, {});
+};
+
+// Nest a flat, sorted category list under its parents
+const buildCategoryTree = (categories) => {
+  const byId = new Map(categories.map(category => [category._id.toString(), { ...category, children: [] }]));
+  const roots = [];
+
+  for (const category of byId.values()) {
+    const parentId = category.parent ? category.parent.toString() : null;
+    if (parentId && byId.has(parentId)) {
+      byId.get(parentId).children.push(category);
+    } else {
+      roots.push(category);
+    }
+  }
+
+  return roots;
+};
+
+// Validate a proposed parent; returns an error message or null
+const validateParent = async (parent, categoryId = null) => {
+  if (!parent) return null;
+
+  if (!mongoose.Types.ObjectId.isValid(parent)) {
+    return 'Parent must be a valid category ID';
+  }
+
+  const parentCategory = await Category.findById(parent).select('_id');
+  if (!parentCategory) {
+    return 'Parent category not found';
+  }
+
+  if (categoryId && await Category.wouldCreateCycle(categoryId, parent)) {
+    return 'A category cannot be nested under itself or its subcategories';
+  }
+
+  return null;
+};
+
+class CategoryController {
+  // Get all categories as a tree, or a flat list with ?flat=true (Public)
+  async getCategories(req, res) {
+    try {
+      const [categories, articleCounts] = await Promise.all([
+        Category.find()
+          .select('slug name description parent sortOrder')
+          .sort({ sortOrder: 1, name: 1 })
+          .lean(),
+        getArticleCounts()
+      ]);
+
+      const withCounts = categories.map(category => ({
+        ...category,
+        articleCount: articleCounts[category.slug] || 0
+      }));
+
+      res.json({
+        success: true,
+        data: req.query.flat === 'true' ? withCounts : buildCategoryTree(withCounts)
+      });
+    } catch (error) {
+      console.error('Get categories error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch categories'
+      });
+    }
+  }
+
+  // Get a single category with its parent, subcategories and SEO fields (Public)
+  async getCategoryBySlug(req, res) {
+    try {
+      const category = await Category.findOne({ slug: req.params.slug.toLowerCase() })
+        .populate('parent', 'slug name')
+        .lean();
+
+      if (!category) {
+        return res.status(404).json({
+          success: false,
+          error: 'Category not found'
+        });
+      }
+
+      const children = await Category.find({ parent: category._id })
+        .select('slug name description sortOrder')
+        .sort({ sortOrder: 1, name: 1 })
+        .lean();
+
+      const articleCount = await Article.countDocuments({
+        category: category.slug,
+        status: 'published'
+      });
+
+      res.json({
+        success: true,
+        data: {
+          ...category,
+          children,
+          articleCount,
+          seo: {
+            title: category.metaTitle || category.name,
+            description: category.metaDescription || category.description || '',
+            image: category.ogImage || null
+          }
+        }
+      });
+    } catch (error) {
+      console.error('Get category error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch category'
+      });
+    }
+  }
+
+  // Create a category (Admin only)
+  async createCategory(req, res) {
+    try {
+      const { name, description, parent, sortOrder, metaTitle, metaDescription, ogImage } = req.body;
+
+      if (!name || !name.trim()) {
+        return res.status(400).json({
+          success: false,
+          error: 'Name is required'
+        });
+      }
+
+      const slug = Category.toSlug(req.body.slug || name);
+      if (!slug) {
+        return res.status(400).json({
+          success: false,
+          error: 'Slug is required'
+        });
+      }
+
+      const existingCategory = await Category.resolve(name) || await Category.findOne({ slug });
+      if (existingCategory) {
+        return res.status(400).json({
+          success: false,
+          error: 'A category with this name or slug already exists'
+        });
+      }
+
+      const parentError = await validateParent(parent);
+      if (parentError) {
+        return res.status(400).json({
+          success: false,
+          error: parentError
+        });
+      }
+
+      const category = await Category.create({
+        slug,
+        name,
+        description,
+        parent: parent || null,
+        sortOrder,
+        metaTitle,
+        metaDescription,
+        ogImage
+      });
+
+      requestSitemapRegeneration();
+
+      res.status(201).json({
+        success: true,
+        data: category
+      });
+    } catch (error) {
+      console.error('Create category error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to create category'
+      });
+    }
+  }
+
+  // Update a category; renaming the slug moves its articles along (Admin only)
+  async updateCategory(req, res) {
+    try {
+      const { id } = req.params;
+
+      const category = await Category.findById(id);
+
+      if (!category) {
+        return res.status(404).json({
+          success: false,
+          error: 'Category not found'
+        });
+      }
+
+      const { name, parent } = req.body;
+      const previousSlug = category.slug;
+
+      if (name !== undefined) {
+        if (!name.trim()) {
+          return res.status(400).json({
+            success: false,
+            error: 'Name is required'
+          });
+        }
+
+        const existingCategory = await Category.resolve(name);
+        if (existingCategory && !existingCategory._id.equals(category._id)) {
+          return res.status(400).json({
+            success: false,
+            error: 'A category with this name already exists'
+          });
+        }
+        category.name = name;
+      }
+
+      if (req.body.slug !== undefined) {
+        const slug = Category.toSlug(req.body.slug);
+        if (!slug) {
+          return res.status(400).json({
+            success: false,
+            error: 'Slug is required'
+          });
+        }
+
+        const existingCategory = await Category.findOne({ slug, _id: { $ne: id } });
+        if (existingCategory) {
+          return res.status(400).json({
+            success: false,
+            error: 'A category with this slug already exists'
+          });
+        }
+        category.slug = slug;
+      }
+
+      if (parent !== undefined) {
+        const parentError = await validateParent(parent, category._id);
+        if (parentError) {
+          return res.status(400).json({
+            success: false,
+            error: parentError
+          });
+        }
+        category.parent = parent || null;
+      }
+
+      ['description', 'sortOrder', 'metaTitle', 'metaDescription', 'ogImage'].forEach(field => {
+        if (req.body[field] !== undefined) category[field] = req.body[field];
+      });
+
+      await category.save();
+
+      // Articles reference categories by slug
+      if (category.slug !== previousSlug) {
+        await Article.updateMany({ category: previousSlug }, { $set: { category: category.slug, contentUpdatedAt: new Date() } });
+      }
+
+      requestSitemapRegeneration();
+
+      res.json({
+        success: true,
+        data: category
+      });
+    } catch (error) {
+      console.error('Update category error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to update category'
+      });
+    }
+  }
+
+  // Delete a category, optionally moving its articles to ?reassignTo=<slug> (Admin only)
+  async deleteCategory(req, res) {
+    try {
+      const { id } = req.params;
+      const { reassignTo } = req.query;
+
+      const category = await Category.findById(id);
+
+      if (!category) {
+        return res.status(404).json({
+          success: false,
+          error: 'Category not found'
+        });
+      }
+
+      const childCount = await Category.countDocuments({ parent: category._id });
+      if (childCount > 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Move or delete the subcategories of this category first'
+        });
+      }
+
+      const articleCount = await Article.countDocuments({ category: category.slug });
+
+      if (articleCount > 0) {
+        if (!reassignTo) {
+          return res.status(400).json({
+            success: false,
+            error: `Category is used by ${articleCount} articles; pass reassignTo to move them`
+          });
+        }
+
+        const target = await Category.findOne({ slug: reassignTo.toLowerCase() });
+        if (!target || target._id.equals(category._id)) {
+          return res.status(400).json({
+            success: false,
+            error: 'Invalid category to reassign articles to'
+          });
+        }
+
+        await Article.updateMany({ category: category.slug }, { $set: { category: target.slug, contentUpdatedAt: new Date() } });
+      }
+
+      await Category.deleteOne({ _id: category._id });
+      requestSitemapRegeneration();
+
+      res.json({
+        success: true,
+        data: { reassignedArticles: articleCount },
+        message: 'Category deleted successfully'
+      });
+    } catch (error) {
+      console.error('Delete category error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to delete category'
+      });
+    }
+  }
+}
+
+module.exports = new CategoryController();
@@ -0,0 +1,770 @@
+const Article = require('../models/Article');
+const mongoose = require('mongoose');
+const commentConfig = require('../config/comment-config');
+const { calculateTrendingScore } = require('../utils/trendingAlgorithm');
+const { trackEvent } = require('../middleware/tracking');
+
+// Nest a flat list of comments under their parents
+const buildCommentTree = (comments) => {
+  const byId = new Map();
+  const roots = [];
+
+  comments.forEach(comment => {
+    byId.set(comment._id.toString(), { ...comment, replies: [] });
+  });
+
+  byId.forEach(comment => {
+    const parentId = comment.parentComment && comment.parentComment.toString();
+    if (parentId && byId.has(parentId)) {
+      byId.get(parentId).replies.push(comment);
+    } else {
+      roots.push(comment);
+    }
+  });
+
+  return roots;
+};
+
+// Apply a moderation action to a comment subdocument
+const applyModeration = (comment, action, moderatorId) => {
+  comment.status = commentConfig.moderationActions[action];
+  comment.moderatedBy = moderatorId;
+  comment.moderatedAt = new Date();
+};
+
+// Identify who is reacting: the logged-in user, otherwise the tracking session
+const getReactionActor = (req) => {
+  if (req.user) return { user: req.user._id };
+  if (req.session?.sessionId) return { sessionId: req.session.sessionId };
+  return null;
+};
+
+// Query fragment matching an actor's entry in likedBy or reactions
+const actorMatch = (actor) => actor.user
+  ? { user: actor.user }
+  : { sessionId: actor.sessionId, user: null };
+
+// Query fragment matching a comment readers can react to
+const reactableComment = (commentId, extra = {}) => ({
+  _id: new mongoose.Types.ObjectId(commentId),
+  status: { $in: ['approved', null] },
+  isDeleted: { $ne: true },
+  ...extra
+});
+
+// Recalculate the trending score after a comment engagement change
+const refreshTrendingScore = async (article) => {
+  await Article.updateOne(
+    { _id: article._id },
+    { $set: { trendingScore: calculateTrendingScore(article) } }
+  );
+};
+
+// Summarise the likes and reactions of a comment for responses
+const summariseReactions = (comment, actor) => {
+  const match = (entry) => actor.user
+    ? entry.user && entry.user.toString() === actor.user.toString()
+    : !entry.user && entry.sessionId === actor.sessionId;
+
+  const reactionCounts = {};
+  Object.keys(commentConfig.reactions).forEach(reaction => {
+    reactionCounts[reaction] = 0;
+  });
+  (comment.reactions || []).forEach(({ reaction }) => {
+    reactionCounts[reaction] = (reactionCounts[reaction] || 0) + 1;
+  });
+
+  const ownReaction = (comment.reactions || []).find(match);
+
+  return {
+    commentId: comment._id,
+    likes: comment.likes,
+    hasLiked: (comment.likedBy || []).some(match),
+    reactionCounts,
+    reaction: ownReaction ? ownReaction.reaction : null
+  };
+};
+
+// Record a comment engagement as an Event without touching article counters
+const recordCommentEvent = (req, actor, articleId, eventType, eventData) => trackEvent({
+  sessionId: actor.sessionId || req.session?.sessionId || 'anonymous',
+  userId: actor.user,
+  articleId,
+  eventType,
+  eventData: { target: 'comment', ...eventData },
+  metadata: {
+    ipAddress: req.ip,
+    userAgent: req.headers['user-agent'],
+    referrer: req.headers.referer,
+    pageUrl: req.originalUrl
+  },
+  updateArticleCounters: false
+});
+
+class CommentController {
+  // Get the visible comments of an article as a reply tree
+  async getComments(req, res) {
+    try {
+      const { id } = req.params;
+
+      if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid article ID'
+        });
+      }
+
+      const article = await Article.findOne({ _id: id, status: 'published' })
+        .select('comments commentCount')
+        .populate({
+          path: 'comments.user',
+          select: 'username avatar',
+          options: { strictPopulate: false }
+        });
+
+      if (!article) {
+        return res.status(404).json({
+          success: false,
+          error: 'Article not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          comments: buildCommentTree(article.getPublicComments()),
+          commentCount: article.commentCount
+        }
+      });
+    } catch (error) {
+      console.error('Get comments error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch comments'
+      });
+    }
+  }
+
+  // Edit own comment within the configured time window
+  async editComment(req, res) {
+    try {
+      const { id, commentId } = req.params;
+      const { content } = req.body;
+
+      if (typeof content !== 'string' || !content.trim()) {
+        return res.status(400).json({
+          success: false,
+          error: 'Comment content is required'
+        });
+      }
+
+      if (content.length > commentConfig.maxLength) {
+        return res.status(400).json({
+          success: false,
+          error: `Comments can be at most ${commentConfig.maxLength} characters`
+        });
+      }
+
+      if (!mongoose.Types.ObjectId.isValid(id) || !mongoose.Types.ObjectId.isValid(commentId)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid article or comment ID'
+        });
+      }
+
+      const article = await Article.findById(id);
+
+      if (!article) {
+        return res.status(404).json({
+          success: false,
+          error: 'Article not found'
+        });
+      }
+
+      const comment = article.comments.id(commentId);
+
+      if (!comment || comment.isDeleted) {
+        return res.status(404).json({
+          success: false,
+          error: 'Comment not found'
+        });
+      }
+
+      if (!comment.user || comment.user.toString() !== req.user._id.toString()) {
+        return res.status(403).json({
+          success: false,
+          error: 'Not authorized to edit this comment'
+        });
+      }
+
+      const editWindowMs = commentConfig.editWindowMinutes * 60 * 1000;
+      if (Date.now() - comment.createdAt.getTime() > editWindowMs) {
+        return res.status(403).json({
+          success: false,
+          error: `Comments can only be edited within ${commentConfig.editWindowMinutes} minutes of posting`
+        });
+      }
+
+      comment.content = content;
+      comment.editedAt = new Date();
+
+      // Edited text goes through moderation again, as a new comment would.
+      // Rejected and spam comments stay that way.
+      if (['approved', 'pending', undefined, null].includes(comment.status)) {
+        comment.status = await Article.resolveCommentStatus(req.user, { excludeCommentId: comment._id });
+        if (comment.status === 'pending') {
+          comment.moderatedBy = undefined;
+          comment.moderatedAt = undefined;
+        }
+      }
+
+      await article.save();
+
+      res.json({
+        success: true,
+        data: comment
+      });
+    } catch (error) {
+      console.error('Edit comment error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to edit comment'
+      });
+    }
+  }
+
+  // Soft delete a comment (comment author, admin or editor)
+  async deleteComment(req, res) {
+    try {
+      const { id, commentId } = req.params;
+
+      if (!mongoose.Types.ObjectId.isValid(id) || !mongoose.Types.ObjectId.isValid(commentId)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid article or comment ID'
+        });
+      }
+
+      const article = await Article.findById(id);
+
+      if (!article) {
+        return res.status(404).json({
+          success: false,
+          error: 'Article not found'
+        });
+      }
+
+      const comment = article.comments.id(commentId);
+
+      if (!comment || comment.isDeleted) {
+        return res.status(404).json({
+          success: false,
+          error: 'Comment not found'
+        });
+      }
+
+      const isOwner = comment.user && comment.user.toString() === req.user._id.toString();
+      if (!isOwner && !commentConfig.trustedRoles.includes(req.user.role)) {
+        return res.status(403).json({
+          success: false,
+          error: 'Not authorized to delete this comment'
+        });
+      }
+
+      comment.isDeleted = true;
+      comment.deletedAt = new Date();
+      article.trendingScore = calculateTrendingScore(article);
+      await article.save();
+
+      res.json({
+        success: true,
+        message: 'Comment deleted successfully',
+        data: { commentCount: article.commentCount }
+      });
+    } catch (error) {
+      console.error('Delete comment error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to delete comment'
+      });
+    }
+  }
+
+  // Like a comment (once per user or session)
+  async likeComment(req, res) {
+    try {
+      const { id, commentId } = req.params;
+      const actor = getReactionActor(req);
+
+      if (!actor) {
+        return res.status(400).json({
+          success: false,
+          error: 'A session is required to like comments'
+        });
+      }
+
+      if (!mongoose.Types.ObjectId.isValid(id) || !mongoose.Types.ObjectId.isValid(commentId)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid article or comment ID'
+        });
+      }
+
+      // Only matches when this actor has not liked the comment yet
+      const article = await Article.findOneAndUpdate(
+        {
+          _id: id,
+          comments: {
+            $elemMatch: reactableComment(commentId, {
+              likedBy: { $not: { $elemMatch: actorMatch(actor) } }
+            })
+          }
+        },
+        {
+          $push: { 'comments.$.likedBy': { ...actor, createdAt: new Date() } },
+          $inc: { 'comments.$.likes': 1 }
+        },
+        { new: true }
+      );
+
+      if (!article) {
+        const existing = await Article.findOne(
+          { _id: id, comments: { $elemMatch: reactableComment(commentId) } },
+          { 'comments.$': 1 }
+        );
+
+        if (!existing) {
+          return res.status(404).json({
+            success: false,
+            error: 'Comment not found'
+          });
+        }
+
+        // Already liked: report the current state without counting again
+        return res.json({
+          success: true,
+          data: summariseReactions(existing.comments[0], actor)
+        });
+      }
+
+      await refreshTrendingScore(article);
+      await recordCommentEvent(req, actor, article._id, 'like', { commentId, action: 'like' });
+
+      res.json({
+        success: true,
+        data: summariseReactions(article.comments.id(commentId), actor)
+      });
+    } catch (error) {
+      console.error('Like comment error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to like comment'
+      });
+    }
+  }
+
+  // Remove a like from a comment
+  async unlikeComment(req, res) {
+    try {
+      const { id, commentId } = req.params;
+      const actor = getReactionActor(req);
+
+      if (!actor) {
+        return res.status(400).json({
+          success: false,
+          error: 'A session is required to unlike comments'
+        });
+      }
+
+      if (!mongoose.Types.ObjectId.isValid(id) || !mongoose.Types.ObjectId.isValid(commentId)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid article or comment ID'
+        });
+      }
+
+      // Only matches when this actor has liked the comment
+      let article = await Article.findOneAndUpdate(
+        {
+          _id: id,
+          comments: {
+            $elemMatch: {
+              _id: new mongoose.Types.ObjectId(commentId),
+              likedBy: { $elemMatch: actorMatch(actor) }
+            }
+          }
+        },
+        {
+          $pull: { 'comments.$.likedBy': actorMatch(actor) },
+          $inc: { 'comments.$.likes': -1 }
+        },
+        { new: true }
+      );
+
+      if (article) {
+        await refreshTrendingScore(article);
+      } else {
+        article = await Article.findOne({ _id: id, 'comments._id': commentId });
+      }
+
+      const comment = article && article.comments.id(commentId);
+
+      if (!comment) {
+        return res.status(404).json({
+          success: false,
+          error: 'Comment not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: summariseReactions(comment, actor)
+      });
+    } catch (error) {
+      console.error('Unlike comment error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to unlike comment'
+      });
+    }
+  }
+
+  // React to a comment with one of the configured emoji (one reaction per user or session)
+  async reactToComment(req, res) {
+    try {
+      const { id, commentId } = req.params;
+      const { reaction } = req.body;
+      const actor = getReactionActor(req);
+
+      if (!commentConfig.reactions[reaction]) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid reaction',
+          allowedReactions: commentConfig.reactions
+        });
+      }
+
+      if (!actor) {
+        return res.status(400).json({
+          success: false,
+          error: 'A session is required to react to comments'
+        });
+      }
+
+      if (!mongoose.Types.ObjectId.isValid(id) || !mongoose.Types.ObjectId.isValid(commentId)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid article or comment ID'
+        });
+      }
+
+      // Drop a different earlier reaction from this actor, then add the new one
+      await Article.updateOne(
+        { _id: id, comments: { $elemMatch: reactableComment(commentId) } },
+        { $pull: { 'comments.$.reactions': { ...actorMatch(actor), reaction: { $ne: reaction } } } }
+      );
+
+      const article = await Article.findOneAndUpdate(
+        {
+          _id: id,
+          comments: {
+            $elemMatch: reactableComment(commentId, {
+              reactions: { $not: { $elemMatch: actorMatch(actor) } }
+            })
+          }
+        },
+        {
+          $push: { 'comments.$.reactions': { reaction, ...actor, createdAt: new Date() } }
+        },
+        { new: true }
+      );
+
+      if (!article) {
+        // Nothing was added: either the comment is gone, or the actor already has
+        // this reaction, in which case repeating it changes nothing and isn't recorded
+        const current = await Article.findOne({ _id: id, comments: { $elemMatch: reactableComment(commentId) } });
+
+        if (!current) {
+          return res.status(404).json({
+            success: false,
+            error: 'Comment not found'
+          });
+        }
+
+        return res.json({
+          success: true,
+          data: summariseReactions(current.comments.id(commentId), actor)
+        });
+      }
+
+      await recordCommentEvent(req, actor, article._id, 'reaction', { commentId, reaction });
+
+      res.json({
+        success: true,
+        data: summariseReactions(article.comments.id(commentId), actor)
+      });
+    } catch (error) {
+      console.error('React to comment error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to react to comment'
+      });
+    }
+  }
+
+  // Remove the current user's or session's reaction from a comment
+  async removeCommentReaction(req, res) {
+    try {
+      const { id, commentId } = req.params;
+      const actor = getReactionActor(req);
+
+      if (!actor) {
+        return res.status(400).json({
+          success: false,
+          error: 'A session is required to remove reactions'
+        });
+      }
+
+      if (!mongoose.Types.ObjectId.isValid(id) || !mongoose.Types.ObjectId.isValid(commentId)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid article or comment ID'
+        });
+      }
+
+      const article = await Article.findOneAndUpdate(
+        { _id: id, 'comments._id': commentId },
+        { $pull: { 'comments.$.reactions': actorMatch(actor) } },
+        { new: true }
+      );
+
+      const comment = article && article.comments.id(commentId);
+
+      if (!comment) {
+        return res.status(404).json({
+          success: false,
+          error: 'Comment not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: summariseReactions(comment, actor)
+      });
+    } catch (error) {
+      console.error('Remove comment reaction error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to remove reaction'
+      });
+    }
+  }
+
+  // Get comments awaiting moderation (Admin only)
+  async getModerationQueue(req, res) {
+    try {
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 20;
+      const status = req.query.status || 'pending';
+      const skip = (page - 1) * limit;
+
+      if (!['pending', 'approved', 'rejected', 'spam'].includes(status)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid status'
+        });
+      }
+
+      const pipeline = [
+        { $match: { 'comments.status': status } },
+        { $unwind: '$comments' },
+        { $match: { 'comments.status': status, 'comments.isDeleted': { $ne: true } } }
+      ];
+
+      const [comments, totalResult] = await Promise.all([
+        Article.aggregate([
+          ...pipeline,
+          { $sort: { 'comments.createdAt': 1 } },
+          { $skip: skip },
+          { $limit: limit },
+          {
+            $lookup: {
+              from: 'users',
+              localField: 'comments.user',
+              foreignField: '_id',
+              as: 'commentUser'
+            }
+          },
+          { $unwind: { path: '$commentUser', preserveNullAndEmptyArrays: true } },
+          {
+            $project: {
+              _id: 0,
+              articleId: '$_id',
+              articleTitle: '$title',
+              articleSlug: '$slug',
+              comment: '$comments',
+              user: {
+                _id: '$commentUser._id',
+                username: '$commentUser.username',
+                email: '$commentUser.email',
+                avatar: '$commentUser.avatar'
+              }
+            }
+          }
+        ]),
+        Article.aggregate([...pipeline, { $count: 'total' }])
+      ]);
+
+      const total = totalResult[0]?.total || 0;
+
+      res.json({
+        success: true,
+        data: {
+          comments,
+          pagination: {
+            current: page,
+            total: Math.ceil(total / limit),
+            totalItems: total
+          }
+        }
+      });
+    } catch (error) {
+      console.error('Get moderation queue error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch moderation queue'
+      });
+    }
+  }
+
+  // Approve, reject or mark a single comment as spam (Admin only)
+  async moderateComment(req, res) {
+    try {
+      const { articleId, commentId } = req.params;
+      const { action } = req.body;
+
+      if (!commentConfig.moderationActions[action]) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid moderation action'
+        });
+      }
+
+      if (!mongoose.Types.ObjectId.isValid(articleId) || !mongoose.Types.ObjectId.isValid(commentId)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid article or comment ID'
+        });
+      }
+
+      const article = await Article.findById(articleId);
+
+      if (!article) {
+        return res.status(404).json({
+          success: false,
+          error: 'Article not found'
+        });
+      }
+
+      const comment = article.comments.id(commentId);
+
+      if (!comment || comment.isDeleted) {
+        return res.status(404).json({
+          success: false,
+          error: 'Comment not found'
+        });
+      }
+
+      applyModeration(comment, action, req.user._id);
+      article.trendingScore = calculateTrendingScore(article);
+      await article.save();
+
+      res.json({
+        success: true,
+        data: comment,
+        message: `Comment ${comment.status}`
+      });
+    } catch (error) {
+      console.error('Moderate comment error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to moderate comment'
+      });
+    }
+  }
+
+  // Apply one moderation action to many comments (Admin only)
+  async bulkModerateComments(req, res) {
+    try {
+      const { action, comments } = req.body;
+
+      if (!commentConfig.moderationActions[action]) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid moderation action'
+        });
+      }
+
+      if (!Array.isArray(comments) || comments.length === 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Comments must be a non-empty array of { articleId, commentId }'
+        });
+      }
+
+      // Group comment IDs by article so each article is saved once
+      const commentsByArticle = new Map();
+      comments.forEach(({ articleId, commentId }) => {
+        if (!articleId || !commentId) return;
+        if (!commentsByArticle.has(articleId)) {
+          commentsByArticle.set(articleId, []);
+        }
+        commentsByArticle.get(articleId).push(commentId);
+      });
+
+      let modifiedCount = 0;
+      const notFound = [];
+
+      for (const [articleId, commentIds] of commentsByArticle) {
+        const article = mongoose.Types.ObjectId.isValid(articleId)
+          ? await Article.findById(articleId)
+          : null;
+
+        if (!article) {
+          commentIds.forEach(commentId => notFound.push({ articleId, commentId }));
+          continue;
+        }
+
+        commentIds.forEach(commentId => {
+          const comment = article.comments.id(commentId);
+          if (!comment || comment.isDeleted) {
+            notFound.push({ articleId, commentId });
+            return;
+          }
+          applyModeration(comment, action, req.user._id);
+          modifiedCount++;
+        });
+
+        article.trendingScore = calculateTrendingScore(article);
+        await article.save();
+      }
+
+      res.json({
+        success: true,
+        data: {
+          modifiedCount,
+          notFound
+        },
+        message: `Bulk moderation '${action}' completed successfully`
+      });
+    } catch (error) {
+      console.error('Bulk moderate comments error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to perform bulk moderation'
+      });
+    }
+  }
+}
+
+module.exports = new CommentController();
@@ -0,0 +1,212 @@
+const crypto = require('crypto');
+const Article = require('../models/Article');
+const Category = require('../models/Category');
+const Tag = require('../models/Tag');
+const User = require('../models/User');
+const siteConfig = require('../config/site-config');
+const { buildArticleUrl } = require('../utils/shareLinks');
+const { buildRssFeed, buildAtomFeed, buildJsonFeed } = require('../utils/feedBuilder');
+
+const FEED_FORMATS = {
+  rss: { build: buildRssFeed, contentType: 'application/rss+xml; charset=utf-8' },
+  atom: { build: buildAtomFeed, contentType: 'application/atom+xml; charset=utf-8' },
+  json: { build: buildJsonFeed, contentType: 'application/feed+json; charset=utf-8' }
+};
+
+// Work out which articles a feed covers from the optional /:scope/:value prefix
+// Returns null when the scope or the scoped entity does not exist
+const resolveFeedScope = async (params) => {
+  const { scope, value } = params;
+
+  if (!scope) {
+    return {
+      query: {},
+      title: siteConfig.name,
+      description: siteConfig.description,
+      link: siteConfig.url
+    };
+  }
+
+  if (scope === 'category') {
+    const category = await Category.resolve(value);
+    if (!category) return null;
+
+    return {
+      query: { category: { $in: await Category.getSubtreeSlugs(category._id) } },
+      title: `${siteConfig.name} - ${category.name}`,
+      description: category.metaDescription || category.description || siteConfig.description,
+      link: `${siteConfig.url}/category/${category.slug}`
+    };
+  }
+
+  if (scope === 'tag') {
+    const tag = await Tag.resolve(value);
+    const name = tag ? tag.name : value;
+
+    return {
+      query: { tags: await Tag.buildArticleFilter(name) },
+      title: `${siteConfig.name} - ${name}`,
+      description: (tag && (tag.metaDescription || tag.description)) || `Articles tagged ${name}`,
+      link: `${siteConfig.url}/tag/${tag ? tag.slug : Tag.toSlug(name)}`
+    };
+  }
+
+  if (scope === 'author') {
+    const author = await User.findOne({ username: value, isActive: true }).select('username bio');
+    if (!author) return null;
+
+    return {
+      query: { author: author._id },
+      title: `${siteConfig.name} - ${author.username}`,
+      description: author.bio || `Articles by ${author.username}`,
+      link: `${siteConfig.url}/author/${author.username}`
+    };
+  }
+
+  return null;
+};
+
+// ?full=true|false overrides the configured default
+const wantsFullContent = (req) => {
+  if (req.query.full === 'true') return true;
+  if (req.query.full === 'false') return false;
+  return siteConfig.feeds.fullContent;
+};
+
+// When an item last changed for feed readers: its content, or its publication
+// (a draft edited earlier and published later is new to the feed when published)
+const itemChangedAt = (article) => new Date(Math.max(
+  new Date(article.contentUpdatedAt || 0).getTime(),
+  new Date(article.publishedAt || 0).getTime()
+));
+
+const toFeedItem = (article, includeContent) => ({
+  id: `urn:article:${article._id}`,
+  title: article.title,
+  url: buildArticleUrl(article),
+  summary: article.excerpt || '',
+  content: includeContent ? (article.html || article.content) : undefined,
+  image: article.featuredImage || undefined,
+  author: article.author
+    ? { name: article.author.username, url: `${siteConfig.url}/author/${article.author.username}` }
+    : null,
+  categories: [article.category, ...(article.tags || [])].filter(Boolean),
+  publishedAt: article.publishedAt,
+  updatedAt: itemChangedAt(article)
+});
+
+// Build the requested feed, answering conditional requests with 304
+const sendFeed = async (req, res, format) => {
+  const scope = await resolveFeedScope(req.params);
+
+  if (!scope) {
+    return res.status(404).json({
+      success: false,
+      error: 'Feed not found'
+    });
+  }
+
+  // ?lang= narrows the feed to one locale
+  const { lang } = req.query;
+  if (lang !== undefined && !siteConfig.locales.includes(lang)) {
+    return res.status(400).json({
+      success: false,
+      error: `Language must be one of: ${siteConfig.locales.join(', ')}`
+    });
+  }
+
+  const includeContent = wantsFullContent(req);
+  const query = { ...scope.query, status: 'published' };
+  if (lang) query.locale = Article.localeFilter(lang);
+
+  const articles = await Article.find(query)
+    .select(`title slug excerpt featuredImage category tags author publishedAt contentUpdatedAt${includeContent ? ' content html' : ''}`)
+    .populate('author', 'username')
+    .sort({ publishedAt: -1 })
+    .limit(siteConfig.feeds.itemLimit)
+    .lean();
+
+  // Newest content change across the items, falling back to now for an empty feed.
+  // updatedAt is not used: views and comments move it without changing the feed.
+  const lastModified = articles.reduce((latest, article) => {
+    const changed = itemChangedAt(article);
+    return changed > latest ? changed : latest;
+  }, new Date(0));
+  const updated = articles.length > 0 ? lastModified : new Date();
+
+  const etag = `"${crypto
+    .createHash('sha1')
+    .update([
+      format,
+      includeContent,
+      lang,
+      req.path,
+      ...articles.map(article => `${article._id}:${itemChangedAt(article).getTime()}`)
+    ].join('|'))
+    .digest('hex')}"`;
+
+  res.set({
+    'Content-Type': FEED_FORMATS[format].contentType,
+    'Cache-Control': `public, max-age=${siteConfig.feeds.maxAge}`,
+    'ETag': etag,
+    'Last-Modified': updated.toUTCString()
+  });
+
+  if (req.fresh) {
+    return res.status(304).end();
+  }
+
+  const feed = {
+    title: scope.title,
+    description: scope.description,
+    link: scope.link,
+    feedUrl: `${req.protocol}://${req.get('host')}${req.originalUrl.split('?')[0]}`,
+    language: lang || siteConfig.language,
+    updated
+  };
+
+  res.send(FEED_FORMATS[format].build(feed, articles.map(article => toFeedItem(article, includeContent))));
+};
+
+class FeedController {
+  // RSS 2.0 feed (Public)
+  async getRssFeed(req, res) {
+    try {
+      await sendFeed(req, res, 'rss');
+    } catch (error) {
+      console.error('RSS feed error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to generate feed'
+      });
+    }
+  }
+
+  // Atom 1.0 feed (Public)
+  async getAtomFeed(req, res) {
+    try {
+      await sendFeed(req, res, 'atom');
+    } catch (error) {
+      console.error('Atom feed error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to generate feed'
+      });
+    }
+  }
+
+  // JSON Feed 1.1 (Public)
+  async getJsonFeed(req, res) {
+    try {
+      await sendFeed(req, res, 'json');
+    } catch (error) {
+      console.error('JSON feed error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to generate feed'
+      });
+    }
+  }
+}
+
+module.exports = new FeedController();
@@ -0,0 +1,296 @@
+const Redirect = require('../models/Redirect');
+const Article = require('../models/Article');
+
+// Frontend article paths whose last segment is a slug, e.g. /article/old-slug
+const ARTICLE_PATH_PATTERN = /^\/articles?\/([^/]+)$/;
+
+// Validate a redirect target; returns an error message or null
+const validateTarget = async (fromPath, toPath, redirectId = null) => {
+  if (!toPath || typeof toPath !== 'string' || !toPath.trim()) {
+    return 'Target path is required';
+  }
+
+  const isAbsolute = /^https?:\/\//i.test(toPath.trim());
+  if (!isAbsolute && !toPath.trim().startsWith('/')) {
+    return 'Target must be a path starting with "/" or an absolute http(s) URL';
+  }
+
+  if (!isAbsolute && Redirect.normalizePath(toPath) === fromPath) {
+    return 'A redirect cannot point to itself';
+  }
+
+  // Avoid redirect chains: the target must not itself be redirected
+  if (!isAbsolute) {
+    const chained = await Redirect.findOne({
+      _id: { $ne: redirectId },
+      fromPath: Redirect.normalizePath(toPath),
+      isActive: true
+    }).select('toPath');
+
+    if (chained) {
+      return `Target is itself redirected to "${chained.toPath}"; point to that instead`;
+    }
+  }
+
+  return null;
+};
+
+class RedirectController {
+  // Resolve a legacy path to its new location (Public)
+  // Checks the admin redirect table first, then article slug history
+  async resolveRedirect(req, res) {
+    try {
+      const path = Redirect.normalizePath(req.query.path);
+
+      if (!path) {
+        return res.status(400).json({
+          success: false,
+          error: 'A valid path is required'
+        });
+      }
+
+      const redirect = await Redirect.resolveAndCount(path);
+      if (redirect) {
+        return res.json({
+          success: true,
+          data: {
+            fromPath: redirect.fromPath,
+            toPath: redirect.toPath,
+            statusCode: redirect.statusCode,
+            source: 'redirect'
+          }
+        });
+      }
+
+      const articleMatch = path.match(ARTICLE_PATH_PATTERN);
+      if (articleMatch) {
+        const article = await Article.findOne({
+          previousSlugs: articleMatch[1],
+          status: 'published'
+        }).select('slug');
+
+        if (article) {
+          return res.json({
+            success: true,
+            data: {
+              fromPath: path,
+              toPath: `/article/${article.slug}`,
+              statusCode: 301,
+              source: 'slug-history'
+            }
+          });
+        }
+      }
+
+      res.status(404).json({
+        success: false,
+        error: 'No redirect found'
+      });
+    } catch (error) {
+      console.error('Resolve redirect error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to resolve redirect'
+      });
+    }
+  }
+
+  // List redirects with hit counters (Admin only)
+  async getRedirects(req, res) {
+    try {
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 20;
+      const skip = (page - 1) * limit;
+      const sortBy = ['hits', 'lastHitAt', 'fromPath', 'createdAt'].includes(req.query.sortBy)
+        ? req.query.sortBy
+        : 'createdAt';
+      const sortOrder = req.query.sortOrder === 'asc' ? 1 : -1;
+
+      const query = {};
+      if (req.query.search) {
+        const search = req.query.search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        query.$or = [
+          { fromPath: { $regex: search, $options: 'i' } },
+          { toPath: { $regex: search, $options: 'i' } }
+        ];
+      }
+      if (req.query.isActive !== undefined) {
+        query.isActive = req.query.isActive === 'true';
+      }
+
+      const [redirects, total] = await Promise.all([
+        Redirect.find(query)
+          .populate('createdBy', 'username')
+          .sort({ [sortBy]: sortOrder })
+          .skip(skip)
+          .limit(limit)
+          .lean(),
+        Redirect.countDocuments(query)
+      ]);
+
+      res.json({
+        success: true,
+        data: {
+          redirects,
+          pagination: {
+            current: page,
+            total: Math.ceil(total / limit),
+            totalItems: total
+          }
+        }
+      });
+    } catch (error) {
+      console.error('Get redirects error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch redirects'
+      });
+    }
+  }
+
+  // Create a redirect (Admin only)
+  async createRedirect(req, res) {
+    try {
+      const { toPath, statusCode, isActive, note } = req.body;
+      const fromPath = Redirect.normalizePath(req.body.fromPath);
+
+      if (!fromPath || fromPath === '/') {
+        return res.status(400).json({
+          success: false,
+          error: 'A valid source path is required'
+        });
+      }
+
+      const targetError = await validateTarget(fromPath, toPath);
+      if (targetError) {
+        return res.status(400).json({
+          success: false,
+          error: targetError
+        });
+      }
+
+      const existingRedirect = await Redirect.findOne({ fromPath });
+      if (existingRedirect) {
+        return res.status(400).json({
+          success: false,
+          error: 'A redirect for this path already exists'
+        });
+      }
+
+      const redirect = await Redirect.create({
+        fromPath,
+        toPath: toPath.trim(),
+        statusCode,
+        isActive,
+        note,
+        createdBy: req.user._id
+      });
+
+      res.status(201).json({
+        success: true,
+        data: redirect
+      });
+    } catch (error) {
+      console.error('Create redirect error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to create redirect'
+      });
+    }
+  }
+
+  // Update a redirect; pass resetHits: true to zero its counter (Admin only)
+  async updateRedirect(req, res) {
+    try {
+      const redirect = await Redirect.findById(req.params.id);
+
+      if (!redirect) {
+        return res.status(404).json({
+          success: false,
+          error: 'Redirect not found'
+        });
+      }
+
+      const { toPath, statusCode, isActive, note, resetHits } = req.body;
+
+      if (req.body.fromPath !== undefined) {
+        const fromPath = Redirect.normalizePath(req.body.fromPath);
+        if (!fromPath || fromPath === '/') {
+          return res.status(400).json({
+            success: false,
+            error: 'A valid source path is required'
+          });
+        }
+
+        const existingRedirect = await Redirect.findOne({ fromPath, _id: { $ne: redirect._id } });
+        if (existingRedirect) {
+          return res.status(400).json({
+            success: false,
+            error: 'A redirect for this path already exists'
+          });
+        }
+        redirect.fromPath = fromPath;
+      }
+
+      if (toPath !== undefined || req.body.fromPath !== undefined) {
+        const target = toPath !== undefined ? toPath : redirect.toPath;
+        const targetError = await validateTarget(redirect.fromPath, target, redirect._id);
+        if (targetError) {
+          return res.status(400).json({
+            success: false,
+            error: targetError
+          });
+        }
+        redirect.toPath = target.trim();
+      }
+
+      if (statusCode !== undefined) redirect.statusCode = statusCode;
+      if (isActive !== undefined) redirect.isActive = isActive;
+      if (note !== undefined) redirect.note = note;
+      if (resetHits) {
+        redirect.hits = 0;
+        redirect.lastHitAt = undefined;
+      }
+
+      await redirect.save();
+
+      res.json({
+        success: true,
+        data: redirect
+      });
+    } catch (error) {
+      console.error('Update redirect error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to update redirect'
+      });
+    }
+  }
+
+  // Delete a redirect (Admin only)
+  async deleteRedirect(req, res) {
+    try {
+      const redirect = await Redirect.findByIdAndDelete(req.params.id);
+
+      if (!redirect) {
+        return res.status(404).json({
+          success: false,
+          error: 'Redirect not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Redirect deleted successfully'
+      });
+    } catch (error) {
+      console.error('Delete redirect error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to delete redirect'
+      });
+    }
+  }
+}
+
+module.exports = new RedirectController();
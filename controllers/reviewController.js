@@ -0,0 +1,300 @@
+const Article = require('../models/Article');
+const { CREDITS_POPULATE } = require('../models/Article');
+const User = require('../models/User');
+const emailService = require('../utils/emailService');
+const { calculateTrendingScore } = require('../utils/trendingAlgorithm');
+const { requestSitemapRegeneration } = require('../utils/sitemapGenerator');
+
+// Statuses an article can be submitted for review from
+const SUBMITTABLE_STATUSES = ['draft', 'rejected'];
+
+// Email the author about a review transition; a mail failure never fails the request
+const notifyAuthor = async (article, action, notes) => {
+  try {
+    const author = await User.findById(article.author._id || article.author).select('username email');
+    if (author && author.email) {
+      await emailService.sendReviewStatusEmail(author, article, action, notes);
+    }
+  } catch (error) {
+    console.error('Review notification error:', error);
+  }
+};
+
+// Apply a review decision to an article still in review; returns null when
+// someone else already moved it out of the queue
+const decide = (articleId, reviewer, action, notes, set, unset = null) => Article.findOneAndUpdate(
+  { _id: articleId, status: 'in_review' },
+  {
+    $set: {
+      ...set,
+      'review.reviewedBy': reviewer._id,
+      'review.reviewedAt': new Date(),
+      'review.notes': notes
+    },
+    ...(unset && { $unset: unset }),
+    $push: { reviewHistory: { action, user: reviewer._id, notes } }
+  },
+  { new: true }
+).populate(CREDITS_POPULATE);
+
+const normalizeNotes = (notes) => (typeof notes === 'string' ? notes.trim() : '');
+
+class ReviewController {
+  // Submit an article for editorial review (Admin, or anyone credited on it)
+  async submitForReview(req, res) {
+    try {
+      const { id } = req.params;
+      const notes = normalizeNotes(req.body?.notes);
+
+      const article = await Article.findById(id).select('author contributors status');
+
+      if (!article) {
+        return res.status(404).json({
+          success: false,
+          error: 'Article not found'
+        });
+      }
+
+      // Contributors who may edit the draft may also submit it
+      if (!article.isCredited(req.user._id) && req.user.role !== 'admin') {
+        return res.status(403).json({
+          success: false,
+          error: 'Not authorized to submit this article'
+        });
+      }
+
+      // An optional publish date, applied when the article is approved
+      let requestedPublishAt;
+      if (req.body?.publishAt) {
+        requestedPublishAt = new Date(req.body.publishAt);
+        if (isNaN(requestedPublishAt.getTime())) {
+          return res.status(400).json({
+            success: false,
+            error: 'Invalid publish date'
+          });
+        }
+      }
+
+      const updatedArticle = await Article.findOneAndUpdate(
+        { _id: id, status: { $in: SUBMITTABLE_STATUSES } },
+        {
+          $set: {
+            status: 'in_review',
+            review: {
+              submittedAt: new Date(),
+              requestedPublishAt
+            }
+          },
+          $push: { reviewHistory: { action: 'submitted', user: req.user._id, notes } }
+        },
+        { new: true }
+      ).populate(CREDITS_POPULATE);
+
+      if (!updatedArticle) {
+        return res.status(400).json({
+          success: false,
+          error: `Only ${SUBMITTABLE_STATUSES.join(' or ')} articles can be submitted for review`
+        });
+      }
+
+      await notifyAuthor(updatedArticle, 'submitted', notes);
+
+      res.json({
+        success: true,
+        data: updatedArticle,
+        message: 'Article submitted for review'
+      });
+    } catch (error) {
+      console.error('Submit for review error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to submit article for review'
+      });
+    }
+  }
+
+  // List articles waiting for review, oldest submission first (Admin/Editor)
+  async getReviewQueue(req, res) {
+    try {
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 20;
+      const skip = (page - 1) * limit;
+
+      const query = { status: 'in_review' };
+      if (req.query.author) {
+        query.author = req.query.author;
+      }
+      if (req.query.category) {
+        query.category = req.query.category;
+      }
+
+      const [articles, total] = await Promise.all([
+        Article.find(query)
+          .select('title slug excerpt category tags author featuredImage readTime contentStats review reviewHistory updatedAt')
+          .populate(CREDITS_POPULATE)
+          .populate('reviewHistory.user', 'username')
+          .sort({ 'review.submittedAt': 1 })
+          .skip(skip)
+          .limit(limit)
+          .lean(),
+        Article.countDocuments(query)
+      ]);
+
+      res.json({
+        success: true,
+        data: {
+          articles,
+          pagination: {
+            current: page,
+            total: Math.ceil(total / limit),
+            totalItems: total
+          }
+        }
+      });
+    } catch (error) {
+      console.error('Get review queue error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch review queue'
+      });
+    }
+  }
+
+  // Approve an article in review: publish it, or schedule it when a future date
+  // was requested by the author or is supplied by the editor (Admin/Editor)
+  async approveArticle(req, res) {
+    try {
+      const { id } = req.params;
+      const notes = normalizeNotes(req.body?.notes);
+
+      const article = await Article.findById(id).select('status review');
+
+      if (!article) {
+        return res.status(404).json({
+          success: false,
+          error: 'Article not found'
+        });
+      }
+
+      let publishDate = article.review?.requestedPublishAt;
+      if (req.body?.publishAt) {
+        publishDate = new Date(req.body.publishAt);
+        if (isNaN(publishDate.getTime())) {
+          return res.status(400).json({
+            success: false,
+            error: 'Invalid publish date'
+          });
+        }
+      }
+
+      const isScheduled = publishDate && publishDate > new Date();
+      const updatedArticle = isScheduled
+        ? await decide(id, req.user, 'approved', notes, { status: 'scheduled', scheduledFor: publishDate })
+        : await decide(id, req.user, 'approved', notes, { status: 'published', publishedAt: new Date() }, { scheduledFor: 1 });
+
+      if (!updatedArticle) {
+        return res.status(400).json({
+          success: false,
+          error: 'Article is not in review'
+        });
+      }
+
+      if (updatedArticle.status === 'published') {
+        updatedArticle.trendingScore = calculateTrendingScore(updatedArticle);
+        await Article.updateOne(
+          { _id: updatedArticle._id },
+          { trendingScore: updatedArticle.trendingScore }
+        );
+        requestSitemapRegeneration();
+        Article.refreshArticlesWritten([updatedArticle]).catch(error => {
+          console.error('Articles written count error:', error);
+        });
+      }
+
+      await notifyAuthor(updatedArticle, 'approved', notes);
+
+      res.json({
+        success: true,
+        data: updatedArticle,
+        message: updatedArticle.status === 'scheduled'
+          ? `Article approved and scheduled for ${updatedArticle.scheduledFor.toISOString()}`
+          : 'Article approved and published'
+      });
+    } catch (error) {
+      console.error('Approve article error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to approve article'
+      });
+    }
+  }
+
+  // Send an article back to its author's drafts with notes (Admin/Editor)
+  async requestChanges(req, res) {
+    try {
+      const notes = normalizeNotes(req.body?.notes);
+
+      if (!notes) {
+        return res.status(400).json({
+          success: false,
+          error: 'Notes are required when requesting changes'
+        });
+      }
+
+      const updatedArticle = await decide(req.params.id, req.user, 'changes_requested', notes, { status: 'draft' });
+
+      if (!updatedArticle) {
+        return res.status(400).json({
+          success: false,
+          error: 'Article is not in review'
+        });
+      }
+
+      await notifyAuthor(updatedArticle, 'changes_requested', notes);
+
+      res.json({
+        success: true,
+        data: updatedArticle,
+        message: 'Changes requested'
+      });
+    } catch (error) {
+      console.error('Request changes error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to request changes'
+      });
+    }
+  }
+
+  // Reject an article in review (Admin/Editor)
+  async rejectArticle(req, res) {
+    try {
+      const notes = normalizeNotes(req.body?.notes);
+
+      const updatedArticle = await decide(req.params.id, req.user, 'rejected', notes, { status: 'rejected' });
+
+      if (!updatedArticle) {
+        return res.status(400).json({
+          success: false,
+          error: 'Article is not in review'
+        });
+      }
+
+      await notifyAuthor(updatedArticle, 'rejected', notes);
+
+      res.json({
+        success: true,
+        data: updatedArticle,
+        message: 'Article rejected'
+      });
+    } catch (error) {
+      console.error('Reject article error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to reject article'
+      });
+    }
+  }
+}
+
+module.exports = new ReviewController();
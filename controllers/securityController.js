@@ -0,0 +1,221 @@
+const LoginThrottle = require('../models/LoginThrottle');
+const { THROTTLE_SCOPES } = require('../models/LoginThrottle');
+const User = require('../models/User');
+const Event = require('../models/Event');
+const { trackEvent } = require('../middleware/tracking');
+
+// Outcomes recorded on `login` Events that point at someone guessing
+const SUSPICIOUS_OUTCOMES = ['failure', 'blocked'];
+
+class SecurityController {
+  // List login lockouts, or with ?all=true every tracked account and IP (Admin only)
+  async getLockouts(req, res) {
+    try {
+      const page = parseInt(req.query.page) || 1;
+      const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+      const skip = (page - 1) * limit;
+
+      const query = {};
+      if (req.query.all !== 'true') {
+        query.lockedUntil = { $gt: new Date() };
+      }
+      if (req.query.scope) {
+        if (!THROTTLE_SCOPES.includes(req.query.scope)) {
+          return res.status(400).json({
+            success: false,
+            error: `Scope must be one of: ${THROTTLE_SCOPES.join(', ')}`
+          });
+        }
+        query.scope = req.query.scope;
+      }
+
+      const [throttles, total] = await Promise.all([
+        LoginThrottle.find(query)
+          .sort({ lockedUntil: -1, lastFailureAt: -1 })
+          .skip(skip)
+          .limit(limit)
+          .lean(),
+        LoginThrottle.countDocuments(query)
+      ]);
+
+      // Attach the account behind each locked email, when there is one
+      const emails = throttles.filter(throttle => throttle.scope === 'account').map(throttle => throttle.key);
+      const users = await User.find({ email: { $in: emails } }).select('username email role isActive').lean();
+      const usersByEmail = new Map(users.map(user => [user.email, user]));
+
+      const now = Date.now();
+      const lockouts = throttles.map(throttle => ({
+        id: throttle._id,
+        scope: throttle.scope,
+        key: throttle.key,
+        user: throttle.scope === 'account' ? usersByEmail.get(throttle.key) || null : undefined,
+        failures: throttle.failures,
+        lastFailureAt: throttle.lastFailureAt,
+        locked: Boolean(throttle.lockedUntil && throttle.lockedUntil.getTime() > now),
+        lockedUntil: throttle.lockedUntil || null,
+        lockCount: throttle.lockCount
+      }));
+
+      res.json({
+        success: true,
+        data: {
+          lockouts,
+          pagination: {
+            current: page,
+            total: Math.ceil(total / limit),
+            totalItems: total
+          }
+        }
+      });
+    } catch (error) {
+      console.error('Get lockouts error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch lockouts'
+      });
+    }
+  }
+
+  // Clear a lockout and its failure count (Admin only)
+  async clearLockout(req, res) {
+    try {
+      const throttle = await LoginThrottle.findByIdAndDelete(req.params.id);
+
+      if (!throttle) {
+        return res.status(404).json({
+          success: false,
+          error: 'Lockout not found'
+        });
+      }
+
+      await trackEvent({
+        sessionId: req.session?.sessionId || 'anonymous',
+        userId: req.user._id,
+        eventType: 'login',
+        eventData: {
+          outcome: 'unlocked',
+          method: 'admin',
+          scope: throttle.scope,
+          [throttle.scope === 'account' ? 'email' : 'ipAddress']: throttle.key
+        },
+        metadata: {
+          ipAddress: req.ip,
+          userAgent: req.headers['user-agent'],
+          pageUrl: req.originalUrl
+        }
+      });
+
+      res.json({
+        success: true,
+        message: `${throttle.scope === 'account' ? 'Account' : 'IP'} ${throttle.key} unlocked`
+      });
+    } catch (error) {
+      console.error('Clear lockout error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to clear lockout'
+      });
+    }
+  }
+
+  // Login activity from `login` Events: outcomes, daily failures and the
+  // accounts and IPs with the most failures (Admin only)
+  async getLoginActivity(req, res) {
+    try {
+      const days = Math.min(parseInt(req.query.days) || 7, 90);
+      const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+      const match = { eventType: 'login', createdAt: { $gte: since } };
+      const suspicious = { ...match, 'eventData.outcome': { $in: SUSPICIOUS_OUTCOMES } };
+
+      const [outcomes, dailyFailures, topIps, topAccounts, recentFailures, activeLockouts] = await Promise.all([
+        Event.aggregate([
+          { $match: match },
+          { $group: { _id: '$eventData.outcome', count: { $sum: 1 } } },
+          { $sort: { count: -1 } }
+        ]),
+        Event.aggregate([
+          { $match: suspicious },
+          {
+            $group: {
+              _id: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } },
+              count: { $sum: 1 }
+            }
+          },
+          { $sort: { _id: 1 } }
+        ]),
+        Event.aggregate([
+          { $match: suspicious },
+          {
+            $group: {
+              _id: '$metadata.ipAddress',
+              count: { $sum: 1 },
+              accounts: { $addToSet: '$eventData.email' },
+              lastSeen: { $max: '$createdAt' }
+            }
+          },
+          { $sort: { count: -1 } },
+          { $limit: 10 },
+          {
+            $project: {
+              _id: 0,
+              ipAddress: '$_id',
+              count: 1,
+              accountsTried: { $size: '$accounts' },
+              lastSeen: 1
+            }
+          }
+        ]),
+        Event.aggregate([
+          { $match: suspicious },
+          {
+            $group: {
+              _id: '$eventData.email',
+              count: { $sum: 1 },
+              ips: { $addToSet: '$metadata.ipAddress' },
+              lastSeen: { $max: '$createdAt' }
+            }
+          },
+          { $sort: { count: -1 } },
+          { $limit: 10 },
+          {
+            $project: {
+              _id: 0,
+              email: '$_id',
+              count: 1,
+              distinctIps: { $size: '$ips' },
+              lastSeen: 1
+            }
+          }
+        ]),
+        Event.find(suspicious)
+          .select('userId eventData metadata.ipAddress metadata.userAgent createdAt')
+          .populate('userId', 'username role')
+          .sort({ createdAt: -1 })
+          .limit(20)
+          .lean(),
+        LoginThrottle.countDocuments({ lockedUntil: { $gt: new Date() } })
+      ]);
+
+      res.json({
+        success: true,
+        data: {
+          period: { days, since },
+          outcomes: Object.fromEntries(outcomes.map(outcome => [outcome._id, outcome.count])),
+          dailyFailures: dailyFailures.map(day => ({ date: day._id, count: day.count })),
+          topIps,
+          topAccounts,
+          recentFailures,
+          activeLockouts
+        }
+      });
+    } catch (error) {
+      console.error('Get login activity error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch login activity'
+      });
+    }
+  }
+}
+
+module.exports = new SecurityController();
@@ -0,0 +1,289 @@
+const Series = require('../models/Series');
+const Article = require('../models/Article');
+const slugify = require('slugify');
+const mongoose = require('mongoose');
+
+// Validate an ordered list of article IDs for a series
+// Returns an error message, or null when the list is usable
+const validateSeriesArticles = async (articleIds, seriesId = null) => {
+  if (!Array.isArray(articleIds)) {
+    return 'Articles must be an array of article IDs';
+  }
+
+  if (articleIds.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+    return 'Articles must be valid article IDs';
+  }
+
+  if (new Set(articleIds.map(String)).size !== articleIds.length) {
+    return 'An article can only appear once in a series';
+  }
+
+  const existingCount = await Article.countDocuments({ _id: { $in: articleIds } });
+  if (existingCount !== articleIds.length) {
+    return 'One or more articles do not exist';
+  }
+
+  // An article may belong to a single series
+  const otherSeries = await Series.findOne({
+    _id: { $ne: seriesId },
+    articles: { $in: articleIds }
+  }).select('title');
+
+  if (otherSeries) {
+    return `One or more articles already belong to the series "${otherSeries.title}"`;
+  }
+
+  return null;
+};
+
+class SeriesController {
+  // Get all series (Admin only)
+  async getAllSeries(req, res) {
+    try {
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 20;
+      const skip = (page - 1) * limit;
+
+      const query = {};
+      if (req.query.search) {
+        query.title = { $regex: req.query.search, $options: 'i' };
+      }
+
+      const series = await Series.find(query)
+        .populate('articles', 'title slug status')
+        .populate('createdBy', 'username')
+        .sort({ updatedAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .exec();
+
+      const total = await Series.countDocuments(query);
+
+      res.json({
+        success: true,
+        data: {
+          series,
+          pagination: {
+            current: page,
+            total: Math.ceil(total / limit),
+            totalItems: total
+          }
+        }
+      });
+    } catch (error) {
+      console.error('Get all series error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch series'
+      });
+    }
+  }
+
+  // Create a series (Admin only)
+  async createSeries(req, res) {
+    try {
+      const { title, description, coverImage, articles = [] } = req.body;
+
+      if (!title || !title.trim()) {
+        return res.status(400).json({
+          success: false,
+          error: 'Title is required'
+        });
+      }
+
+      const slug = slugify(req.body.slug || title, {
+        lower: true,
+        strict: true,
+        remove: /[*+~.()'"!:@]/g
+      });
+
+      const existingSeries = await Series.findOne({ slug });
+      if (existingSeries) {
+        return res.status(400).json({
+          success: false,
+          error: 'A series with similar title already exists'
+        });
+      }
+
+      const articlesError = await validateSeriesArticles(articles);
+      if (articlesError) {
+        return res.status(400).json({
+          success: false,
+          error: articlesError
+        });
+      }
+
+      const series = new Series({
+        title,
+        slug,
+        description,
+        coverImage,
+        articles,
+        createdBy: req.user._id
+      });
+
+      await series.save();
+      await series.populate('articles', 'title slug status');
+
+      res.status(201).json({
+        success: true,
+        data: series
+      });
+    } catch (error) {
+      console.error('Create series error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to create series'
+      });
+    }
+  }
+
+  // Update a series, including the order of its articles (Admin only)
+  async updateSeries(req, res) {
+    try {
+      const { id } = req.params;
+      const { title, description, coverImage, articles } = req.body;
+
+      const series = await Series.findById(id);
+
+      if (!series) {
+        return res.status(404).json({
+          success: false,
+          error: 'Series not found'
+        });
+      }
+
+      if (title !== undefined) {
+        if (!title.trim()) {
+          return res.status(400).json({
+            success: false,
+            error: 'Title is required'
+          });
+        }
+        series.title = title;
+      }
+
+      if (req.body.slug !== undefined) {
+        const slug = slugify(req.body.slug, {
+          lower: true,
+          strict: true,
+          remove: /[*+~.()'"!:@]/g
+        });
+
+        const existingSeries = await Series.findOne({ slug, _id: { $ne: id } });
+        if (existingSeries) {
+          return res.status(400).json({
+            success: false,
+            error: 'A series with this slug already exists'
+          });
+        }
+        series.slug = slug;
+      }
+
+      if (description !== undefined) series.description = description;
+      if (coverImage !== undefined) series.coverImage = coverImage;
+
+      if (articles !== undefined) {
+        const articlesError = await validateSeriesArticles(articles, series._id);
+        if (articlesError) {
+          return res.status(400).json({
+            success: false,
+            error: articlesError
+          });
+        }
+        series.articles = articles;
+      }
+
+      await series.save();
+      await series.populate('articles', 'title slug status');
+
+      res.json({
+        success: true,
+        data: series
+      });
+    } catch (error) {
+      console.error('Update series error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to update series'
+      });
+    }
+  }
+
+  // Delete a series; its articles are left untouched (Admin only)
+  async deleteSeries(req, res) {
+    try {
+      const { id } = req.params;
+
+      const series = await Series.findByIdAndDelete(id);
+
+      if (!series) {
+        return res.status(404).json({
+          success: false,
+          error: 'Series not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Series deleted successfully'
+      });
+    } catch (error) {
+      console.error('Delete series error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to delete series'
+      });
+    }
+  }
+
+  // Get a series and its published parts in order (Public)
+  async getSeriesBySlug(req, res) {
+    try {
+      const { slug } = req.params;
+
+      const series = await Series.findOne({ slug })
+        .populate({
+          path: 'articles',
+          match: { status: 'published' },
+          select: 'title slug excerpt featuredImage author publishedAt readTime views',
+          populate: { path: 'author', select: 'username avatar' }
+        })
+        .lean();
+
+      if (!series) {
+        return res.status(404).json({
+          success: false,
+          error: 'Series not found'
+        });
+      }
+
+      const parts = series.articles
+        .filter(Boolean)
+        .map((article, index) => ({ ...article, part: index + 1 }));
+
+      res.json({
+        success: true,
+        data: {
+          _id: series._id,
+          title: series.title,
+          slug: series.slug,
+          description: series.description,
+          coverImage: series.coverImage,
+          totalParts: parts.length,
+          articles: parts,
+          createdAt: series.createdAt,
+          updatedAt: series.updatedAt
+        }
+      });
+    } catch (error) {
+      console.error('Get series by slug error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch series'
+      });
+    }
+  }
+}
+
+module.exports = new SeriesController();
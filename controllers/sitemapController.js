@@ -0,0 +1,76 @@
+const { getSitemaps } = require('../utils/sitemapGenerator');
+const { escapeXml } = require('../utils/feedBuilder');
+
+// Sitemaps only change on regeneration, so let crawlers revalidate against generatedAt
+const setSitemapHeaders = (res, lastModified) => {
+  res.set({
+    'Content-Type': 'application/xml; charset=utf-8',
+    'Cache-Control': 'public, max-age=3600',
+    'Last-Modified': lastModified.toUTCString()
+  });
+};
+
+class SitemapController {
+  // Sitemap index pointing at every generated sitemap file (Public)
+  async getSitemapIndex(req, res) {
+    try {
+      const { files, generatedAt } = await getSitemaps();
+      const baseUrl = `${req.protocol}://${req.get('host')}/sitemaps`;
+
+      setSitemapHeaders(res, generatedAt);
+      if (req.fresh) {
+        return res.status(304).end();
+      }
+
+      const entries = [...files.entries()].map(([name, file]) => [
+        '  <sitemap>',
+        `    <loc>${escapeXml(`${baseUrl}/${name}`)}</loc>`,
+        file.lastmod ? `    <lastmod>${file.lastmod.toISOString()}</lastmod>` : null,
+        '  </sitemap>'
+      ].filter(Boolean).join('\n'));
+
+      res.send([
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+        ...entries,
+        '</sitemapindex>'
+      ].join('\n'));
+    } catch (error) {
+      console.error('Sitemap index error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to generate sitemap'
+      });
+    }
+  }
+
+  // A single sitemap file, e.g. sitemap-articles-1.xml or sitemap-news.xml (Public)
+  async getSitemap(req, res) {
+    try {
+      const { files, generatedAt } = await getSitemaps();
+      const file = files.get(req.params.file);
+
+      if (!file) {
+        return res.status(404).json({
+          success: false,
+          error: 'Sitemap not found'
+        });
+      }
+
+      setSitemapHeaders(res, generatedAt);
+      if (req.fresh) {
+        return res.status(304).end();
+      }
+
+      res.send(file.xml);
+    } catch (error) {
+      console.error('Sitemap error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to generate sitemap'
+      });
+    }
+  }
+}
+
+module.exports = new SitemapController();
@@ -0,0 +1,461 @@
+const Tag = require('../models/Tag');
+const Article = require('../models/Article');
+const { CREDITS_POPULATE } = require('../models/Article');
+const { requestSitemapRegeneration } = require('../utils/sitemapGenerator');
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Replace every case variant of the source tags with the target tag on all articles.
+// Other tags keep their order; the target is appended once at the end. Articles
+// that only carry the target spelled exactly are left alone.
+const retagArticles = async (sources, target) => {
+  const replaced = [...new Set([...sources, target].map(Tag.normalize))];
+  const variants = [...new Set([...sources, target].map(source => source.trim()))]
+    .map(source => new RegExp(`^${escapeRegex(source)}$`, 'i'));
+
+  const result = await Article.updateMany(
+    { tags: { $elemMatch: { $in: variants, $ne: target } } },
+    [{
+      $set: {
+        tags: {
+          $concatArrays: [
+            {
+              $filter: {
+                input: '$tags',
+                cond: { $not: { $in: [{ $toLower: { $trim: { input: '$$this' } } }, replaced] } }
+              }
+            },
+            [target]
+          ]
+        },
+        contentUpdatedAt: '$$NOW'
+      }
+    }]
+  );
+
+  return result.modifiedCount;
+};
+
+// Tag usage across articles, grouped case-insensitively with the spellings in use
+const getTagUsage = async (match = {}) => {
+  return Article.aggregate([
+    { $match: match },
+    { $unwind: '$tags' },
+    {
+      $group: {
+        _id: { $toLower: { $trim: { input: '$tags' } } },
+        variants: { $addToSet: '$tags' },
+        count: { $sum: 1 }
+      }
+    },
+    { $sort: { count: -1 } }
+  ]);
+};
+
+// Check that none of the synonyms already belong to another tag; returns an error message or null
+const validateSynonyms = async (synonyms, tagId = null) => {
+  if (!Array.isArray(synonyms)) {
+    return 'Synonyms must be an array';
+  }
+
+  const normalized = synonyms.map(Tag.normalize).filter(Boolean);
+  if (normalized.length === 0) return null;
+
+  const conflict = await Tag.findOne({
+    _id: { $ne: tagId },
+    $or: [
+      { synonyms: { $in: normalized } },
+      { slug: { $in: normalized.map(synonym => Tag.toSlug(synonym)) } }
+    ]
+  }).select('name');
+
+  return conflict ? `A synonym already resolves to the tag "${conflict.name}"` : null;
+};
+
+class TagController {
+  // Get registered tags with published usage counts (Public)
+  async getTags(req, res) {
+    try {
+      const [tags, usage] = await Promise.all([
+        Tag.find().select('name slug description synonyms').lean(),
+        getTagUsage({ status: 'published' })
+      ]);
+
+      const usageByTag = new Map(usage.map(entry => [entry._id, entry.count]));
+
+      const data = tags
+        .map(tag => ({
+          _id: tag._id,
+          name: tag.name,
+          slug: tag.slug,
+          description: tag.description,
+          articleCount: [tag.name, ...tag.synonyms]
+            .map(Tag.normalize)
+            .filter((variant, index, variants) => variants.indexOf(variant) === index)
+            .reduce((sum, variant) => sum + (usageByTag.get(variant) || 0), 0)
+        }))
+        .sort((a, b) => b.articleCount - a.articleCount);
+
+      res.json({
+        success: true,
+        data
+      });
+    } catch (error) {
+      console.error('Get tags error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch tags'
+      });
+    }
+  }
+
+  // Tag landing page: description, SEO fields and published articles (Public)
+  async getTagBySlug(req, res) {
+    try {
+      const { slug } = req.params;
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 10;
+      const skip = (page - 1) * limit;
+
+      const tag = await Tag.resolve(slug);
+
+      const query = {
+        status: 'published',
+        tags: await Tag.buildArticleFilter(tag ? tag.name : slug)
+      };
+
+      const [articles, total] = await Promise.all([
+        Article.find(query)
+          .populate(CREDITS_POPULATE)
+          .sort({ publishedAt: -1 })
+          .skip(skip)
+          .limit(limit)
+          .exec(),
+        Article.countDocuments(query)
+      ]);
+
+      // Unregistered tags only have a landing page while articles use them
+      if (!tag && total === 0) {
+        return res.status(404).json({
+          success: false,
+          error: 'Tag not found'
+        });
+      }
+
+      const name = tag ? tag.name : slug;
+      const description = tag ? tag.description || '' : '';
+
+      res.json({
+        success: true,
+        data: {
+          tag: {
+            _id: tag ? tag._id : null,
+            name,
+            slug: tag ? tag.slug : Tag.toSlug(slug),
+            description,
+            seo: {
+              title: (tag && tag.metaTitle) || `Articles tagged ${name}`,
+              description: (tag && tag.metaDescription) || description
+            }
+          },
+          articles,
+          pagination: {
+            current: page,
+            total: Math.ceil(total / limit),
+            totalItems: total
+          }
+        }
+      });
+    } catch (error) {
+      console.error('Get tag error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch tag'
+      });
+    }
+  }
+
+  // List every tag in use with counts, spellings and registry entry (Admin only)
+  async getAllTags(req, res) {
+    try {
+      const [usage, tags] = await Promise.all([
+        getTagUsage(),
+        Tag.find().lean()
+      ]);
+
+      const registryByVariant = new Map();
+      tags.forEach(tag => {
+        registryByVariant.set(Tag.normalize(tag.name), tag);
+        tag.synonyms.forEach(synonym => registryByVariant.set(synonym, tag));
+      });
+
+      const inUse = new Set();
+      const data = usage.map(entry => {
+        const registered = registryByVariant.get(entry._id) || null;
+        if (registered) inUse.add(registered._id.toString());
+
+        return {
+          tag: entry._id,
+          variants: entry.variants,
+          count: entry.count,
+          registered: registered
+            ? { _id: registered._id, name: registered.name, slug: registered.slug }
+            : null,
+          isCanonical: !!registered && entry.variants.length === 1 && entry.variants[0] === registered.name
+        };
+      });
+
+      res.json({
+        success: true,
+        data: {
+          tags: data,
+          // Registered tags that no article currently uses
+          unused: tags.filter(tag => !inUse.has(tag._id.toString()))
+        }
+      });
+    } catch (error) {
+      console.error('Get all tags error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch tags'
+      });
+    }
+  }
+
+  // Register a tag with description and synonyms (Admin only)
+  async createTag(req, res) {
+    try {
+      const { name, description, synonyms = [], metaTitle, metaDescription } = req.body;
+
+      if (!name || !name.trim()) {
+        return res.status(400).json({
+          success: false,
+          error: 'Name is required'
+        });
+      }
+
+      const existingTag = await Tag.resolve(name);
+      if (existingTag) {
+        return res.status(400).json({
+          success: false,
+          error: `"${name}" already resolves to the tag "${existingTag.name}"`
+        });
+      }
+
+      const synonymsError = await validateSynonyms(synonyms);
+      if (synonymsError) {
+        return res.status(400).json({
+          success: false,
+          error: synonymsError
+        });
+      }
+
+      const tag = await Tag.create({
+        name: name.trim(),
+        slug: Tag.toSlug(name),
+        description,
+        synonyms: synonyms.map(Tag.normalize).filter(Boolean),
+        metaTitle,
+        metaDescription
+      });
+
+      // Existing articles using the name or a synonym move to the canonical name
+      const updatedArticles = await retagArticles([tag.name, ...tag.synonyms], tag.name);
+
+      requestSitemapRegeneration();
+
+      res.status(201).json({
+        success: true,
+        data: tag,
+        updatedArticles
+      });
+    } catch (error) {
+      console.error('Create tag error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to create tag'
+      });
+    }
+  }
+
+  // Update a registered tag; a new name is applied to all articles (Admin only)
+  async updateTag(req, res) {
+    try {
+      const { id } = req.params;
+      const { name, synonyms } = req.body;
+
+      const tag = await Tag.findById(id);
+
+      if (!tag) {
+        return res.status(404).json({
+          success: false,
+          error: 'Tag not found'
+        });
+      }
+
+      const previousName = tag.name;
+
+      if (name !== undefined) {
+        if (!name.trim()) {
+          return res.status(400).json({
+            success: false,
+            error: 'Name is required'
+          });
+        }
+
+        const existingTag = await Tag.resolve(name);
+        if (existingTag && !existingTag._id.equals(tag._id)) {
+          return res.status(400).json({
+            success: false,
+            error: `"${name}" already resolves to the tag "${existingTag.name}"; merge the tags instead`
+          });
+        }
+
+        tag.name = name.trim();
+        tag.slug = Tag.toSlug(name);
+      }
+
+      if (synonyms !== undefined) {
+        const synonymsError = await validateSynonyms(synonyms, tag._id);
+        if (synonymsError) {
+          return res.status(400).json({
+            success: false,
+            error: synonymsError
+          });
+        }
+        tag.synonyms = synonyms.map(Tag.normalize).filter(Boolean);
+      }
+
+      ['description', 'metaTitle', 'metaDescription'].forEach(field => {
+        if (req.body[field] !== undefined) tag[field] = req.body[field];
+      });
+
+      // The old name keeps resolving to the renamed tag
+      if (Tag.normalize(tag.name) !== Tag.normalize(previousName) && !tag.synonyms.includes(Tag.normalize(previousName))) {
+        tag.synonyms.push(Tag.normalize(previousName));
+      }
+
+      await tag.save();
+
+      // Articles using the old name or any synonym move to the current name
+      let updatedArticles = 0;
+      if (tag.name !== previousName || synonyms !== undefined) {
+        updatedArticles = await retagArticles([previousName, ...tag.synonyms], tag.name);
+      }
+
+      requestSitemapRegeneration();
+
+      res.json({
+        success: true,
+        data: { tag, updatedArticles }
+      });
+    } catch (error) {
+      console.error('Update tag error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to update tag'
+      });
+    }
+  }
+
+  // Remove a tag from the registry; articles keep the tag as free text (Admin only)
+  async deleteTag(req, res) {
+    try {
+      const tag = await Tag.findByIdAndDelete(req.params.id);
+
+      if (!tag) {
+        return res.status(404).json({
+          success: false,
+          error: 'Tag not found'
+        });
+      }
+
+      requestSitemapRegeneration();
+
+      res.json({
+        success: true,
+        message: 'Tag removed from registry'
+      });
+    } catch (error) {
+      console.error('Delete tag error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to delete tag'
+      });
+    }
+  }
+
+  // Rename or merge tags across all articles in one operation (Admin only)
+  // Body: { sources: ['JS', 'javascript'], target: 'JavaScript' }
+  // The sources are kept as synonyms of the target so they keep resolving
+  async mergeTags(req, res) {
+    try {
+      const { sources, target } = req.body;
+
+      if (!Array.isArray(sources) || sources.length === 0 || sources.some(source => typeof source !== 'string' || !source.trim())) {
+        return res.status(400).json({
+          success: false,
+          error: 'Sources must be a non-empty array of tags'
+        });
+      }
+
+      if (!target || typeof target !== 'string' || !target.trim()) {
+        return res.status(400).json({
+          success: false,
+          error: 'Target tag is required'
+        });
+      }
+
+      const targetName = target.trim();
+
+      // Registry entries being folded into the target
+      let targetTag = await Tag.resolve(targetName);
+      const sourceTags = (await Promise.all(sources.map(source => Tag.resolve(source))))
+        .filter(tag => tag && (!targetTag || !tag._id.equals(targetTag._id)));
+
+      const synonyms = new Set(targetTag ? targetTag.synonyms : []);
+      sources.map(Tag.normalize).forEach(source => synonyms.add(source));
+      sourceTags.forEach(tag => {
+        synonyms.add(Tag.normalize(tag.name));
+        tag.synonyms.forEach(synonym => synonyms.add(synonym));
+      });
+      synonyms.delete(Tag.normalize(targetName));
+
+      const sourceNames = [...sources, ...sourceTags.map(tag => tag.name)];
+      const canonicalName = targetTag ? targetTag.name : targetName;
+
+      if (sourceTags.length > 0) {
+        await Tag.deleteMany({ _id: { $in: sourceTags.map(tag => tag._id) } });
+      }
+
+      if (targetTag) {
+        targetTag.synonyms = [...synonyms];
+        await targetTag.save();
+      } else {
+        targetTag = await Tag.create({
+          name: canonicalName,
+          slug: Tag.toSlug(canonicalName),
+          synonyms: [...synonyms]
+        });
+      }
+
+      const updatedArticles = await retagArticles(sourceNames, canonicalName);
+
+      requestSitemapRegeneration();
+
+      res.json({
+        success: true,
+        data: { tag: targetTag, updatedArticles },
+        message: `Merged ${sources.length} tag(s) into "${canonicalName}"`
+      });
+    } catch (error) {
+      console.error('Merge tags error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to merge tags'
+      });
+    }
+  }
+}
+
+module.exports = new TagController();
@@ -1,4 +1,7 @@
 const User = require('../models/User');
+const { USER_ROLES } = require('../models/User');
+const SecuritySettings = require('../models/SecuritySettings');
+const { Session } = require('../models/Session');
 const Article = require('../models/Article');
 const AdUnit = require('../models/AdUnit');
 const Newsletter = require('../models/Newsletter');
@@ -182,7 +185,15 @@ class UserController {
         });
       }
 
-      const updateData = {};
+      const profile = User.buildProfileUpdate(req.body);
+      if (profile.error) {
+        return res.status(400).json({
+          success: false,
+          error: profile.error
+        });
+      }
+
+      const updateData = { ...profile.update };
       if (username !== undefined) updateData.username = username;
       if (email !== undefined) updateData.email = email;
       if (bio !== undefined) updateData.bio = bio;
@@ -222,10 +233,10 @@ class UserController {
       const { id } = req.params;
       const { role } = req.body;
 
-      if (!['admin', 'author', 'editor'].includes(role)) {
+      if (!USER_ROLES.includes(role)) {
         return res.status(400).json({
           success: false,
-          error: 'Invalid role. Must be admin, author, or editor'
+          error: `Invalid role. Must be one of: ${USER_ROLES.join(', ')}`
         });
       }
 
@@ -321,6 +332,202 @@ class UserController {
     }
   }
 
+  // List a user's active sessions with device and location details (Admin only)
+  async getUserSessions(req, res) {
+    try {
+      const user = await User.findById(req.params.id).select('username email role');
+
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          error: 'User not found'
+        });
+      }
+
+      const sessions = await Session.findUserAuthSessions(user._id);
+
+      res.json({
+        success: true,
+        data: {
+          user,
+          sessions: sessions.map(session => session.toSummary(req.session?.sessionId))
+        }
+      });
+    } catch (error) {
+      console.error('Get user sessions error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch user sessions'
+      });
+    }
+  }
+
+  // Sign a user out everywhere (Admin only)
+  async forceLogoutUser(req, res) {
+    try {
+      const { id } = req.params;
+
+      if (id === req.user._id.toString()) {
+        return res.status(400).json({
+          success: false,
+          error: 'Use the session settings to sign yourself out'
+        });
+      }
+
+      const user = await User.findById(id).select('username');
+
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          error: 'User not found'
+        });
+      }
+
+      const result = await Session.endAuthSessions(user._id);
+
+      res.json({
+        success: true,
+        data: { sessionsEnded: result.modifiedCount },
+        message: `${user.username} was signed out of ${result.modifiedCount} session${result.modifiedCount === 1 ? '' : 's'}`
+      });
+    } catch (error) {
+      console.error('Force logout error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to sign user out'
+      });
+    }
+  }
+
+  // Turn off a user's two-factor authentication, e.g. after a lost device (Admin only).
+  // Their sessions end; if their role requires two-factor they re-enroll at next login.
+  async resetUserTwoFactor(req, res) {
+    try {
+      const { id } = req.params;
+
+      const user = await User.findByIdAndUpdate(
+        id,
+        {
+          $set: { 'twoFactor.enabled': false },
+          $unset: {
+            'twoFactor.enabledAt': 1,
+            'twoFactor.secret': 1,
+            'twoFactor.pendingSecret': 1,
+            'twoFactor.backupCodes': 1,
+            'twoFactor.lastUsedStep': 1
+          }
+        },
+        { new: true }
+      ).select('-password');
+
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          error: 'User not found'
+        });
+      }
+
+      const result = await Session.endAuthSessions(user._id);
+
+      res.json({
+        success: true,
+        data: {
+          user,
+          sessionsEnded: result.modifiedCount
+        },
+        message: 'Two-factor authentication reset'
+      });
+    } catch (error) {
+      console.error('Reset user two-factor error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to reset two-factor authentication'
+      });
+    }
+  }
+
+  // Get the two-factor policy and how many users in each role are enrolled (Admin only)
+  async getTwoFactorPolicy(req, res) {
+    try {
+      const [settings, enrollment] = await Promise.all([
+        SecuritySettings.getSettings(),
+        User.aggregate([
+          {
+            $group: {
+              _id: '$role',
+              users: { $sum: 1 },
+              enrolled: { $sum: { $cond: ['$twoFactor.enabled', 1, 0] } }
+            }
+          }
+        ])
+      ]);
+
+      res.json({
+        success: true,
+        data: {
+          requiredRoles: settings.twoFactorRequiredRoles,
+          roles: USER_ROLES.map(role => {
+            const stats = enrollment.find(entry => entry._id === role);
+            return {
+              role,
+              required: settings.twoFactorRequiredRoles.includes(role),
+              users: stats?.users || 0,
+              enrolled: stats?.enrolled || 0
+            };
+          }),
+          updatedAt: settings.updatedAt
+        }
+      });
+    } catch (error) {
+      console.error('Get two-factor policy error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch two-factor policy'
+      });
+    }
+  }
+
+  // Choose which roles must use two-factor authentication (Admin only).
+  // Unenrolled users in those roles are asked to set it up at their next login.
+  async updateTwoFactorPolicy(req, res) {
+    try {
+      const { requiredRoles } = req.body;
+
+      if (!Array.isArray(requiredRoles) || requiredRoles.some(role => !USER_ROLES.includes(role))) {
+        return res.status(400).json({
+          success: false,
+          error: `Required roles must be a list of: ${USER_ROLES.join(', ')}`
+        });
+      }
+
+      const settings = await SecuritySettings.findOneAndUpdate(
+        {},
+        {
+          $set: {
+            twoFactorRequiredRoles: [...new Set(requiredRoles)],
+            updatedBy: req.user._id
+          }
+        },
+        { new: true, upsert: true, runValidators: true }
+      );
+
+      res.json({
+        success: true,
+        data: {
+          requiredRoles: settings.twoFactorRequiredRoles,
+          updatedAt: settings.updatedAt
+        },
+        message: 'Two-factor policy updated'
+      });
+    } catch (error) {
+      console.error('Update two-factor policy error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to update two-factor policy'
+      });
+    }
+  }
+
   // Delete user (Admin only)
   async deleteUser(req, res) {
     try {
@@ -393,12 +600,13 @@ class UserController {
         });
       }
 
-      // Build query
-      const query = { author: id };
+      // Build query: articles the user wrote or is credited on as a contributor
+      const query = Article.creditedTo(user._id);
       if (status) query.status = status;
 
       const articles = await Article.find(query)
         .populate('author', 'username avatar')
+        .populate('contributors.user', 'username avatar')
         .sort({ createdAt: -1 })
         .skip(skip)
         .limit(limit)
@@ -408,7 +616,7 @@ class UserController {
 
       // Get article statistics for this user
       const articleStats = await Article.aggregate([
-        { $match: { author: user._id } },
+        { $match: Article.creditedTo(user._id) },
         {
           $group: {
             _id: '$status',
@@ -6,6 +6,7 @@ const { Session, SESSION_CONFIG } = require('../models/Session');
 // Get the appropriate cookie name based on config
 const AUTH_COOKIE_NAME = SESSION_CONFIG?.COOKIE_NAMES?.AUTH || 'session_id';
 const TRACKING_COOKIE_NAME = SESSION_CONFIG?.COOKIE_NAMES?.TRACKING || 'tracking_session_id';
+const PENDING_COOKIE_NAME = SESSION_CONFIG?.COOKIE_NAMES?.PENDING || 'pending_session_id';
 
 // Helper to get session from store with session type validation
 const getAuthSessionFromStore = async (sessionId) => {
@@ -321,6 +322,86 @@ exports.authorMiddleware = (req, res, next) => {
   }
 };
 
+// Editor middleware - allows admin or editor roles (editorial review)
+exports.editorMiddleware = (req, res, next) => {
+  console.log('Editor middleware check:', {
+    userId: req.user?._id,
+    userRole: req.user?.role,
+    sessionType: req.sessionType
+  });
+
+  const allowedRoles = ['admin', 'editor'];
+
+  if (req.user && allowedRoles.includes(req.user.role)) {
+    next();
+  } else {
+    console.log('Editor access denied for user:', req.user?.role);
+
+    return res.status(403).json({
+      success: false,
+      error: 'Editor access required',
+      message: 'You do not have permission to access this resource'
+    });
+  }
+};
+
+// Verified email middleware - publishing requires a confirmed email address
+exports.verifiedEmailMiddleware = (req, res, next) => {
+  if (req.user && req.user.emailVerified !== false) {
+    next();
+  } else {
+    console.log('Unverified email blocked from publishing:', req.user?._id);
+
+    return res.status(403).json({
+      success: false,
+      error: 'Email verification required',
+      message: 'Verify your email address before publishing'
+    });
+  }
+};
+
+// Pending login middleware - password accepted, second factor still outstanding.
+// Attaches the pending session and its user; only the two-step login routes use it.
+exports.pendingLoginMiddleware = async (req, res, next) => {
+  const sessionId = req.cookies && req.cookies[PENDING_COOKIE_NAME];
+
+  try {
+    const pendingSession = await Session.findPendingSession(sessionId);
+    const user = pendingSession && await User.findById(pendingSession.userId);
+
+    if (!pendingSession || !user || !user.isActive) {
+      console.log('No valid pending login for:', sessionId);
+
+      res.clearCookie(PENDING_COOKIE_NAME, {
+        path: '/',
+        httpOnly: true,
+        secure: process.env.NODE_ENV === 'production',
+        sameSite: process.env.NODE_ENV === 'production' ? 'none' : 'strict'
+      });
+
+      return res.status(401).json({
+        success: false,
+        error: 'Login expired',
+        message: 'Please log in again'
+      });
+    }
+
+    req.user = user;
+    req.pendingSession = pendingSession;
+    req.sessionType = 'pending';
+
+    next();
+  } catch (error) {
+    console.error('Pending login middleware error:', error);
+
+    return res.status(500).json({
+      success: false,
+      error: 'Authentication error',
+      message: 'An error occurred during authentication'
+    });
+  }
+};
+
 // Optional: Middleware to attach user if exists (for optional auth routes)
 exports.optionalAuthMiddleware = async (req, res, next) => {
   console.log('Optional auth middleware checking...');
@@ -446,5 +527,6 @@ exports.cleanupExpiredSessions = async () => {
 // Export cookie names for use in other parts of the app
 exports.COOKIE_NAMES = {
   AUTH: AUTH_COOKIE_NAME,
-  TRACKING: TRACKING_COOKIE_NAME
+  TRACKING: TRACKING_COOKIE_NAME,
+  PENDING: PENDING_COOKIE_NAME
 };
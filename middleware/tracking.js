@@ -6,6 +6,7 @@ const PageView = require('../models/PageView');
 const { Session, SESSION_CONFIG } = require('../models/Session');
 const Event = require('../models/Event');
 const Article = require('../models/Article');
+const { SHARE_CAMPAIGN, SHARE_NETWORKS } = require('../utils/shareLinks');
 
 // Continent mapping configuration
 const CONTINENT_MAP = {
@@ -372,6 +373,36 @@ const determineMedium = (source, utmMedium, referrer) => {
   return 'referral';
 };
 
+// Credit a return visit from a shared article link to the network it was shared on
+const attributeShareReferral = async (session, utmData, source, isSessionNew) => {
+  try {
+    if (utmData.campaign !== SHARE_CAMPAIGN || !SHARE_NETWORKS[source]) return;
+    if (!utmData.content || !/^[0-9a-fA-F]{24}$/.test(utmData.content)) return;
+
+    // Count each session once: new sessions already carry the campaign
+    if (!isSessionNew) {
+      if (session.campaign === SHARE_CAMPAIGN) return;
+      session.campaign = SHARE_CAMPAIGN;
+      await session.save();
+    }
+
+    const trafficSource = SHARE_NETWORKS[source].medium === 'email' ? 'email' : 'social';
+
+    await Article.updateOne(
+      { _id: utmData.content },
+      {
+        $inc: {
+          [`shareReferrals.${source}`]: 1,
+          [`trafficSources.${trafficSource}`]: 1
+        }
+      }
+    );
+    console.log(`🔗 Share referral from ${source} attributed to article ${utmData.content}`);
+  } catch (error) {
+    console.error('Share referral attribution error:', error.message);
+  }
+};
+
 // Track page view middleware - Google Analytics style (UPDATED for unified session model)
 const trackPageView = async (req, res, next) => {
   const startTime = Date.now();
@@ -454,6 +485,8 @@ const trackPageView = async (req, res, next) => {
           
           req.session = session;
           req.sessionType = 'authentication';
+
+          await attributeShareReferral(session, utmData, source, false);
           
           // Skip tracking session creation for authenticated users
           console.log('👤 User is authenticated, skipping tracking session');
@@ -588,6 +621,10 @@ const trackPageView = async (req, res, next) => {
     req.session = session;
     req.sessionType = sessionType;
 
+    if (session) {
+      await attributeShareReferral(session, utmData, source, isSessionNew);
+    }
+
     // Only create PageView and update analytics for actual page views
     if (isPageViewRoute && session) {
       // Update previous page view's "Time on Page" and "Bounce" status
@@ -704,7 +741,8 @@ const trackEvent = async (eventData) => {
       articleId,
       eventType,
       eventData: customData = {},
-      metadata = {}
+      metadata = {},
+      updateArticleCounters = true
     } = eventData;
     
     // Create event record
@@ -727,7 +765,7 @@ const trackEvent = async (eventData) => {
     await event.save();
     
     // Update article counters for engagement events
-    if (articleId && ['like', 'comment', 'share', 'bookmark'].includes(eventType)) {
+    if (updateArticleCounters && articleId && ['like', 'comment', 'share', 'bookmark'].includes(eventType)) {
       const updateField = eventType === 'share' ? 'shares' : `${eventType}s`;
       await Article.findByIdAndUpdate(articleId, {
         $inc: { [updateField]: 1 }
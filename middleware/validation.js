@@ -21,6 +21,10 @@ const validateArticle = [
   body('content')
     .isLength({ min: 100 })
     .withMessage('Content must be at least 100 characters'),
+  body('contentFormat')
+    .optional()
+    .isIn(['html', 'markdown'])
+    .withMessage('Content format must be html or markdown'),
   body('category')
     .trim()
     .notEmpty()
@@ -37,6 +41,10 @@ const validateArticle = [
     .optional()
     .isMongoId()
     .withMessage('Author must be a valid ObjectId'),
+  body('contributors')
+    .optional()
+    .isArray()
+    .withMessage('Contributors must be an array'),
   handleValidationErrors
 ];
 
@@ -51,6 +59,10 @@ const validateArticleUpdate = [
     .optional()
     .isLength({ min: 100 })
     .withMessage('Content must be at least 100 characters'),
+  body('contentFormat')
+    .optional()
+    .isIn(['html', 'markdown'])
+    .withMessage('Content format must be html or markdown'),
   body('category')
     .optional()
     .trim()
@@ -69,6 +81,24 @@ const validateArticleUpdate = [
     .optional()
     .isMongoId()
     .withMessage('Author must be a valid ObjectId'),
+  body('contributors')
+    .optional()
+    .isArray()
+    .withMessage('Contributors must be an array'),
+  handleValidationErrors
+];
+
+// Editorial review actions (submit, approve, request changes, reject)
+const validateReview = [
+  body('notes')
+    .optional()
+    .isString()
+    .isLength({ max: 2000 })
+    .withMessage('Notes must be at most 2000 characters'),
+  body('publishAt')
+    .optional({ values: 'falsy' })
+    .isISO8601()
+    .withMessage('Publish date must be a valid date'),
   handleValidationErrors
 ];
 
@@ -102,6 +132,59 @@ const validateLogin = [
   handleValidationErrors
 ];
 
+// Forgot password validation
+const validateForgotPassword = [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Valid email is required'),
+  handleValidationErrors
+];
+
+// Reset password validation
+const validateResetPassword = [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Reset token is required'),
+  body('password')
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters'),
+  handleValidationErrors
+];
+
+// Emailed link token validation (email verification, account unlock)
+const validateEmailToken = [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Token is required'),
+  handleValidationErrors
+];
+
+// Two-factor code (authenticator code or backup code)
+const validateTwoFactorCode = [
+  body('code')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Authentication code is required'),
+  handleValidationErrors
+];
+
+// Turning two-factor off needs the password as well as a code
+const validateTwoFactorDisable = [
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required'),
+  body('code')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Authentication code is required'),
+  handleValidationErrors
+];
+
 // Newsletter subscription validation
 const validateNewsletter = [
   body('email')
@@ -114,8 +197,14 @@ const validateNewsletter = [
 module.exports = {
   validateArticle,
   validateArticleUpdate, // Add this export
+  validateReview,
   validateRegistration,
   validateLogin,
+  validateForgotPassword,
+  validateResetPassword,
+  validateEmailToken,
+  validateTwoFactorCode,
+  validateTwoFactorDisable,
   validateNewsletter,
   handleValidationErrors
 };
\ No newline at end of file
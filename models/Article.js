@@ -1,4 +1,23 @@
 const mongoose = require('mongoose');
+const commentConfig = require('../config/comment-config');
+const { CONTENT_FORMATS, renderContent } = require('../utils/contentRenderer');
+const { analyzeContent } = require('../utils/contentAnalyzer');
+const siteConfig = require('../config/site-config');
+
+// in_review and rejected are only entered through the editorial review endpoints
+const ARTICLE_STATUSES = ['draft', 'in_review', 'rejected', 'published', 'scheduled', 'archived'];
+
+// Fields readers see in listings and feeds; changing one moves contentUpdatedAt
+const CONTENT_FIELDS = ['title', 'content', 'contentFormat', 'excerpt', 'featuredImage', 'slug', 'category', 'tags', 'author', 'locale'];
+
+// Credits an article can give besides its primary author
+const CONTRIBUTOR_ROLES = ['author', 'editor', 'photographer', 'translator'];
+
+// Populate options for the primary author and every credited contributor
+const CREDITS_POPULATE = [
+  { path: 'author', select: 'username displayName avatar bio' },
+  { path: 'contributors.user', select: 'username displayName avatar bio' }
+];
 
 /**
  * Schema definition for article comments
@@ -8,8 +27,17 @@ const mongoose = require('mongoose');
  * @property {string} commenterName - Display name for the commenter (extracted from email for newsletter subscribers)
  * @property {string} commenterEmail - Email of the commenter (for newsletter subscribers)
  * @property {string} content - The comment text content (max 1000 characters)
- * @property {number} likes - Number of likes the comment has received
- * @property {boolean} isApproved - Whether the comment is approved for display (default: true)
+ * @property {number} likes - Number of likes the comment has received, kept in sync with likedBy
+ * @property {Object[]} likedBy - Users or anonymous sessions that liked the comment
+ * @property {Object[]} reactions - Emoji reactions, at most one per user or session
+ * @property {boolean} isApproved - Whether the comment is approved for display, kept in sync with status
+ * @property {string} status - Moderation status (pending/approved/rejected/spam, default: approved)
+ * @property {mongoose.Types.ObjectId} parentComment - ID of the comment this one replies to (null for top-level)
+ * @property {Date} editedAt - Timestamp of the last edit by the commenter
+ * @property {boolean} isDeleted - Whether the comment has been soft deleted
+ * @property {Date} deletedAt - Timestamp when the comment was soft deleted
+ * @property {mongoose.Types.ObjectId} moderatedBy - Reference to the user who last moderated the comment
+ * @property {Date} moderatedAt - Timestamp of the last moderation action
  * @property {Date} createdAt - Timestamp when comment was created
  * @property {Date} updatedAt - Timestamp when comment was last updated
  */
@@ -34,20 +62,77 @@ const commentSchema = new mongoose.Schema({
   content: {
     type: String,
     required: true,
-    maxlength: 1000
+    maxlength: commentConfig.maxLength
   },
   likes: {
     type: Number,
     default: 0
   },
+  likedBy: [{
+    _id: false,
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    sessionId: String,
+    createdAt: { type: Date, default: Date.now }
+  }],
+  reactions: [{
+    _id: false,
+    reaction: {
+      type: String,
+      enum: Object.keys(commentConfig.reactions),
+      required: true
+    },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    sessionId: String,
+    createdAt: { type: Date, default: Date.now }
+  }],
   isApproved: {
     type: Boolean,
     default: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected', 'spam'],
+    default: 'approved'
+  },
+  parentComment: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  editedAt: {
+    type: Date
+  },
+  isDeleted: {
+    type: Boolean,
+    default: false
+  },
+  deletedAt: {
+    type: Date
+  },
+  moderatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  moderatedAt: {
+    type: Date
   }
 }, {
   timestamps: true
 });
 
+// Keep the legacy isApproved flag in sync with the moderation status
+commentSchema.pre('validate', function(next) {
+  this.isApproved = this.status === 'approved';
+  next();
+});
+
+/**
+ * Whether the comment should be shown to readers
+ * @returns {boolean} True when the comment is approved and not deleted
+ */
+commentSchema.methods.isVisible = function() {
+  return this.status === 'approved' && !this.isDeleted;
+};
+
 /**
  * Schema definition for advertisement placements within articles
  * @typedef {Object} AdPlacementSchema
@@ -82,18 +167,74 @@ const adPlacementSchema = new mongoose.Schema({
   }
 });
 
+/**
+ * Schema definition for a step in an article's editorial review
+ * @typedef {Object} ReviewEventSchema
+ * @property {string} action - submitted, approved, changes_requested or rejected
+ * @property {mongoose.Types.ObjectId} user - Reference to the User who took the action
+ * @property {string} notes - Notes for the author (max 2000 chars)
+ * @property {Date} createdAt - When the action was taken
+ */
+const reviewEventSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    required: true,
+    enum: ['submitted', 'approved', 'changes_requested', 'rejected']
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  notes: {
+    type: String,
+    maxlength: 2000
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+/**
+ * Schema definition for a contributor credit on an article
+ * @typedef {Object} ContributorSchema
+ * @property {mongoose.Types.ObjectId} user - Reference to the credited User (required)
+ * @property {string} role - Credit: author (co-author), editor, photographer or translator (required)
+ */
+const contributorSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  role: {
+    type: String,
+    enum: CONTRIBUTOR_ROLES,
+    required: true
+  }
+}, { _id: false });
+
 /**
  * Mongoose schema for Article model
  * Defines the structure and behavior of blog articles in the system
  * @typedef {Object} ArticleSchema
  * @property {string} title - Article title (required, max 200 chars, trimmed)
- * @property {string} content - Full article content in HTML/markdown (required)
+ * @property {string} content - Full article source content, interpreted according to contentFormat (required)
+ * @property {string} contentFormat - Format of the source content: 'html' or 'markdown' (default: 'html')
+ * @property {string} html - Cached sanitized HTML rendering of the content, with heading anchors
+ * @property {Object[]} toc - Cached table of contents: { id, text, level } per heading
  * @property {string} excerpt - Short summary of the article (max 1000 chars)
  * @property {string} slug - URL-friendly identifier (unique, required)
+ * @property {string[]} previousSlugs - Slugs the article was published under before, for redirects (indexed)
+ * @property {string} locale - Language of the article, one of siteConfig.locales (default: siteConfig.language)
+ * @property {mongoose.Types.ObjectId} translationGroup - Shared by all translations of the same article;
+ *   the ID of the article translated first. Unset for articles without translations
  * @property {string} featuredImage - URL to the featured image
- * @property {string} category - Article category (required, indexed)
+ * @property {string} category - Slug of the managed Category the article is filed under (required, indexed)
  * @property {string[]} tags - Array of tags associated with the article
- * @property {mongoose.Types.ObjectId} author - Reference to the User who wrote the article (required)
+ * @property {mongoose.Types.ObjectId} author - Reference to the primary author, shown first in the byline (required)
+ * @property {ContributorSchema[]} contributors - Further credits: co-authors, editors, photographers, translators
  * @property {number} views - Total number of views (default: 0)
  * @property {mongoose.Types.ObjectId[]} likes - Array of user IDs who liked the article
  * @property {number} likesCount - Cached count of likes (default: 0)
@@ -107,15 +248,32 @@ const adPlacementSchema = new mongoose.Schema({
  * @property {Object} trafficSources - Breakdown of traffic sources
  * @property {Object[]} dailyStats - Daily analytics data for trend analysis
  * @property {number} trendingScore - Calculated trending score (default: 0)
- * @property {number} readTime - Estimated reading time in minutes
+ * @property {number} readTime - Estimated reading time in minutes, accounting for images and code
+ * @property {Object} contentStats - Analysis of the rendered content, refreshed whenever it changes
+ * @property {number} contentStats.wordCount - Prose words, excluding markup and code blocks
+ * @property {number} contentStats.codeWordCount - Words inside code blocks
+ * @property {number} contentStats.imageCount - Number of images
+ * @property {number} contentStats.codeBlockCount - Number of code blocks
+ * @property {number} contentStats.readabilityScore - Flesch reading ease, 0 (hard) to 100 (easy); null unless the language is English
+ * @property {string} contentStats.language - Detected ISO 639-1 language code, 'und' when undetermined
+ * @property {Date} contentStats.analyzedAt - When the analysis was last computed
  * @property {string} metaTitle - SEO meta title (max 200 chars)
  * @property {string} metaDescription - SEO meta description (max 300 chars)
- * @property {string} status - Publication status (draft/published/scheduled/archived, default: draft)
+ * @property {string} status - Publication status (draft/in_review/rejected/published/scheduled/archived, default: draft)
+ * @property {Object} review - State of the current editorial review
+ * @property {Date} review.submittedAt - When the article was last submitted for review
+ * @property {Date} review.requestedPublishAt - Publish date requested by the author, used on approval
+ * @property {mongoose.Types.ObjectId} review.reviewedBy - Reference to the editor who last decided
+ * @property {Date} review.reviewedAt - When the last decision was taken
+ * @property {string} review.notes - Notes from the last decision
+ * @property {ReviewEventSchema[]} reviewHistory - Every submission and decision, oldest first
  * @property {Date} publishedAt - Date when article was published
+ * @property {Date} contentUpdatedAt - When reader-facing fields last changed (unlike updatedAt, not moved by views or comments)
  * @property {Date} scheduledFor - Date when article is scheduled to be published
  * @property {AdPlacementSchema[]} adPlacements - Array of advertisement placements
  * @property {number} readCompletionRate - Percentage of article read on average (default: 0)
- * @property {Object} socialShares - Social media share counts
+ * @property {Object} socialShares - Social media share counts per network
+ * @property {Object} shareReferrals - Return visits attributed to shared links, per network
  * @property {Date} createdAt - Timestamp when article was created
  * @property {Date} updatedAt - Timestamp when article was last updated
  */
@@ -130,6 +288,20 @@ const articleSchema = new mongoose.Schema({
     type: String, 
     required: true 
   },
+  contentFormat: {
+    type: String,
+    enum: CONTENT_FORMATS,
+    default: 'html'
+  },
+  html: {
+    type: String
+  },
+  toc: [{
+    _id: false,
+    id: String,
+    text: String,
+    level: Number
+  }],
   excerpt: { 
     type: String,
     maxlength: 1000
@@ -139,6 +311,18 @@ const articleSchema = new mongoose.Schema({
     unique: true, 
     required: true 
   },
+  previousSlugs: [{
+    type: String
+  }],
+  locale: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    default: siteConfig.language
+  },
+  translationGroup: {
+    type: mongoose.Schema.Types.ObjectId
+  },
   featuredImage: { 
     type: String 
   },
@@ -156,6 +340,7 @@ const articleSchema = new mongoose.Schema({
     ref: 'User',
     required: true 
   },
+  contributors: [contributorSchema],
   
   // Engagement metrics (updated)
   views: { 
@@ -226,6 +411,15 @@ const articleSchema = new mongoose.Schema({
   readTime: { 
     type: Number 
   },
+  contentStats: {
+    wordCount: { type: Number, default: 0 },
+    codeWordCount: { type: Number, default: 0 },
+    imageCount: { type: Number, default: 0 },
+    codeBlockCount: { type: Number, default: 0 },
+    readabilityScore: { type: Number },
+    language: { type: String },
+    analyzedAt: { type: Date }
+  },
   
   // SEO
   metaTitle: { 
@@ -240,15 +434,28 @@ const articleSchema = new mongoose.Schema({
   // Status
   status: { 
     type: String, 
-    enum: ['draft', 'published', 'scheduled', 'archived'], 
+    enum: ARTICLE_STATUSES, 
     default: 'draft' 
   },
   publishedAt: { 
     type: Date 
   },
+  contentUpdatedAt: {
+    type: Date
+  },
   scheduledFor: { 
     type: Date 
   },
+
+  // Editorial review
+  review: {
+    submittedAt: { type: Date },
+    requestedPublishAt: { type: Date },
+    reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    reviewedAt: { type: Date },
+    notes: { type: String, maxlength: 2000 }
+  },
+  reviewHistory: [reviewEventSchema],
   
   // Comments
   comments: [commentSchema],
@@ -264,7 +471,18 @@ const articleSchema = new mongoose.Schema({
   socialShares: {
     facebook: { type: Number, default: 0 },
     twitter: { type: Number, default: 0 },
-    linkedin: { type: Number, default: 0 }
+    linkedin: { type: Number, default: 0 },
+    reddit: { type: Number, default: 0 },
+    whatsapp: { type: Number, default: 0 },
+    email: { type: Number, default: 0 }
+  },
+  shareReferrals: {
+    facebook: { type: Number, default: 0 },
+    twitter: { type: Number, default: 0 },
+    linkedin: { type: Number, default: 0 },
+    reddit: { type: Number, default: 0 },
+    whatsapp: { type: Number, default: 0 },
+    email: { type: Number, default: 0 }
   }
 }, {
   timestamps: true,
@@ -274,12 +492,29 @@ const articleSchema = new mongoose.Schema({
 
 // Indexes for better performance
 articleSchema.index({ status: 1, publishedAt: -1 });
+articleSchema.index({ status: 1, scheduledFor: 1 });
+articleSchema.index({ status: 1, 'review.submittedAt': 1 });
+articleSchema.index({ 'contributors.user': 1 });
+// One translation per locale within a group
+articleSchema.index(
+  { translationGroup: 1, locale: 1 },
+  { unique: true, partialFilterExpression: { translationGroup: { $exists: true } } }
+);
 articleSchema.index({ category: 1, publishedAt: -1 });
 articleSchema.index({ trendingScore: -1 });
 articleSchema.index({ author: 1, publishedAt: -1 });
 articleSchema.index({ tags: 1 });
+articleSchema.index({ previousSlugs: 1 });
 articleSchema.index({ views: -1 });
 articleSchema.index({ likesCount: -1 });
+articleSchema.index({ 'comments.status': 1 });
+articleSchema.index(
+  { title: 'text', excerpt: 'text', content: 'text' },
+  {
+    name: 'article_text_search',
+    weights: { title: 10, excerpt: 5, content: 1 }
+  }
+);
 
 /**
  * Virtual property for engagement rate
@@ -293,16 +528,30 @@ articleSchema.virtual('engagementRate').get(function() {
 
 // Calculate read time before save
 articleSchema.pre('save', function(next) {
-  if (this.isModified('content')) {
-    const wordsPerMinute = 200;
-    const wordCount = this.content.split(/\s+/).length;
-    this.readTime = Math.ceil(wordCount / wordsPerMinute);
+  if (this.isNew || CONTENT_FIELDS.some(field => this.isModified(field))) {
+    this.contentUpdatedAt = new Date();
+  }
+
+  // Sanitize and re-render the cached HTML whenever the source changes. Older
+  // articles without cached HTML are rendered by scripts/backfill-content-stats.js,
+  // never as a side effect of an unrelated save (likes, comments, analytics).
+  if (this.isModified('content') || this.isModified('contentFormat')) {
+    Object.assign(this, renderContent(this.content, this.contentFormat));
+  }
+
+  if (this.html && (this.isModified('html') || !this.contentStats || !this.contentStats.analyzedAt)) {
+    Object.assign(this, analyzeContent(this.html));
   }
   
   // Update likesCount to match likes array length
   if (this.likes && Array.isArray(this.likes)) {
     this.likesCount = this.likes.length;
   }
+
+  // Only approved, non-deleted comments count towards commentCount
+  if (this.comments && Array.isArray(this.comments)) {
+    this.commentCount = this.comments.filter(comment => comment.isVisible()).length;
+  }
   
   next();
 });
@@ -414,6 +663,191 @@ articleSchema.methods.updateLikes = async function(userId, action) {
   return this;
 };
 
+/**
+ * Static method to check whether a slug is used by another article, either
+ * as its current slug or as one of its previous slugs
+ * @param {string} slug - Slug to check
+ * @param {mongoose.Types.ObjectId|string} excludeId - Article to ignore (the one being edited)
+ * @returns {Promise<boolean>} True if the slug is taken
+ */
+articleSchema.statics.isSlugTaken = async function(slug, excludeId = null) {
+  const query = { $or: [{ slug }, { previousSlugs: slug }] };
+  if (excludeId) query._id = { $ne: excludeId };
+
+  return !!(await this.exists(query));
+};
+
+/**
+ * Method to move to a new slug, remembering the current one so old links keep resolving
+ * @param {string} newSlug - The new slug
+ * @returns {Object} Update fields for the slug change, empty when the slug is unchanged
+ */
+articleSchema.methods.getSlugChange = function(newSlug) {
+  if (!newSlug || newSlug === this.slug) return {};
+
+  const previousSlugs = (this.previousSlugs || []).filter(previous => previous !== newSlug);
+  if (!previousSlugs.includes(this.slug)) previousSlugs.push(this.slug);
+
+  return { slug: newSlug, previousSlugs };
+};
+
+/**
+ * Static method to build the filter value for Article.locale
+ * Articles saved before translations existed have no locale and count as the default language
+ * @param {string} locale - Requested locale
+ * @returns {string|Object} Value to use for the `locale` field in a query
+ */
+articleSchema.statics.localeFilter = function(locale) {
+  return locale === siteConfig.language ? { $in: [locale, null] } : locale;
+};
+
+/**
+ * Static method to list the translations of an article
+ * @param {Object} article - Article with `_id` and `translationGroup`
+ * @param {Object} options - { publishedOnly: only include published translations (default: true) }
+ * @returns {Promise<Object[]>} Other articles in the translation group, without the article itself
+ */
+articleSchema.statics.getTranslations = async function(article, { publishedOnly = true } = {}) {
+  if (!article.translationGroup) return [];
+
+  const query = { translationGroup: article.translationGroup, _id: { $ne: article._id } };
+  if (publishedOnly) query.status = 'published';
+
+  return this.find(query)
+    .select('title slug locale status')
+    .sort({ locale: 1 })
+    .lean();
+};
+
+/**
+ * Method to check whether a user is credited on the article as primary author or contributor
+ * @param {mongoose.Types.ObjectId|string} userId - ID of the user
+ * @returns {boolean} True if the user is credited
+ */
+articleSchema.methods.isCredited = function(userId) {
+  const id = userId.toString();
+  const authorId = this.author && (this.author._id || this.author).toString();
+
+  return authorId === id || (this.contributors || []).some(contributor =>
+    contributor.user && (contributor.user._id || contributor.user).toString() === id
+  );
+};
+
+/**
+ * Static method to build a query matching articles a user is credited on
+ * @param {mongoose.Types.ObjectId|string} userId - ID of the user
+ * @param {string} role - Optional contributor role to restrict contributor credits to
+ * @returns {Object} MongoDB filter
+ */
+articleSchema.statics.creditedTo = function(userId, role = null) {
+  const id = new mongoose.Types.ObjectId(userId.toString());
+  const contributor = role ? { user: id, role } : { user: id };
+
+  return { $or: [{ author: id }, { contributors: { $elemMatch: contributor } }] };
+};
+
+/**
+ * Static method to recount User.articlesWritten: published articles the user wrote
+ * as primary author or co-author
+ * @param {Object[]} articles - Articles whose credited writers should be recounted
+ * @returns {Promise<void>}
+ */
+articleSchema.statics.refreshArticlesWritten = async function(articles) {
+  const writerIds = new Set();
+
+  articles.forEach(article => {
+    if (article.author) writerIds.add((article.author._id || article.author).toString());
+    (article.contributors || [])
+      .filter(contributor => contributor.role === 'author' && contributor.user)
+      .forEach(contributor => writerIds.add((contributor.user._id || contributor.user).toString()));
+  });
+
+  const User = mongoose.model('User');
+  await Promise.all([...writerIds].map(async (userId) => {
+    const count = await this.countDocuments({
+      ...this.creditedTo(userId, 'author'),
+      status: 'published'
+    });
+    await User.updateOne({ _id: userId }, { articlesWritten: count });
+  }));
+};
+
+/**
+ * Static method to decide the moderation status of a new or edited comment from the configured policy
+ * @param {Object} user - The commenter
+ * @param {Object} [options]
+ * @param {mongoose.Types.ObjectId} [options.excludeCommentId] - Comment being edited, which can't vouch for itself
+ * @returns {Promise<string>} 'approved' or 'pending'
+ */
+articleSchema.statics.resolveCommentStatus = async function(user, { excludeCommentId } = {}) {
+  if (commentConfig.trustedRoles.includes(user.role)) {
+    return 'approved';
+  }
+
+  switch (commentConfig.moderationPolicy) {
+    case 'manual':
+      return 'pending';
+    case 'first-time': {
+      const match = { user: user._id, status: 'approved', isDeleted: { $ne: true } };
+      if (excludeCommentId) match._id = { $ne: excludeCommentId };
+      const hasApprovedComment = await this.exists({ comments: { $elemMatch: match } });
+      return hasApprovedComment ? 'approved' : 'pending';
+    }
+    default:
+      return 'approved';
+  }
+};
+
+/**
+ * Static method to filter comments down to those readers may see
+ * Soft-deleted comments are kept as content-less placeholders when they still
+ * have visible replies, so threads stay intact
+ * @param {Object[]} comments - Comment subdocuments or plain objects
+ * @returns {Object[]} Array of visible comments as plain objects, in creation order
+ */
+articleSchema.statics.filterPublicComments = function(comments = []) {
+  const plainComments = comments.map(comment => comment.toObject ? comment.toObject() : comment);
+  const isApproved = (comment) => (comment.status || 'approved') === 'approved';
+
+  const hasVisibleReply = (commentId) => plainComments.some(comment =>
+    comment.parentComment &&
+    comment.parentComment.toString() === commentId.toString() &&
+    isApproved(comment) &&
+    (!comment.isDeleted || hasVisibleReply(comment._id))
+  );
+
+  return plainComments
+    .filter(isApproved)
+    .filter(comment => !comment.isDeleted || hasVisibleReply(comment._id))
+    .map(comment => {
+      const { commenterEmail, moderatedBy, moderatedAt, likedBy, reactions, ...publicComment } = comment;
+
+      // Expose reaction totals without revealing who reacted
+      publicComment.reactionCounts = {};
+      Object.keys(commentConfig.reactions).forEach(reaction => {
+        publicComment.reactionCounts[reaction] = 0;
+      });
+      (reactions || []).forEach(({ reaction }) => {
+        publicComment.reactionCounts[reaction] = (publicComment.reactionCounts[reaction] || 0) + 1;
+      });
+
+      if (comment.isDeleted) {
+        publicComment.content = null;
+        publicComment.user = null;
+        publicComment.commenterName = null;
+      }
+      return publicComment;
+    });
+};
+
+/**
+ * Returns the comments readers may see on this article
+ * @returns {Object[]} Array of visible comments as plain objects
+ */
+articleSchema.methods.getPublicComments = function() {
+  return this.constructor.filterPublicComments(this.comments);
+};
+
 /**
  * Static method to retrieve top performing articles by view count
  * @param {number} limit - Maximum number of articles to return (default: 10)
@@ -466,9 +900,18 @@ articleSchema.statics.getCategoryStats = async function(startDate, endDate) {
         totalBookmarks: { $sum: '$bookmarks' }
       }
     },
+    {
+      $lookup: {
+        from: 'categories',
+        localField: '_id',
+        foreignField: 'slug',
+        as: 'categoryDoc'
+      }
+    },
     {
       $project: {
         category: '$_id',
+        categoryName: { $ifNull: [{ $arrayElemAt: ['$categoryDoc.name', 0] }, '$_id'] },
         views: '$totalViews',
         articles: '$articleCount',
         likes: '$totalLikes',
@@ -521,4 +964,8 @@ articleSchema.statics.getTrendingArticles = async function(limit = 10, category
     .lean();
 };
 
-module.exports = mongoose.model('Article', articleSchema);
\ No newline at end of file
+module.exports = mongoose.model('Article', articleSchema);
+module.exports.ARTICLE_STATUSES = ARTICLE_STATUSES;
+module.exports.CONTRIBUTOR_ROLES = CONTRIBUTOR_ROLES;
+module.exports.CREDITS_POPULATE = CREDITS_POPULATE;
+module.exports.CONTENT_FIELDS = CONTENT_FIELDS;
\ No newline at end of file
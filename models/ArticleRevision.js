@@ -0,0 +1,205 @@
+const mongoose = require('mongoose');
+
+// Article fields captured in every revision snapshot
+const REVISION_FIELDS = [
+  'title',
+  'content',
+  'contentFormat',
+  'excerpt',
+  'slug',
+  'category',
+  'tags',
+  'featuredImage',
+  'metaTitle',
+  'metaDescription'
+];
+
+/**
+ * Mongoose schema for ArticleRevision model
+ * Immutable snapshot of an article's editable fields, written on every save
+ * @typedef {Object} ArticleRevisionSchema
+ * @property {mongoose.Types.ObjectId} article - Reference to the revised Article (required)
+ * @property {number} revisionNumber - Sequential revision number per article, starting at 1
+ * @property {mongoose.Types.ObjectId} editor - Reference to the User who made the change
+ * @property {string[]} changedFields - Names of the fields that differ from the previous revision
+ * @property {Object} snapshot - Values of the tracked fields after the change
+ * @property {number} restoredFrom - Revision number this revision was restored from, if any
+ * @property {boolean} baseline - Copy the article had before its first recorded change
+ * @property {boolean} draft - Restored copy saved alongside a live article without replacing it
+ * @property {Date} createdAt - Timestamp when the revision was recorded
+ */
+const articleRevisionSchema = new mongoose.Schema({
+  article: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Article',
+    required: true,
+    immutable: true
+  },
+  revisionNumber: {
+    type: Number,
+    required: true,
+    immutable: true
+  },
+  editor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    immutable: true
+  },
+  changedFields: {
+    type: [String],
+    immutable: true
+  },
+  snapshot: {
+    title: String,
+    content: String,
+    contentFormat: String,
+    excerpt: String,
+    slug: String,
+    category: String,
+    tags: [String],
+    featuredImage: String,
+    metaTitle: String,
+    metaDescription: String
+  },
+  restoredFrom: {
+    type: Number,
+    immutable: true
+  },
+  baseline: {
+    type: Boolean,
+    immutable: true
+  },
+  draft: {
+    type: Boolean,
+    immutable: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+articleRevisionSchema.index({ article: 1, revisionNumber: -1 }, { unique: true });
+
+// Revisions are append-only
+const rejectModification = function(next) {
+  next(new Error('Article revisions are immutable'));
+};
+
+articleRevisionSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return rejectModification(next);
+  }
+  next();
+});
+articleRevisionSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'], rejectModification);
+
+// Normalise a field value so that snapshots can be compared
+const normaliseValue = (value) => {
+  if (Array.isArray(value)) return value.map(String);
+  if (value === undefined || value === null) return null;
+  return value;
+};
+
+const valuesEqual = (a, b) => JSON.stringify(normaliseValue(a)) === JSON.stringify(normaliseValue(b));
+
+/**
+ * Static method to compute a field-level diff between two snapshots
+ * @param {Object} from - Older snapshot
+ * @param {Object} to - Newer snapshot
+ * @returns {Array} Array of { field, from, to } entries for fields that differ
+ */
+articleRevisionSchema.statics.diffSnapshots = function(from = {}, to = {}) {
+  return REVISION_FIELDS
+    .filter(field => !valuesEqual(from[field], to[field]))
+    .map(field => ({
+      field,
+      from: normaliseValue(from[field]),
+      to: normaliseValue(to[field])
+    }));
+};
+
+const snapshotOf = (source) => {
+  const snapshot = {};
+  REVISION_FIELDS.forEach(field => {
+    snapshot[field] = normaliseValue(source[field]);
+  });
+  return snapshot;
+};
+
+const MAX_NUMBERING_ATTEMPTS = 5;
+
+/**
+ * Append a revision with the next free number, retrying when a concurrent save
+ * took the same number (the unique index rejects the duplicate)
+ * @param {Object} data - Revision fields other than revisionNumber
+ * @returns {Promise<ArticleRevision>}
+ */
+articleRevisionSchema.statics.appendRevision = async function(data) {
+  for (let attempt = 1; ; attempt++) {
+    const lastRevision = await this.findOne({ article: data.article })
+      .sort({ revisionNumber: -1 })
+      .select('revisionNumber')
+      .lean();
+
+    try {
+      return await this.create({
+        ...data,
+        revisionNumber: lastRevision ? lastRevision.revisionNumber + 1 : 1
+      });
+    } catch (error) {
+      if (error.code !== 11000 || attempt >= MAX_NUMBERING_ATTEMPTS) throw error;
+    }
+  }
+};
+
+/**
+ * Static method to record a new revision for an article
+ * @param {Object} article - The article after the change
+ * @param {mongoose.Types.ObjectId|string} editorId - ID of the user who made the change
+ * @param {Object} [options]
+ * @param {Object} [options.previous] - The article before the change, used to detect changed fields
+ * @param {number} [options.restoredFrom] - Revision number being restored, if any
+ * @param {boolean} [options.draft] - The copy was saved as a draft and not applied to the article
+ * @returns {Promise<ArticleRevision|null>} The new revision, or null when nothing changed
+ */
+articleRevisionSchema.statics.recordRevision = async function(article, editorId, options = {}) {
+  const { previous, restoredFrom, draft } = options;
+  const snapshot = snapshotOf(article);
+
+  const hasRevisions = await this.exists({ article: article._id });
+
+  // Articles written before revisions were kept have no history yet: keep the
+  // copy being replaced as a baseline so the first edit can be undone
+  if (!hasRevisions && previous) {
+    const baseline = snapshotOf(previous);
+    await this.appendRevision({
+      article: article._id,
+      editor: previous.author,
+      changedFields: REVISION_FIELDS.filter(field => baseline[field] !== null),
+      snapshot: baseline,
+      baseline: true
+    });
+  }
+
+  const changedFields = previous
+    ? this.diffSnapshots(previous, snapshot).map(change => change.field)
+    : REVISION_FIELDS.filter(field => snapshot[field] !== null);
+
+  // Skip saves that did not touch any tracked field
+  if ((hasRevisions || previous) && changedFields.length === 0) {
+    return null;
+  }
+
+  return this.appendRevision({
+    article: article._id,
+    editor: editorId,
+    changedFields,
+    snapshot,
+    restoredFrom,
+    draft: draft || undefined
+  });
+};
+
+const ArticleRevision = mongoose.model('ArticleRevision', articleRevisionSchema);
+
+module.exports = ArticleRevision;
+module.exports.REVISION_FIELDS = REVISION_FIELDS;
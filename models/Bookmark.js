@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+/**
+ * Mongoose schema for Bookmark model
+ * An article saved to a user's reading list
+ * @typedef {Object} BookmarkSchema
+ * @property {mongoose.Types.ObjectId} user - Reference to the User who saved the article (required)
+ * @property {mongoose.Types.ObjectId} article - Reference to the saved Article (required)
+ * @property {Date} createdAt - Timestamp when the article was saved
+ */
+const bookmarkSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  article: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Article',
+    required: true,
+    index: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// One bookmark per user and article; also serves the reading list query
+bookmarkSchema.index({ user: 1, article: 1 }, { unique: true });
+bookmarkSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Bookmark', bookmarkSchema);
@@ -0,0 +1,153 @@
+const mongoose = require('mongoose');
+const slugify = require('slugify');
+
+/**
+ * Mongoose schema for Category model
+ * Managed taxonomy that Article.category values (stored as category slugs) are validated against
+ * @typedef {Object} CategorySchema
+ * @property {string} slug - URL-friendly identifier referenced by articles (unique, required, lowercase)
+ * @property {string} name - Display name (required, unique, max 100 chars)
+ * @property {string} description - Category description (max 1000 chars)
+ * @property {mongoose.Types.ObjectId} parent - Reference to the parent Category (null for top level)
+ * @property {number} sortOrder - Position among siblings, ascending (default: 0)
+ * @property {string} metaTitle - SEO meta title for the category page (max 200 chars)
+ * @property {string} metaDescription - SEO meta description for the category page (max 300 chars)
+ * @property {string} ogImage - Social sharing image URL for the category page
+ * @property {Date} createdAt - Timestamp when category was created
+ * @property {Date} updatedAt - Timestamp when category was last updated
+ */
+const categorySchema = new mongoose.Schema({
+  slug: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    maxlength: 100
+  },
+  description: {
+    type: String,
+    maxlength: 1000
+  },
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null
+  },
+  sortOrder: {
+    type: Number,
+    default: 0
+  },
+  metaTitle: {
+    type: String,
+    maxlength: 200
+  },
+  metaDescription: {
+    type: String,
+    maxlength: 300
+  },
+  ogImage: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+categorySchema.index({ parent: 1, sortOrder: 1 });
+
+/**
+ * Static method to turn free text into a category slug
+ * @param {string} value - Category name or slug
+ * @returns {string} Normalized slug
+ */
+categorySchema.statics.toSlug = function(value) {
+  return slugify(String(value || ''), {
+    lower: true,
+    strict: true,
+    remove: /[*+~.()'"!:@]/g
+  });
+};
+
+/**
+ * Static method to find a category from a slug or display name, ignoring case and spacing
+ * @param {string} value - Category slug or name as submitted by a client
+ * @returns {Promise<Object|null>} Matching category document or null
+ */
+categorySchema.statics.resolve = async function(value) {
+  if (!value || typeof value !== 'string' || !value.trim()) return null;
+
+  const slug = this.toSlug(value);
+  const escapedName = value.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+  return this.findOne({
+    $or: [
+      { slug },
+      { name: { $regex: new RegExp(`^${escapedName}$`, 'i') } }
+    ]
+  });
+};
+
+/**
+ * Static method to get the slugs of a category and all of its descendants
+ * @param {mongoose.Types.ObjectId} categoryId - ID of the root category
+ * @returns {Promise<string[]>} Slugs of the category subtree
+ */
+categorySchema.statics.getSubtreeSlugs = async function(categoryId) {
+  const slugs = [];
+  let level = await this.find({ _id: categoryId }).select('slug').lean();
+
+  while (level.length > 0) {
+    slugs.push(...level.map(category => category.slug));
+    level = await this.find({ parent: { $in: level.map(category => category._id) } })
+      .select('slug')
+      .lean();
+  }
+
+  return slugs;
+};
+
+/**
+ * Static method to check whether making parentId the parent of categoryId would create a cycle
+ * @param {mongoose.Types.ObjectId} categoryId - ID of the category being moved
+ * @param {mongoose.Types.ObjectId} parentId - ID of the proposed parent
+ * @returns {Promise<boolean>} True when parentId is the category itself or one of its descendants
+ */
+categorySchema.statics.wouldCreateCycle = async function(categoryId, parentId) {
+  let current = parentId;
+
+  while (current) {
+    if (current.toString() === categoryId.toString()) return true;
+    const ancestor = await this.findById(current).select('parent').lean();
+    current = ancestor ? ancestor.parent : null;
+  }
+
+  return false;
+};
+
+/**
+ * Static method to get the chain of categories from the top level down to a category
+ * @param {string} slug - Slug of the category
+ * @returns {Promise<Object[]>} Categories ordered root first, empty when the slug is unknown
+ */
+categorySchema.statics.getTrail = async function(slug) {
+  const trail = [];
+  let category = await this.findOne({ slug }).select('slug name parent').lean();
+
+  // Guard against corrupted parent cycles
+  while (category && trail.length < 20) {
+    trail.unshift(category);
+    category = category.parent
+      ? await this.findById(category.parent).select('slug name parent').lean()
+      : null;
+  }
+
+  return trail;
+};
+
+module.exports = mongoose.model('Category', categorySchema);
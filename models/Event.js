@@ -19,7 +19,7 @@ const eventSchema = new mongoose.Schema({
   },
   eventType: {
     type: String,
-    enum: ['like', 'comment', 'share', 'bookmark', 'scroll', 'click', 'view', 'search', 'login', 'logout'],
+    enum: ['like', 'comment', 'reaction', 'share', 'bookmark', 'scroll', 'click', 'view', 'search', 'login', 'logout'],
     required: true
   },
   eventData: {
@@ -79,7 +79,7 @@ eventSchema.statics.getEventCounts = async function(startDate, endDate, articleI
 };
 
 // Static method to get engagement trends
-eventSchema.statics.getEngagementTrends = async function(startDate, endDate, eventTypes = ['like', 'comment', 'share']) {
+eventSchema.statics.getEngagementTrends = async function(startDate, endDate, eventTypes = ['like', 'comment', 'reaction', 'share']) {
   const trends = await this.aggregate([
     {
       $match: {
@@ -0,0 +1,207 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const authConfig = require('../config/auth-config');
+
+const THROTTLE_SCOPES = ['account', 'ip'];
+
+const { loginProtection } = authConfig;
+const WINDOW_MS = loginProtection.windowMinutes * 60 * 1000;
+const LOCKOUT_MS = loginProtection.lockoutMinutes * 60 * 1000;
+
+/**
+ * Mongoose schema for LoginThrottle model
+ * Failed login attempts for one account (keyed by email) or one client IP
+ * @typedef {Object} LoginThrottleSchema
+ * @property {string} scope - What is being tracked: 'account' or 'ip'
+ * @property {string} key - Lowercased email for accounts, address for IPs
+ * @property {number} failures - Failed attempts inside the current window
+ * @property {Date} lastFailureAt - When the latest failure happened
+ * @property {Date} lockedUntil - Attempts are refused until this time
+ * @property {number} lockCount - How many times this key has been locked out
+ * @property {string} unlockToken - SHA-256 hash of the emailed unlock token (accounts only)
+ * @property {Date} unlockExpires - When the unlock token stops working
+ * @property {Date} createdAt - Timestamp of the first tracked failure
+ * @property {Date} updatedAt - Timestamp of the last change
+ */
+const loginThrottleSchema = new mongoose.Schema({
+  scope: {
+    type: String,
+    enum: THROTTLE_SCOPES,
+    required: true
+  },
+  key: {
+    type: String,
+    required: true
+  },
+  failures: {
+    type: Number,
+    default: 0
+  },
+  lastFailureAt: Date,
+  lockedUntil: Date,
+  lockCount: {
+    type: Number,
+    default: 0
+  },
+  unlockToken: { type: String, select: false },
+  unlockExpires: { type: Date, select: false }
+}, {
+  timestamps: true
+});
+
+loginThrottleSchema.index({ scope: 1, key: 1 }, { unique: true });
+loginThrottleSchema.index({ lockedUntil: -1 });
+// Quiet records clean themselves up after a day
+loginThrottleSchema.index({ updatedAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const normalizeKey = (scope, key) => (scope === 'account' ? String(key || '').trim().toLowerCase() : String(key || ''));
+
+/**
+ * Wait required after a number of failures before the next attempt is accepted
+ * @param {string} scope - 'account' or 'ip'
+ * @param {number} failures - Failures in the current window
+ * @returns {number} Delay in milliseconds
+ */
+const progressiveDelay = (scope, failures) => {
+  const extra = failures - loginProtection[scope].freeAttempts;
+  if (extra <= 0) return 0;
+
+  const { baseSeconds, maxSeconds } = loginProtection.delay;
+  return Math.min(baseSeconds * 2 ** (extra - 1), maxSeconds) * 1000;
+};
+
+/**
+ * Whether this record is locked out right now
+ * @returns {boolean}
+ */
+loginThrottleSchema.methods.isLocked = function(now = Date.now()) {
+  return Boolean(this.lockedUntil && this.lockedUntil.getTime() > now);
+};
+
+/**
+ * Seconds to wait before the next attempt: the lockout, or the progressive delay
+ * @returns {number} 0 when an attempt is allowed now
+ */
+loginThrottleSchema.methods.retryAfter = function(now = Date.now()) {
+  if (this.isLocked(now)) {
+    return Math.ceil((this.lockedUntil.getTime() - now) / 1000);
+  }
+  if (!this.lastFailureAt || this.lastFailureAt.getTime() < now - WINDOW_MS) {
+    return 0;
+  }
+
+  const wait = this.lastFailureAt.getTime() + progressiveDelay(this.scope, this.failures) - now;
+  return wait > 0 ? Math.ceil(wait / 1000) : 0;
+};
+
+/**
+ * Check whether a login attempt may go ahead for this email and IP
+ * @param {string} email - Submitted email
+ * @param {string} ipAddress - Client IP
+ * @returns {Promise<Object|null>} null when allowed, else { scope, locked, retryAfter }
+ */
+loginThrottleSchema.statics.checkAttempt = async function(email, ipAddress) {
+  const throttles = await this.find({
+    $or: [
+      { scope: 'account', key: normalizeKey('account', email) },
+      { scope: 'ip', key: normalizeKey('ip', ipAddress) }
+    ]
+  });
+
+  const now = Date.now();
+  const blocks = throttles
+    .map(throttle => ({
+      scope: throttle.scope,
+      locked: throttle.isLocked(now),
+      retryAfter: throttle.retryAfter(now)
+    }))
+    .filter(block => block.retryAfter > 0)
+    .sort((a, b) => b.retryAfter - a.retryAfter);
+
+  return blocks[0] || null;
+};
+
+/**
+ * Count a failed attempt, locking the key out once it reaches its limit
+ * @param {string} scope - 'account' or 'ip'
+ * @param {string} key - Email or IP
+ * @returns {Promise<{throttle: Object, lockedNow: boolean}>}
+ */
+loginThrottleSchema.statics.recordFailure = async function(scope, key) {
+  const now = new Date();
+  const normalizedKey = normalizeKey(scope, key);
+
+  // Start counting afresh once earlier failures fall outside the window
+  await this.updateOne(
+    {
+      scope,
+      key: normalizedKey,
+      lastFailureAt: { $lt: new Date(now.getTime() - WINDOW_MS) },
+      $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }]
+    },
+    { $set: { failures: 0 }, $unset: { lockedUntil: 1 } }
+  );
+
+  const throttle = await this.findOneAndUpdate(
+    { scope, key: normalizedKey },
+    { $inc: { failures: 1 }, $set: { lastFailureAt: now } },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+
+  if (throttle.failures < loginProtection[scope].maxFailures || throttle.isLocked(now.getTime())) {
+    return { throttle, lockedNow: false };
+  }
+
+  throttle.lockedUntil = new Date(now.getTime() + LOCKOUT_MS);
+  throttle.lockCount += 1;
+  await throttle.save();
+
+  return { throttle, lockedNow: true };
+};
+
+/**
+ * Forget the failures recorded for a key (successful login, password reset, admin clear)
+ * @param {string} scope - 'account' or 'ip'
+ * @param {string} key - Email or IP
+ */
+loginThrottleSchema.statics.clear = function(scope, key) {
+  return this.deleteOne({ scope, key: normalizeKey(scope, key) });
+};
+
+/**
+ * Issue an unlock token for a locked account; returns the raw token to email
+ * @returns {Promise<string>}
+ */
+loginThrottleSchema.methods.createUnlockToken = async function() {
+  const rawToken = crypto.randomBytes(32).toString('hex');
+
+  await this.constructor.updateOne(
+    { _id: this._id },
+    {
+      unlockToken: hashToken(rawToken),
+      unlockExpires: new Date(Date.now() + authConfig.tokens.accountUnlockMinutes * 60 * 1000)
+    }
+  );
+
+  return rawToken;
+};
+
+/**
+ * Redeem an emailed unlock token, removing the lockout it belongs to
+ * @param {string} rawToken - Token from the unlock link
+ * @returns {Promise<Object|null>} The cleared record, or null when unknown or expired
+ */
+loginThrottleSchema.statics.unlockWithToken = function(rawToken) {
+  if (typeof rawToken !== 'string' || !rawToken) return Promise.resolve(null);
+
+  return this.findOneAndDelete({
+    scope: 'account',
+    unlockToken: hashToken(rawToken),
+    unlockExpires: { $gt: new Date() }
+  });
+};
+
+module.exports = mongoose.model('LoginThrottle', loginThrottleSchema);
+module.exports.THROTTLE_SCOPES = THROTTLE_SCOPES;
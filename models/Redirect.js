@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+
+/**
+ * Mongoose schema for Redirect model
+ * Admin-managed redirects for legacy paths that are not covered by article slug history
+ * @typedef {Object} RedirectSchema
+ * @property {string} fromPath - Normalized legacy path, e.g. "/2019/05/old-post" (unique, required)
+ * @property {string} toPath - Target path or absolute URL (required)
+ * @property {number} statusCode - HTTP status to redirect with: 301 or 302 (default: 301)
+ * @property {boolean} isActive - Whether the redirect is applied (default: true)
+ * @property {number} hits - Number of times the redirect was resolved (default: 0)
+ * @property {Date} lastHitAt - When the redirect was last resolved
+ * @property {string} note - Free-text admin note (max 500 chars)
+ * @property {mongoose.Types.ObjectId} createdBy - Reference to the User who created the redirect
+ * @property {Date} createdAt - Timestamp when redirect was created
+ * @property {Date} updatedAt - Timestamp when redirect was last updated
+ */
+const redirectSchema = new mongoose.Schema({
+  fromPath: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  toPath: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  statusCode: {
+    type: Number,
+    enum: [301, 302],
+    default: 301
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  hits: {
+    type: Number,
+    default: 0
+  },
+  lastHitAt: {
+    type: Date
+  },
+  note: {
+    type: String,
+    maxlength: 500
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+/**
+ * Static method to normalize a path for storage and lookup
+ * Drops the origin, query string, fragment and trailing slash so variants of a link match
+ * @param {string} value - Path or absolute URL
+ * @returns {string} Normalized path starting with "/", or an empty string when invalid
+ */
+redirectSchema.statics.normalizePath = function(value) {
+  if (!value || typeof value !== 'string') return '';
+
+  let path;
+  try {
+    path = decodeURI(new URL(value.trim(), 'http://placeholder').pathname);
+  } catch (error) {
+    return '';
+  }
+
+  path = path.replace(/\/{2,}/g, '/');
+  return path.length > 1 ? path.replace(/\/+$/, '') : path;
+};
+
+/**
+ * Static method to resolve a path and count the hit atomically
+ * @param {string} path - Requested legacy path
+ * @returns {Promise<Object|null>} The matching active redirect or null
+ */
+redirectSchema.statics.resolveAndCount = async function(path) {
+  const fromPath = this.normalizePath(path);
+  if (!fromPath) return null;
+
+  return this.findOneAndUpdate(
+    { fromPath, isActive: true },
+    { $inc: { hits: 1 }, $set: { lastHitAt: new Date() } },
+    { new: true }
+  );
+};
+
+module.exports = mongoose.model('Redirect', redirectSchema);
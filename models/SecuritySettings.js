@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+const { USER_ROLES } = require('./User');
+
+/**
+ * Mongoose schema for SecuritySettings model
+ * Site-wide account security policy; a single document managed by admins
+ * @typedef {Object} SecuritySettingsSchema
+ * @property {string[]} twoFactorRequiredRoles - Roles that must sign in with two-factor authentication
+ * @property {mongoose.Types.ObjectId} updatedBy - Admin who last changed the policy
+ * @property {Date} createdAt - Timestamp when settings were created
+ * @property {Date} updatedAt - Timestamp when settings were last updated
+ */
+const securitySettingsSchema = new mongoose.Schema({
+  twoFactorRequiredRoles: [{
+    type: String,
+    enum: USER_ROLES
+  }],
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+/**
+ * Get the settings document, creating it with defaults on first use
+ * @returns {Promise<Object>} The settings document
+ */
+securitySettingsSchema.statics.getSettings = async function() {
+  const settings = await this.findOne();
+  return settings || this.create({});
+};
+
+/**
+ * Whether accounts with the given role must use two-factor authentication
+ * @param {string} role - User role
+ * @returns {Promise<boolean>}
+ */
+securitySettingsSchema.statics.isTwoFactorRequired = async function(role) {
+  const settings = await this.findOne().select('twoFactorRequiredRoles').lean();
+  return Boolean(settings?.twoFactorRequiredRoles?.includes(role));
+};
+
+module.exports = mongoose.model('SecuritySettings', securitySettingsSchema);
@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+
+/**
+ * Mongoose schema for Series model
+ * An ordered collection of articles published as a multi-part piece
+ * @typedef {Object} SeriesSchema
+ * @property {string} title - Series title (required, max 200 chars, trimmed)
+ * @property {string} slug - URL-friendly identifier (unique, required)
+ * @property {string} description - Short description of the series (max 2000 chars)
+ * @property {string} coverImage - URL to the series cover image
+ * @property {mongoose.Types.ObjectId[]} articles - Articles in reading order
+ * @property {mongoose.Types.ObjectId} createdBy - Reference to the User who created the series
+ * @property {Date} createdAt - Timestamp when series was created
+ * @property {Date} updatedAt - Timestamp when series was last updated
+ */
+const seriesSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+  slug: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  description: {
+    type: String,
+    maxlength: 2000
+  },
+  coverImage: {
+    type: String
+  },
+  articles: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Article'
+  }],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Look up the series an article belongs to
+seriesSchema.index({ articles: 1 });
+
+/**
+ * Static method to build previous/next navigation for an article within its series
+ * Only published parts are considered, so drafts never appear in navigation
+ * @param {mongoose.Types.ObjectId|string} articleId - ID of the current article
+ * @returns {Promise<Object|null>} Navigation data, or null when the article is not in a series
+ */
+seriesSchema.statics.getNavigationForArticle = async function(articleId) {
+  const series = await this.findOne({ articles: articleId })
+    .populate({
+      path: 'articles',
+      select: 'title slug status',
+      match: { status: 'published' }
+    })
+    .lean();
+
+  if (!series) return null;
+
+  // Populate leaves nulls for unmatched (unpublished) parts
+  const parts = series.articles.filter(Boolean);
+  const index = parts.findIndex(part => part._id.toString() === articleId.toString());
+
+  if (index === -1) return null;
+
+  const toLink = (part) => part ? { _id: part._id, title: part.title, slug: part.slug } : null;
+
+  return {
+    _id: series._id,
+    title: series.title,
+    slug: series.slug,
+    position: index + 1,
+    total: parts.length,
+    previous: toLink(parts[index - 1]),
+    next: toLink(parts[index + 1])
+  };
+};
+
+module.exports = mongoose.model('Series', seriesSchema);
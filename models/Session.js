@@ -7,11 +7,13 @@ const SESSION_CONFIG = {
   maxSessionDuration: 8 * 60 * 60 * 1000, // 8 hours absolute maximum
   cookieExpiration: 30 * 24 * 60 * 60 * 1000, // 30 days
   extendOnActivity: true,
+  pendingTimeout: 5 * 60 * 1000, // 5 minutes to finish a two-step login
   
   // Cookie names for different session types
   COOKIE_NAMES: {
     TRACKING: 'tracking_session_id',
-    AUTH: 'session_id'
+    AUTH: 'session_id',
+    PENDING: 'pending_session_id'
   }
 };
 
@@ -32,13 +34,33 @@ const sessionSchema = new mongoose.Schema({
   // NEW: Session type fields
   sessionType: {
     type: String,
-    enum: ['tracking', 'authentication'],
+    enum: ['tracking', 'authentication', 'pending'],
     default: 'tracking'
   },
   isAuthenticated: {
     type: Boolean,
     default: false
   },
+
+  // Password accepted, second factor still outstanding (sessionType 'pending')
+  pendingLogin: {
+    // 'two_factor' to enter a code, 'two_factor_setup' when the role requires enrollment first
+    stage: {
+      type: String,
+      enum: ['two_factor', 'two_factor_setup']
+    },
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    // First enrollment on a login needs a code emailed to the account owner, so a
+    // leaked password alone can't register an attacker's authenticator
+    emailCode: { type: String, select: false },
+    emailConfirmed: {
+      type: Boolean,
+      default: false
+    }
+  },
   
   // Existing fields...
   ipAddress: String,
@@ -114,6 +136,7 @@ const sessionSchema = new mongoose.Schema({
 sessionSchema.index({ sessionType: 1, endTime: -1 });
 sessionSchema.index({ isAuthenticated: 1, endTime: -1 });
 sessionSchema.index({ convertedAt: 1, userId: 1 });
+sessionSchema.index({ userId: 1, sessionType: 1, isActive: 1 });
 
 // Existing pre-save middleware remains...
 
@@ -223,6 +246,78 @@ sessionSchema.statics.findAuthSession = async function(sessionId) {
   return null;
 };
 
+// Find a two-step login that is still waiting for its second factor
+sessionSchema.statics.findPendingSession = async function(sessionId) {
+  if (!sessionId) return null;
+
+  return this.findOne({
+    sessionId,
+    sessionType: 'pending',
+    isActive: true,
+    startTime: { $gte: new Date(Date.now() - SESSION_CONFIG.pendingTimeout) }
+  });
+};
+
+// End a user's active authentication sessions, and any two-step logins still in
+// progress, optionally keeping one (the caller's)
+sessionSchema.statics.endAuthSessions = function(userId, exceptSessionId = null) {
+  const query = { userId, sessionType: { $in: ['authentication', 'pending'] }, isActive: true };
+  if (exceptSessionId) {
+    query.sessionId = { $ne: exceptSessionId };
+  }
+
+  return this.updateMany(query, [
+    {
+      $set: {
+        isActive: false,
+        endTime: '$$NOW',
+        duration: { $round: [{ $divide: [{ $subtract: ['$$NOW', '$startTime'] }, 1000] }, 0] }
+      }
+    }
+  ]);
+};
+
+// A user's signed-in sessions that have not timed out, most recently active first
+sessionSchema.statics.findUserAuthSessions = async function(userId) {
+  const sessions = await this.find({
+    userId,
+    sessionType: 'authentication',
+    isActive: true,
+    endTime: { $gte: new Date(Date.now() - SESSION_CONFIG.inactivityTimeout) }
+  }).sort({ endTime: -1 });
+
+  return sessions.filter(session => session.isSessionActive());
+};
+
+// Device and location details safe to show the account owner. The sessionId is
+// the cookie value, so sessions are identified by their _id instead.
+sessionSchema.methods.toSummary = function(currentSessionId = null) {
+  return {
+    id: this._id,
+    current: this.sessionId === currentSessionId,
+    device: {
+      type: this.deviceType,
+      category: this.deviceCategory,
+      brand: this.deviceBrand || null,
+      model: this.deviceModel || null
+    },
+    browser: this.browser,
+    browserVersion: this.browserVersion,
+    os: this.os,
+    osVersion: this.osVersion,
+    location: {
+      city: this.city || null,
+      region: this.region || null,
+      country: this.country || null,
+      countryCode: this.countryCode || null
+    },
+    ipAddress: this.ipAddress,
+    startedAt: this.startTime,
+    lastActiveAt: this.endTime,
+    signedInAt: this.convertedAt || this.startTime
+  };
+};
+
 const Session = mongoose.model('Session', sessionSchema);
 
 module.exports = Session;
@@ -0,0 +1,147 @@
+const mongoose = require('mongoose');
+const slugify = require('slugify');
+
+/**
+ * Mongoose schema for Tag model
+ * Registry entry for a tag used on articles; Article.tags keep plain strings
+ * and are canonicalized against this registry when articles are saved
+ * @typedef {Object} TagSchema
+ * @property {string} name - Canonical display name used on articles (required, unique, max 50 chars)
+ * @property {string} slug - URL-friendly identifier for the tag landing page (unique, required)
+ * @property {string} description - Description shown on the tag landing page (max 1000 chars)
+ * @property {string[]} synonyms - Alternative spellings, stored lowercase, that resolve to this tag
+ * @property {string} metaTitle - SEO meta title for the tag landing page (max 200 chars)
+ * @property {string} metaDescription - SEO meta description for the tag landing page (max 300 chars)
+ * @property {Date} createdAt - Timestamp when tag was registered
+ * @property {Date} updatedAt - Timestamp when tag was last updated
+ */
+const tagSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    maxlength: 50
+  },
+  slug: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true
+  },
+  description: {
+    type: String,
+    maxlength: 1000
+  },
+  synonyms: [{
+    type: String,
+    trim: true,
+    lowercase: true
+  }],
+  metaTitle: {
+    type: String,
+    maxlength: 200
+  },
+  metaDescription: {
+    type: String,
+    maxlength: 300
+  }
+}, {
+  timestamps: true
+});
+
+tagSchema.index({ synonyms: 1 });
+
+const normalizeTag = (value) => String(value || '').trim().toLowerCase();
+
+/**
+ * Static method to turn a tag into its URL slug
+ * @param {string} value - Tag name
+ * @returns {string} Slug
+ */
+tagSchema.statics.toSlug = function(value) {
+  return slugify(String(value || ''), {
+    lower: true,
+    strict: true,
+    remove: /[*+~.()'"!:@]/g
+  });
+};
+
+/**
+ * Static method to normalize a synonym or free-text tag for comparison
+ * @param {string} value - Tag as typed
+ * @returns {string} Trimmed, lowercased tag
+ */
+tagSchema.statics.normalize = normalizeTag;
+
+/**
+ * Static method to find the registered tag for a name, slug or synonym
+ * @param {string} value - Tag as typed by a client
+ * @returns {Promise<Object|null>} Matching tag document or null
+ */
+tagSchema.statics.resolve = async function(value) {
+  if (!normalizeTag(value)) return null;
+
+  return this.findOne({
+    $or: [
+      { slug: this.toSlug(value) },
+      { synonyms: normalizeTag(value) }
+    ]
+  });
+};
+
+/**
+ * Static method to map article tags onto canonical registered names
+ * Unregistered tags are kept as typed; case-insensitive duplicates are dropped
+ * @param {string[]} tags - Tags as submitted for an article
+ * @returns {Promise<string[]>} Canonical, de-duplicated tags in submitted order
+ */
+tagSchema.statics.canonicalize = async function(tags = []) {
+  const cleaned = tags
+    .filter(tag => typeof tag === 'string' && tag.trim())
+    .map(tag => tag.trim());
+
+  if (cleaned.length === 0) return [];
+
+  const registered = await this.find({
+    $or: [
+      { slug: { $in: cleaned.map(tag => this.toSlug(tag)) } },
+      { synonyms: { $in: cleaned.map(normalizeTag) } }
+    ]
+  }).select('name slug synonyms').lean();
+
+  const lookup = new Map();
+  registered.forEach(tag => {
+    lookup.set(`slug:${tag.slug}`, tag.name);
+    tag.synonyms.forEach(synonym => lookup.set(`synonym:${synonym}`, tag.name));
+  });
+
+  const seen = new Set();
+  return cleaned.reduce((result, tag) => {
+    const canonical = lookup.get(`slug:${this.toSlug(tag)}`) ||
+      lookup.get(`synonym:${normalizeTag(tag)}`) ||
+      tag;
+
+    if (!seen.has(normalizeTag(canonical))) {
+      seen.add(normalizeTag(canonical));
+      result.push(canonical);
+    }
+    return result;
+  }, []);
+};
+
+/**
+ * Static method to build an Article.tags condition that matches a tag and its synonyms
+ * Articles are retagged to the canonical name when a tag or synonym is registered,
+ * so `?tag=js` matches "JavaScript" exactly; synonyms are matched too for articles
+ * saved in between. Exact values let the query use the tags index.
+ * @param {string} value - Tag as requested
+ * @returns {Promise<Object>} Mongo condition for the `tags` field
+ */
+tagSchema.statics.buildArticleFilter = async function(value) {
+  const tag = await this.resolve(value);
+  const variants = tag ? [tag.name, ...tag.synonyms] : [String(value).trim()];
+  return { $in: [...new Set(variants)] };
+};
+
+module.exports = mongoose.model('Tag', tagSchema);
@@ -1,5 +1,15 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const authConfig = require('../config/auth-config');
+
+const { verifyCode } = require('../utils/totp');
+
+// 'reader' accounts (created by provider sign-in) can comment but not write
+const USER_ROLES = ['admin', 'author', 'editor', 'reader'];
+
+// Networks an author can link from their public profile
+const SOCIAL_NETWORKS = ['website', 'twitter', 'linkedin', 'github', 'mastodon'];
 
 const userSchema = new mongoose.Schema({
   username: { 
@@ -19,12 +29,13 @@ const userSchema = new mongoose.Schema({
   },
   password: { 
     type: String, 
-    required: true,
+    // Accounts created through Google/GitHub sign-in may have no password
+    required: function() { return !this.oauthAccounts?.length; },
     minlength: 6
   },
   role: { 
     type: String, 
-    enum: ['admin', 'author', 'editor'], 
+    enum: USER_ROLES, 
     default: 'author' 
   },
   avatar: { 
@@ -35,6 +46,20 @@ const userSchema = new mongoose.Schema({
     type: String,
     maxlength: 500
   },
+  // Public author profile
+  displayName: {
+    type: String,
+    trim: true,
+    maxlength: 60
+  },
+  socialLinks: Object.fromEntries(
+    SOCIAL_NETWORKS.map(network => [network, { type: String, trim: true }])
+  ),
+  expertise: [{
+    type: String,
+    trim: true,
+    maxlength: 50
+  }],
   articlesWritten: { 
     type: Number, 
     default: 0 
@@ -46,11 +71,49 @@ const userSchema = new mongoose.Schema({
   isActive: {
     type: Boolean,
     default: true
+  },
+  // Accounts created before verification existed count as verified;
+  // register sets this to false until the emailed link is followed
+  emailVerified: {
+    type: Boolean,
+    default: true
+  },
+  // Emailed account tokens, stored as SHA-256 hashes
+  resetPasswordToken: { type: String, select: false },
+  resetPasswordExpires: { type: Date, select: false },
+  emailVerificationToken: { type: String, select: false },
+  emailVerificationExpires: { type: Date, select: false },
+  // Linked sign-in providers (Google, GitHub)
+  oauthAccounts: {
+    type: [{
+      _id: false,
+      provider: { type: String, required: true },
+      providerId: { type: String, required: true },
+      email: String,
+      linkedAt: { type: Date, default: Date.now }
+    }],
+    default: undefined
+  },
+  // TOTP two-factor authentication; secrets and backup code hashes are never selected by default
+  twoFactor: {
+    enabled: { type: Boolean, default: false },
+    enabledAt: Date,
+    secret: { type: String, select: false },
+    // Generated by setup, moved to `secret` once a code from it is confirmed
+    pendingSecret: { type: String, select: false },
+    backupCodes: { type: [String], select: false },
+    // Last time step accepted, so a code can't be replayed within its window
+    lastUsedStep: { type: Number, select: false }
   }
 }, {
   timestamps: true
 });
 
+userSchema.index(
+  { 'oauthAccounts.provider': 1, 'oauthAccounts.providerId': 1 },
+  { unique: true, partialFilterExpression: { 'oauthAccounts.providerId': { $exists: true } } }
+);
+
 userSchema.methods.generateToken = function() {
   const jwt = require('jsonwebtoken');
   return jwt.sign(
@@ -64,13 +127,22 @@ userSchema.methods.generateToken = function() {
   );
 };
 
+/**
+ * Hash a password the way stored passwords are hashed
+ * @param {string} password - Plain-text password
+ * @returns {Promise<string>} bcrypt hash
+ */
+userSchema.statics.hashPassword = async function(password) {
+  const salt = await bcrypt.genSalt(12);
+  return bcrypt.hash(String(password), salt);
+};
+
 // Hash password before saving
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
   
   try {
-    const salt = await bcrypt.genSalt(12);
-    this.password = await bcrypt.hash(this.password, salt);
+    this.password = await this.constructor.hashPassword(this.password);
     next();
   } catch (error) {
     next(error);
@@ -79,14 +151,238 @@ userSchema.pre('save', async function(next) {
 
 // Compare password method
 userSchema.methods.comparePassword = async function(candidatePassword) {
+  if (!this.password) return false;
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
-// Remove password from JSON output
+// Profile fields readers may see; email, role and account state stay private
+userSchema.methods.toPublicProfile = function() {
+  const socialLinks = Object.fromEntries(
+    Object.entries(this.socialLinks?.toObject ? this.socialLinks.toObject() : this.socialLinks || {})
+      .filter(([, url]) => url)
+  );
+
+  return {
+    username: this.username,
+    displayName: this.displayName || this.username,
+    avatar: this.avatar,
+    bio: this.bio || '',
+    socialLinks,
+    expertise: this.expertise || [],
+    memberSince: this.createdAt
+  };
+};
+
+// Validate public profile input (displayName, socialLinks, expertise) from a request body.
+// Returns { error } or { update } holding only the fields that were supplied.
+userSchema.statics.buildProfileUpdate = function({ displayName, socialLinks, expertise } = {}) {
+  const update = {};
+
+  if (displayName !== undefined) {
+    if (typeof displayName !== 'string' || displayName.trim().length > 60) {
+      return { error: 'Display name must be at most 60 characters' };
+    }
+    update.displayName = displayName.trim();
+  }
+
+  if (socialLinks !== undefined) {
+    if (!socialLinks || typeof socialLinks !== 'object' || Array.isArray(socialLinks)) {
+      return { error: 'Social links must be an object' };
+    }
+
+    for (const [network, url] of Object.entries(socialLinks)) {
+      if (!SOCIAL_NETWORKS.includes(network)) {
+        return { error: `Social network must be one of: ${SOCIAL_NETWORKS.join(', ')}` };
+      }
+      if (url && (typeof url !== 'string' || !/^https?:\/\/[^\s]+$/i.test(url.trim()))) {
+        return { error: `The ${network} link must be an http(s) URL` };
+      }
+      update[`socialLinks.${network}`] = url ? url.trim() : '';
+    }
+  }
+
+  if (expertise !== undefined) {
+    if (!Array.isArray(expertise) || expertise.length > 10 ||
+        expertise.some(topic => typeof topic !== 'string' || !topic.trim() || topic.trim().length > 50)) {
+      return { error: 'Expertise must be a list of at most 10 topics of up to 50 characters' };
+    }
+    update.expertise = [...new Set(expertise.map(topic => topic.trim()))];
+  }
+
+  return { update };
+};
+
+// Emailed token purposes and the fields that hold each one
+const AUTH_TOKENS = {
+  passwordReset: {
+    token: 'resetPasswordToken',
+    expires: 'resetPasswordExpires',
+    ttl: authConfig.tokens.passwordResetMinutes * 60 * 1000
+  },
+  emailVerification: {
+    token: 'emailVerificationToken',
+    expires: 'emailVerificationExpires',
+    ttl: authConfig.tokens.emailVerificationHours * 60 * 60 * 1000
+  }
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Issue a token for the given purpose, replacing any earlier one.
+// Saves the hash and expiry; returns the raw token to be emailed.
+userSchema.methods.createAuthToken = async function(purpose) {
+  const { token, expires, ttl } = AUTH_TOKENS[purpose];
+  const rawToken = crypto.randomBytes(32).toString('hex');
+
+  await this.constructor.updateOne(
+    { _id: this._id },
+    { [token]: hashToken(rawToken), [expires]: new Date(Date.now() + ttl) }
+  );
+
+  return rawToken;
+};
+
+// Redeem a token: atomically clears it so it can only be used once.
+// Returns the user it belonged to, or null when unknown or expired.
+userSchema.statics.consumeAuthToken = function(purpose, rawToken) {
+  if (typeof rawToken !== 'string' || !rawToken) return Promise.resolve(null);
+  const { token, expires } = AUTH_TOKENS[purpose];
+
+  return this.findOneAndUpdate(
+    { [token]: hashToken(rawToken), [expires]: { $gt: new Date() } },
+    { $unset: { [token]: 1, [expires]: 1 } },
+    { new: true }
+  );
+};
+
+// Backup codes are shown once as "xxxxx-xxxxx"; compare them without case or separators
+const normalizeBackupCode = (code) => String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Issue a fresh set of one-time backup codes, replacing the old ones.
+// Sets the hashes on the document (caller saves); returns the codes to show the user once.
+userSchema.methods.generateBackupCodes = function() {
+  const codes = Array.from({ length: authConfig.twoFactor.backupCodeCount }, () => {
+    const code = crypto.randomBytes(5).toString('hex');
+    return `${code.slice(0, 5)}-${code.slice(5)}`;
+  });
+
+  this.set('twoFactor.backupCodes', codes.map(code => hashToken(normalizeBackupCode(code))));
+  return codes;
+};
+
+// Check a second factor: an authenticator code, or else an unused backup code.
+// Accepted codes are burned atomically. Returns { method, backupCodesRemaining } or null.
+userSchema.statics.verifyTwoFactorCode = async function(userId, code) {
+  const user = await this.findById(userId)
+    .select('+twoFactor.secret +twoFactor.backupCodes +twoFactor.lastUsedStep');
+  if (!user || !user.twoFactor?.enabled || !user.twoFactor.secret) return null;
+
+  const step = verifyCode(user.twoFactor.secret, code, { window: authConfig.twoFactor.window });
+  if (step !== null) {
+    const result = await this.updateOne(
+      {
+        _id: userId,
+        $or: [
+          { 'twoFactor.lastUsedStep': { $lt: step } },
+          { 'twoFactor.lastUsedStep': { $exists: false } }
+        ]
+      },
+      { 'twoFactor.lastUsedStep': step }
+    );
+    return result.modifiedCount ? { method: 'totp' } : null;
+  }
+
+  const codeHash = hashToken(normalizeBackupCode(code));
+  const result = await this.updateOne(
+    { _id: userId, 'twoFactor.backupCodes': codeHash },
+    { $pull: { 'twoFactor.backupCodes': codeHash } }
+  );
+  if (!result.modifiedCount) return null;
+
+  return {
+    method: 'backup_code',
+    backupCodesRemaining: user.twoFactor.backupCodes.length - 1
+  };
+};
+
+// Usernames are alphanumeric, 3-30 characters; derive one from a provider profile
+const baseUsername = (profile) => {
+  const candidate = String(profile.username || profile.name || (profile.email || '').split('@')[0] || '')
+    .replace(/[^a-zA-Z0-9]/g, '')
+    .slice(0, 24);
+  return candidate.length >= 3 ? candidate : `reader${candidate}`;
+};
+
+// Find the account for a provider profile: the linked identity first, then a
+// verified account with the same email (which gets linked), else a new account.
+// Returns { user, created, linked } or { error }.
+userSchema.statics.resolveOAuthProfile = async function(profile, { defaultRole }) {
+  const identity = { provider: profile.provider, providerId: profile.providerId };
+
+  const linkedUser = await this.findOne({ oauthAccounts: { $elemMatch: identity } });
+  if (linkedUser) {
+    return { user: linkedUser, created: false, linked: false };
+  }
+
+  // Only an address the provider has verified may claim or create an account
+  if (!profile.email || !profile.emailVerified) {
+    return { error: 'email_not_verified' };
+  }
+
+  const link = { ...identity, email: profile.email, linkedAt: new Date() };
+
+  // Link only to an account whose owner has already proven the address. An
+  // unverified account may have been registered by someone else with this email
+  // (and a password they know), so it is refused rather than taken over.
+  const existingUser = await this.findOneAndUpdate(
+    { email: profile.email, emailVerified: true },
+    { $push: { oauthAccounts: link } },
+    { new: true }
+  );
+  if (existingUser) {
+    return { user: existingUser, created: false, linked: true };
+  }
+  if (await this.exists({ email: profile.email })) {
+    return { error: 'account_unverified' };
+  }
+
+  let username = baseUsername(profile);
+  for (let attempt = 0; await this.exists({ username }); attempt++) {
+    if (attempt >= 5) return { error: 'username_unavailable' };
+    username = `${baseUsername(profile).slice(0, 24)}${crypto.randomInt(1000, 1000000)}`;
+  }
+
+  const user = await this.create({
+    username,
+    email: profile.email,
+    displayName: profile.name ? profile.name.slice(0, 60) : undefined,
+    avatar: profile.avatar || null,
+    role: defaultRole,
+    isActive: true,
+    emailVerified: true,
+    oauthAccounts: [link]
+  });
+
+  return { user, created: true, linked: true };
+};
+
+// Remove password, account tokens and two-factor secrets from JSON output
 userSchema.methods.toJSON = function() {
   const user = this.toObject();
   delete user.password;
+  for (const { token, expires } of Object.values(AUTH_TOKENS)) {
+    delete user[token];
+    delete user[expires];
+  }
+  if (user.twoFactor) {
+    delete user.twoFactor.secret;
+    delete user.twoFactor.pendingSecret;
+    delete user.twoFactor.backupCodes;
+    delete user.twoFactor.lastUsedStep;
+  }
   return user;
 };
 
 module.exports = mongoose.model('User', userSchema);
+module.exports.USER_ROLES = USER_ROLES;
+module.exports.SOCIAL_NETWORKS = SOCIAL_NETWORKS;
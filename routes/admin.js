@@ -2,10 +2,16 @@ const express = require('express');
 const router = express.Router();
 const userController = require('../controllers/userController');
 const articleController = require('../controllers/articleController');
+const commentController = require('../controllers/commentController');
+const seriesController = require('../controllers/seriesController');
+const categoryController = require('../controllers/categoryController');
+const tagController = require('../controllers/tagController');
+const redirectController = require('../controllers/redirectController');
 const adController = require('../controllers/adController');
 const analyticsController = require('../controllers/analyticsController');
 const newsletterController = require('../controllers/newsletterController');
 const adminController = require('../controllers/adminController'); // Add this line
+const securityController = require('../controllers/securityController');
 const { authMiddleware, adminMiddleware } = require('../middleware/auth');
 
 // Apply admin middleware to all routes
@@ -19,6 +25,16 @@ router.put('/users/:id', userController.updateUser);
 router.delete('/users/:id', userController.deleteUser);
 router.put('/users/:id/status', userController.updateUserStatus);
 router.get('/users/:id/articles', userController.getUserArticles);
+router.get('/users/:id/sessions', adminMiddleware, userController.getUserSessions);
+router.post('/users/:id/logout', adminMiddleware, userController.forceLogoutUser);
+router.post('/users/:id/2fa/reset', adminMiddleware, userController.resetUserTwoFactor);
+
+// Security Policy Routes
+router.get('/security/two-factor', adminMiddleware, userController.getTwoFactorPolicy);
+router.put('/security/two-factor', adminMiddleware, userController.updateTwoFactorPolicy);
+router.get('/security/lockouts', adminMiddleware, securityController.getLockouts);
+router.delete('/security/lockouts/:id', adminMiddleware, securityController.clearLockout);
+router.get('/security/login-activity', adminMiddleware, securityController.getLoginActivity);
 
 // Article Management Routes
 router.get('/articles', articleController.getAllArticles);
@@ -26,6 +42,35 @@ router.get('/articles/stats', articleController.getArticleStats);
 router.put('/articles/:id/status', articleController.updateArticleStatus);
 router.post('/articles/bulk', articleController.bulkArticleOperations);
 
+// Comment Moderation Routes
+router.get('/comments/moderation', adminMiddleware, commentController.getModerationQueue);
+router.post('/comments/moderation/bulk', adminMiddleware, commentController.bulkModerateComments);
+router.put('/comments/:articleId/:commentId/moderate', adminMiddleware, commentController.moderateComment);
+
+// Category Management Routes
+router.post('/categories', adminMiddleware, categoryController.createCategory);
+router.put('/categories/:id', adminMiddleware, categoryController.updateCategory);
+router.delete('/categories/:id', adminMiddleware, categoryController.deleteCategory);
+
+// Tag Registry Routes
+router.get('/tags', adminMiddleware, tagController.getAllTags);
+router.post('/tags', adminMiddleware, tagController.createTag);
+router.post('/tags/merge', adminMiddleware, tagController.mergeTags);
+router.put('/tags/:id', adminMiddleware, tagController.updateTag);
+router.delete('/tags/:id', adminMiddleware, tagController.deleteTag);
+
+// Redirect Management Routes
+router.get('/redirects', adminMiddleware, redirectController.getRedirects);
+router.post('/redirects', adminMiddleware, redirectController.createRedirect);
+router.put('/redirects/:id', adminMiddleware, redirectController.updateRedirect);
+router.delete('/redirects/:id', adminMiddleware, redirectController.deleteRedirect);
+
+// Series Management Routes
+router.get('/series', adminMiddleware, seriesController.getAllSeries);
+router.post('/series', adminMiddleware, seriesController.createSeries);
+router.put('/series/:id', adminMiddleware, seriesController.updateSeries);
+router.delete('/series/:id', adminMiddleware, seriesController.deleteSeries);
+
 // Ad Management Routes
 router.get('/ads/performance', adController.getAdPerformance);
 router.get('/ads/revenue', adController.getRevenueAnalytics);
@@ -2,26 +2,48 @@
 const express = require('express');
 const router = express.Router();
 const articleController = require('../controllers/articleController');
-const { authMiddleware, authorMiddleware, adminMiddleware } = require('../middleware/auth');
+const commentController = require('../controllers/commentController');
+const reviewController = require('../controllers/reviewController');
+const {
+  authMiddleware,
+  authorMiddleware,
+  editorMiddleware,
+  adminMiddleware,
+  optionalAuthMiddleware,
+  verifiedEmailMiddleware
+} = require('../middleware/auth');
 const { 
   validateArticle, 
   validateArticleUpdate, // Import the new validation
+  validateReview,
   handleValidationErrors 
 } = require('../middleware/validation');
 const { upload, handleUploadError } = require('../middleware/upload');
 
 // Public routes
 router.get('/', articleController.getArticles);
+router.get('/search', articleController.searchArticles);
 router.get('/trending', articleController.getTrendingArticles);
 router.get('/category/:category', articleController.getArticlesByCategory);
 router.get('/slug/:slug', articleController.getArticleBySlug);
+router.get('/slug/:slug/seo', articleController.getArticleSeo);
 router.get('/:slug/related', articleController.getRelatedArticles);
 router.get('/:id', articleController.getArticleById);
 router.post('/:id/view', articleController.incrementViewCount);
+router.get('/:id/comments', commentController.getComments);
+router.post('/:id/share', optionalAuthMiddleware, articleController.shareArticle);
 
 // Protected routes (require authentication)
 router.post('/:id/like', authMiddleware, articleController.likeArticle);
 router.post('/:id/comment', authMiddleware, articleController.addComment);
+router.put('/:id/comments/:commentId', authMiddleware, commentController.editComment);
+router.delete('/:id/comments/:commentId', authMiddleware, commentController.deleteComment);
+
+// Comment likes and reactions (logged-in users or anonymous sessions)
+router.post('/:id/comments/:commentId/like', optionalAuthMiddleware, commentController.likeComment);
+router.delete('/:id/comments/:commentId/like', optionalAuthMiddleware, commentController.unlikeComment);
+router.post('/:id/comments/:commentId/reactions', optionalAuthMiddleware, commentController.reactToComment);
+router.delete('/:id/comments/:commentId/reactions', optionalAuthMiddleware, commentController.removeCommentReaction);
 
 // Debug endpoint to see what slug is received
 router.get('/debug/slug/:slug', (req, res) => {
@@ -78,13 +100,113 @@ router.get(
   articleController.getDraftArticles
 );
 
+router.get(
+  '/admin/scheduled',
+  authMiddleware,
+  authorMiddleware,
+  articleController.getScheduledArticles
+);
+
+router.delete(
+  '/:id/schedule',
+  authMiddleware,
+  authorMiddleware,
+  articleController.cancelScheduledArticle
+);
+
 router.post(
   '/:id/publish',
   authMiddleware,
   authorMiddleware,
+  verifiedEmailMiddleware,
   articleController.publishArticle
 );
 
+// Editorial review
+router.get(
+  '/admin/review-queue',
+  authMiddleware,
+  editorMiddleware,
+  reviewController.getReviewQueue
+);
+
+router.post(
+  '/:id/submit',
+  authMiddleware,
+  authorMiddleware,
+  verifiedEmailMiddleware,
+  validateReview,
+  reviewController.submitForReview
+);
+
+router.post(
+  '/:id/review/approve',
+  authMiddleware,
+  editorMiddleware,
+  verifiedEmailMiddleware,
+  validateReview,
+  reviewController.approveArticle
+);
+
+router.post(
+  '/:id/review/request-changes',
+  authMiddleware,
+  editorMiddleware,
+  validateReview,
+  reviewController.requestChanges
+);
+
+router.post(
+  '/:id/review/reject',
+  authMiddleware,
+  editorMiddleware,
+  validateReview,
+  reviewController.rejectArticle
+);
+
+// Revision history
+router.get(
+  '/:id/revisions',
+  authMiddleware,
+  authorMiddleware,
+  articleController.getArticleRevisions
+);
+
+router.get(
+  '/:id/revisions/diff',
+  authMiddleware,
+  authorMiddleware,
+  articleController.diffArticleRevisions
+);
+
+router.get(
+  '/:id/revisions/:revision',
+  authMiddleware,
+  authorMiddleware,
+  articleController.getArticleRevision
+);
+
+router.post(
+  '/:id/revisions/:revision/restore',
+  authMiddleware,
+  authorMiddleware,
+  articleController.restoreArticleRevision
+);
+
+router.post(
+  '/:id/revisions/:revision/apply',
+  authMiddleware,
+  editorMiddleware,
+  articleController.applyArticleRevision
+);
+
+router.get(
+  '/:id/shares',
+  authMiddleware,
+  authorMiddleware,
+  articleController.getShareStats
+);
+
 // Change article author (Admin only)
 router.put(
   '/:id/author',
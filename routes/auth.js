@@ -1,21 +1,55 @@
 const express = require('express');
 const router = express.Router();
 const authController = require('../controllers/authController');
-const { authMiddleware, adminMiddleware } = require('../middleware/auth');
-const { validateRegistration, validateLogin } = require('../middleware/validation');
+const { authMiddleware, adminMiddleware, pendingLoginMiddleware } = require('../middleware/auth');
+const {
+  validateRegistration,
+  validateLogin,
+  validateForgotPassword,
+  validateResetPassword,
+  validateEmailToken,
+  validateTwoFactorCode,
+  validateTwoFactorDisable
+} = require('../middleware/validation');
 
 // Public routes
 router.post('/register', validateRegistration, authController.register);
 router.post('/login', validateLogin, authController.login);
+router.post('/forgot-password', validateForgotPassword, authController.forgotPassword);
+router.post('/reset-password', validateResetPassword, authController.resetPassword);
+router.post('/verify-email', validateEmailToken, authController.verifyEmail);
+router.post('/unlock-account', validateEmailToken, authController.unlockAccount);
+
+// Two-step login (pending session from /login)
+router.post('/login/2fa', pendingLoginMiddleware, validateTwoFactorCode, authController.verifyTwoFactorLogin);
+router.post('/login/2fa/confirm-email', pendingLoginMiddleware, validateTwoFactorCode, authController.confirmTwoFactorEnrollment);
+router.post('/login/2fa/setup', pendingLoginMiddleware, authController.setupTwoFactor);
+router.post('/login/2fa/enable', pendingLoginMiddleware, validateTwoFactorCode, authController.enableTwoFactor);
+
+// Sign-in with Google/GitHub (OAuth2 / OpenID Connect)
+router.get('/oauth/providers', authController.getOAuthProviders);
+router.get('/oauth/:provider', authController.startOAuth);
+router.get('/oauth/:provider/callback', authController.oauthCallback);
 
 // Protected routes
 router.get('/me', authMiddleware, authController.getCurrentUser);
 router.put('/profile', authMiddleware, authController.updateProfile);
 router.put('/change-password', authMiddleware, authController.changePassword);
-router.post('/auth/login', authController.login); // Legacy support
+router.post('/resend-verification', authMiddleware, authController.resendVerification);
+router.get('/sessions', authMiddleware, authController.getSessions);
+router.post('/sessions/revoke-others', authMiddleware, authController.revokeOtherSessions);
+router.delete('/sessions/:id', authMiddleware, authController.revokeSession);
+router.post('/auth/login', validateLogin, authController.login); // Legacy support
 router.post('/logout', authMiddleware, authController.logout);
 router.post('/auth/create-admin', authController.createAdmin); // Initial admin creation
 
+// Two-factor authentication
+router.get('/2fa', authMiddleware, authController.getTwoFactorStatus);
+router.post('/2fa/setup', authMiddleware, authController.setupTwoFactor);
+router.post('/2fa/enable', authMiddleware, validateTwoFactorCode, authController.enableTwoFactor);
+router.post('/2fa/disable', authMiddleware, validateTwoFactorDisable, authController.disableTwoFactor);
+router.post('/2fa/backup-codes', authMiddleware, validateTwoFactorCode, authController.regenerateBackupCodes);
+
 // Admin only routes
 router.post('/admin/register', 
   authMiddleware, 
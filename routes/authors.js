@@ -0,0 +1,8 @@
+const express = require('express');
+const router = express.Router();
+const authorController = require('../controllers/authorController');
+
+// Public routes
+router.get('/:username', authorController.getAuthorProfile);
+
+module.exports = router;
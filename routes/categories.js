@@ -0,0 +1,9 @@
+const express = require('express');
+const router = express.Router();
+const categoryController = require('../controllers/categoryController');
+
+// Public routes
+router.get('/', categoryController.getCategories);
+router.get('/:slug', categoryController.getCategoryBySlug);
+
+module.exports = router;
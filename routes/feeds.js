@@ -0,0 +1,10 @@
+const express = require('express');
+const router = express.Router();
+const feedController = require('../controllers/feedController');
+
+// Site-wide feeds, plus variants scoped to /category/:value, /tag/:value or /author/:value
+router.get(['/rss.xml', '/:scope/:value/rss.xml'], feedController.getRssFeed);
+router.get(['/atom.xml', '/:scope/:value/atom.xml'], feedController.getAtomFeed);
+router.get(['/feed.json', '/:scope/:value/feed.json'], feedController.getJsonFeed);
+
+module.exports = router;
@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+const bookmarkController = require('../controllers/bookmarkController');
+const { authMiddleware } = require('../middleware/auth');
+
+// All routes act on the logged-in user
+router.use(authMiddleware);
+
+// Reading list
+router.get('/bookmarks', bookmarkController.getBookmarks);
+router.post('/bookmarks/:articleId', bookmarkController.addBookmark);
+router.delete('/bookmarks/:articleId', bookmarkController.removeBookmark);
+
+module.exports = router;
@@ -0,0 +1,8 @@
+const express = require('express');
+const router = express.Router();
+const redirectController = require('../controllers/redirectController');
+
+// Public routes
+router.get('/resolve', redirectController.resolveRedirect);
+
+module.exports = router;
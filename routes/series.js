@@ -0,0 +1,8 @@
+const express = require('express');
+const router = express.Router();
+const seriesController = require('../controllers/seriesController');
+
+// Public routes
+router.get('/:slug', seriesController.getSeriesBySlug);
+
+module.exports = router;
@@ -0,0 +1,9 @@
+const express = require('express');
+const router = express.Router();
+const sitemapController = require('../controllers/sitemapController');
+
+// Sitemap index and the individual sitemap files it lists
+router.get('/sitemap.xml', sitemapController.getSitemapIndex);
+router.get('/sitemaps/:file', sitemapController.getSitemap);
+
+module.exports = router;
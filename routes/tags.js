@@ -0,0 +1,9 @@
+const express = require('express');
+const router = express.Router();
+const tagController = require('../controllers/tagController');
+
+// Public routes
+router.get('/', tagController.getTags);
+router.get('/:slug', tagController.getTagBySlug);
+
+module.exports = router;
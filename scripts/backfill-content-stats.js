@@ -0,0 +1,90 @@
+// scripts/backfill-content-stats.js
+// Renders cached HTML and computes reading time and content statistics for existing articles.
+//
+// Articles saved before content rendering existed have no cached HTML, and those saved
+// before content analysis only have the naive word-count reading time. Each article is
+// rendered (when it has no cached HTML yet) and analyzed, without touching updatedAt so
+// editorial ordering is preserved. The stored source content is left as it is.
+//
+// Usage:
+//   npm run backfill:content-stats -- [--dry-run] [--all]
+//
+//   --all  re-analyze every article, not only those missing HTML or statistics
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { connectDB, isDBConnected } = require('../utils/database');
+const Article = require('../models/Article');
+const { renderContent } = require('../utils/contentRenderer');
+const { analyzeContent } = require('../utils/contentAnalyzer');
+
+// Parse --dry-run and --all arguments
+const parseArgs = (argv) => ({
+  dryRun: argv.includes('--dry-run'),
+  all: argv.includes('--all')
+});
+
+const backfillContentStats = async ({ dryRun, all }) => {
+  const query = all ? {} : {
+    $or: [
+      { html: { $in: [null, ''] } },
+      { 'contentStats.analyzedAt': { $exists: false } }
+    ]
+  };
+  const cursor = Article.find(query)
+    .select('content contentFormat html toc readTime')
+    .lean()
+    .cursor();
+
+  let analyzed = 0;
+  let rendered = 0;
+  let readTimeChanged = 0;
+
+  for await (const article of cursor) {
+    const update = {};
+
+    if (!article.html) {
+      const { html, toc } = renderContent(article.content, article.contentFormat);
+      Object.assign(update, { html, toc });
+      rendered++;
+    }
+
+    const { readTime, contentStats } = analyzeContent(update.html || article.html);
+    Object.assign(update, { readTime, contentStats });
+
+    if (readTime !== article.readTime) readTimeChanged++;
+    analyzed++;
+
+    if (!dryRun) {
+      await Article.updateOne({ _id: article._id }, { $set: update }, { timestamps: false });
+    }
+  }
+
+  return { analyzed, rendered, readTimeChanged };
+};
+
+const run = async () => {
+  const options = parseArgs(process.argv.slice(2));
+
+  await connectDB();
+  if (!isDBConnected()) {
+    console.error('❌ Content stats backfill aborted: database not connected');
+    process.exit(1);
+  }
+
+  try {
+    console.log(`📏 Analyzing article content${options.dryRun ? ' (dry run)' : ''}...`);
+    const summary = await backfillContentStats(options);
+    console.log(`✅ Content stats backfill complete: ${summary.analyzed} articles analyzed, ${summary.rendered} rendered, ${summary.readTimeChanged} reading times changed`);
+  } catch (error) {
+    console.error('❌ Content stats backfill error:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+if (require.main === module) {
+  run();
+}
+
+module.exports = { backfillContentStats };
@@ -0,0 +1,120 @@
+// scripts/migrate-categories.js
+// Merges the free-text Article.category values into the managed Category taxonomy.
+//
+// Values that normalize to the same slug ("Tech", "tech ", "TECH") are merged into one
+// Category, named after the most used spelling. Typos can be folded into another
+// category with explicit mappings.
+//
+// Usage:
+//   npm run migrate:categories -- [--dry-run] [--map "Tecnology=technology" ...]
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { connectDB, isDBConnected } = require('../utils/database');
+const Article = require('../models/Article');
+const Category = require('../models/Category');
+
+// Parse --dry-run and repeated --map "<from>=<to>" arguments
+const parseArgs = (argv) => {
+  const options = { dryRun: false, mappings: {} };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--dry-run') {
+      options.dryRun = true;
+    } else if (argv[i] === '--map' && argv[i + 1]) {
+      const [from, to] = argv[++i].split('=');
+      if (from && to) {
+        options.mappings[Category.toSlug(from)] = Category.toSlug(to);
+      }
+    }
+  }
+
+  return options;
+};
+
+const migrateCategories = async ({ dryRun, mappings }) => {
+  // Article count per raw category value
+  const values = await Article.aggregate([
+    { $group: { _id: '$category', count: { $sum: 1 } } },
+    { $sort: { count: -1 } }
+  ]);
+
+  // Group raw values by their target slug
+  const groups = new Map();
+  for (const { _id: value, count } of values) {
+    if (!value) continue;
+
+    const normalized = Category.toSlug(value);
+    const slug = mappings[normalized] || normalized;
+    if (!slug) continue;
+
+    if (!groups.has(slug)) {
+      groups.set(slug, { values: [], counts: {} });
+    }
+    const group = groups.get(slug);
+    group.values.push(value);
+    group.counts[value] = count;
+  }
+
+  let createdCategories = 0;
+  let updatedArticles = 0;
+
+  for (const [slug, group] of groups) {
+    let category = await Category.findOne({ slug });
+
+    if (!category) {
+      // Most used spelling wins; values are already sorted by count
+      const name = group.values[0].trim();
+      console.log(`➕ Creating category "${name}" (${slug})`);
+
+      if (!dryRun) {
+        category = await Category.create({ slug, name });
+      }
+      createdCategories++;
+    }
+
+    const staleValues = group.values.filter(value => value !== slug);
+    if (staleValues.length === 0) continue;
+
+    const articleCount = staleValues.reduce((sum, value) => sum + group.counts[value], 0);
+    console.log(`🔀 Merging ${JSON.stringify(staleValues)} into "${slug}" (${articleCount} articles)`);
+
+    if (!dryRun) {
+      const result = await Article.updateMany(
+        { category: { $in: staleValues } },
+        { $set: { category: slug } }
+      );
+      updatedArticles += result.modifiedCount;
+    } else {
+      updatedArticles += articleCount;
+    }
+  }
+
+  return { categories: groups.size, createdCategories, updatedArticles };
+};
+
+const run = async () => {
+  const options = parseArgs(process.argv.slice(2));
+
+  await connectDB();
+  if (!isDBConnected()) {
+    console.error('❌ Category migration aborted: database not connected');
+    process.exit(1);
+  }
+
+  try {
+    console.log(`🏷️ Migrating article categories${options.dryRun ? ' (dry run)' : ''}...`);
+    const summary = await migrateCategories(options);
+    console.log(`✅ Category migration complete: ${summary.categories} categories, ${summary.createdCategories} created, ${summary.updatedArticles} articles updated`);
+  } catch (error) {
+    console.error('❌ Category migration error:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+if (require.main === module) {
+  run();
+}
+
+module.exports = { migrateCategories };
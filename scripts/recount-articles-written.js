@@ -0,0 +1,51 @@
+// scripts/recount-articles-written.js
+// Recomputes User.articlesWritten for every user with a byline or co-author credit.
+//
+// The counter is kept up to date as articles are published, unpublished and re-credited;
+// run this once after introducing contributor credits, or to repair drifted counts.
+//
+// Usage:
+//   npm run recount:articles-written
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { connectDB, isDBConnected } = require('../utils/database');
+const Article = require('../models/Article');
+const User = require('../models/User');
+
+const recountArticlesWritten = async () => {
+  // Reset everyone first so users left without published articles drop to zero
+  await User.updateMany({}, { articlesWritten: 0 });
+
+  const articles = await Article.find({ status: 'published' })
+    .select('author contributors')
+    .lean();
+
+  await Article.refreshArticlesWritten(articles);
+
+  return { articles: articles.length };
+};
+
+const run = async () => {
+  await connectDB();
+  if (!isDBConnected()) {
+    console.error('❌ Articles written recount aborted: database not connected');
+    process.exit(1);
+  }
+
+  try {
+    console.log('✍️ Recounting articles written...');
+    const summary = await recountArticlesWritten();
+    console.log(`✅ Articles written recount complete: ${summary.articles} published articles counted`);
+  } catch (error) {
+    console.error('❌ Articles written recount error:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+if (require.main === module) {
+  run();
+}
+
+module.exports = { recountArticlesWritten };
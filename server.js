@@ -14,7 +14,11 @@ const path = require('path');
 const fs = require('fs');
 
 const app = express();
-app.set('trust proxy', true); // IMPORTANT for Render/Vercel
+// IMPORTANT for Render/Vercel: trust only the hops our own proxies add, so req.ip
+// is the address they saw rather than a client-supplied X-Forwarded-For entry
+// (TRUST_PROXY_HOPS=0 when the app is reached directly, without a proxy)
+const trustProxyHops = Number(process.env.TRUST_PROXY_HOPS || 1);
+app.set('trust proxy', Number.isInteger(trustProxyHops) && trustProxyHops >= 0 ? trustProxyHops : 1);
 
 // ===== ENVIRONMENT DETECTION =====
 // Force production mode on Render
@@ -282,6 +286,14 @@ const setupRoutes = () => {
     const adminRoutes = require('./routes/admin');
     const userRoutes = require('./routes/users');
     const adsRoutes = require('./routes/ads');
+    const meRoutes = require('./routes/me');
+    const seriesRoutes = require('./routes/series');
+    const categoryRoutes = require('./routes/categories');
+    const tagRoutes = require('./routes/tags');
+    const feedRoutes = require('./routes/feeds');
+    const sitemapRoutes = require('./routes/sitemaps');
+    const redirectRoutes = require('./routes/redirects');
+    const authorRoutes = require('./routes/authors');
     
     app.use('/api/articles', articleRoutes);
     app.use('/api/auth', authRoutes);
@@ -290,6 +302,14 @@ const setupRoutes = () => {
     app.use('/api/admin', authMiddleware, adminRoutes);
     app.use('/api/users', authMiddleware, userRoutes);
     app.use('/api/ads', adsRoutes);
+    app.use('/api/me', meRoutes);
+    app.use('/api/series', seriesRoutes);
+    app.use('/api/categories', categoryRoutes);
+    app.use('/api/tags', tagRoutes);
+    app.use('/api/redirects', redirectRoutes);
+    app.use('/api/authors', authorRoutes);
+    app.use('/feeds', feedRoutes);
+    app.use('/', sitemapRoutes);
     
     console.log('✅ Routes loaded');
   } catch (error) {
@@ -391,7 +411,35 @@ function startBackgroundJobs() {
       console.error('❌ Session cleanup error:', error.message);
     }
   });
+
+  // Scheduled article publishing job
+  cron.schedule('* * * * *', async () => {
+    try {
+      if (mongoose.connection.readyState === 1) {
+        const { publishScheduledArticles } = require('./utils/scheduledPublisher');
+        const result = await publishScheduledArticles();
+        if (result > 0) {
+          console.log(`✅ Published ${result} scheduled articles`);
+        }
+      }
+    } catch (error) {
+      console.error('❌ Scheduled publishing error:', error.message);
+    }
+  });
   
+  // Sitemap refresh job: keeps this instance's sitemaps current with changes
+  // made through other instances and ages items out of the news sitemap
+  cron.schedule('*/15 * * * *', async () => {
+    try {
+      if (mongoose.connection.readyState === 1) {
+        const { generateSitemaps } = require('./utils/sitemapGenerator');
+        await generateSitemaps();
+      }
+    } catch (error) {
+      console.error('❌ Sitemap refresh error:', error.message);
+    }
+  });
+
   console.log('📅 Background jobs scheduled');
 }
 
@@ -0,0 +1,132 @@
+// Content analysis for rendered article HTML: word, image and code block counts,
+// a reading-time estimate, a readability score and the dominant language.
+
+const { toPlainText } = require('./searchHighlighter');
+
+const WORDS_PER_MINUTE = 200;
+
+// Code is read more slowly than prose
+const CODE_WORDS_PER_MINUTE = 100;
+
+// Seconds spent on each image: 12s for the first, one second less for each
+// following image, never below 3s (the usual reading-time convention)
+const imageSeconds = (imageCount) => {
+  let seconds = 0;
+  for (let i = 0; i < imageCount; i++) {
+    seconds += Math.max(12 - i, 3);
+  }
+  return seconds;
+};
+
+// Below this many words language detection is unreliable
+const MIN_WORDS_FOR_LANGUAGE = 20;
+
+// Frequent function words per language, used to score which language a text is in
+const LANGUAGE_PROFILES = {
+  en: ['the', 'and', 'of', 'to', 'is', 'in', 'that', 'it', 'for', 'with', 'as', 'was', 'on', 'are', 'this', 'be', 'you', 'not', 'or', 'have'],
+  es: ['el', 'la', 'de', 'que', 'y', 'en', 'los', 'se', 'del', 'las', 'por', 'un', 'una', 'con', 'para', 'es', 'su', 'al', 'lo', 'como'],
+  fr: ['le', 'la', 'de', 'et', 'les', 'des', 'est', 'un', 'une', 'du', 'que', 'pour', 'dans', 'qui', 'pas', 'sur', 'au', 'avec', 'ce', 'il'],
+  de: ['der', 'die', 'und', 'das', 'ist', 'den', 'nicht', 'mit', 'von', 'sich', 'des', 'ein', 'eine', 'auf', 'zu', 'im', 'dem', 'auch', 'es', 'für'],
+  pt: ['o', 'a', 'de', 'que', 'e', 'do', 'da', 'em', 'um', 'para', 'com', 'não', 'uma', 'os', 'no', 'se', 'na', 'por', 'mais', 'as'],
+  it: ['il', 'di', 'che', 'e', 'la', 'per', 'un', 'non', 'in', 'una', 'sono', 'del', 'della', 'con', 'si', 'gli', 'le', 'da', 'lo', 'anche'],
+  nl: ['de', 'het', 'een', 'en', 'van', 'is', 'dat', 'op', 'te', 'niet', 'zijn', 'met', 'voor', 'die', 'ook', 'aan', 'als', 'bij', 'er', 'maar']
+};
+
+const LANGUAGE_SETS = Object.fromEntries(
+  Object.entries(LANGUAGE_PROFILES).map(([language, words]) => [language, new Set(words)])
+);
+
+const tokenize = (text) => (text.toLowerCase().match(/[\p{L}\p{N}'’-]+/gu) || [])
+  .filter(word => /[\p{L}\p{N}]/u.test(word));
+
+// Rough English syllable count: vowel groups, minus a silent trailing "e"
+const countSyllables = (word) => {
+  const cleaned = word.toLowerCase().replace(/[^a-z]/g, '');
+  if (cleaned.length <= 3) return 1;
+
+  const groups = cleaned
+    .replace(/(?:[^laeiouy]es|ed|[^laeiouy]e)$/, '')
+    .replace(/^y/, '')
+    .match(/[aeiouy]{1,2}/g);
+
+  return Math.max(groups ? groups.length : 1, 1);
+};
+
+/**
+ * Detect the dominant language of a text from function-word frequency
+ * @param {string[]} words - Lowercased words
+ * @returns {string} ISO 639-1 code, or 'und' when undetermined
+ */
+const detectLanguage = (words) => {
+  if (words.length < MIN_WORDS_FOR_LANGUAGE) return 'und';
+
+  const scores = Object.entries(LANGUAGE_SETS).map(([language, stopwords]) => ({
+    language,
+    hits: words.reduce((count, word) => count + (stopwords.has(word) ? 1 : 0), 0)
+  }));
+
+  scores.sort((a, b) => b.hits - a.hits);
+
+  // Require a clear signal: enough function words and a margin over the runner-up
+  const [best, runnerUp] = scores;
+  if (best.hits < words.length * 0.05 || best.hits === runnerUp.hits) return 'und';
+
+  return best.language;
+};
+
+/**
+ * Flesch reading ease, 0 (very hard) to 100 (very easy)
+ * The formula and syllable counter are calibrated for English, so other languages get no score
+ * @param {string} text - Plain prose text
+ * @param {string[]} words - Words of the text
+ * @param {string} language - Detected language of the text
+ * @returns {number|null} Score rounded to one decimal, or null for empty or non-English text
+ */
+const readabilityScore = (text, words, language) => {
+  if (words.length === 0 || language !== 'en') return null;
+
+  const sentences = Math.max((text.match(/[.!?]+(?=\s|$)/g) || []).length, 1);
+  const syllables = words.reduce((total, word) => total + countSyllables(word), 0);
+
+  const score = 206.835 - 1.015 * (words.length / sentences) - 84.6 * (syllables / words.length);
+  return Math.round(Math.min(Math.max(score, 0), 100) * 10) / 10;
+};
+
+/**
+ * Analyze rendered article HTML
+ * @param {string} html - Sanitized article HTML (markdown already rendered)
+ * @returns {Object} { readTime, contentStats } ready to store on the article
+ */
+const analyzeContent = (html = '') => {
+  const codeBlocks = html.match(/<pre[\s>][\s\S]*?<\/pre>/g) || [];
+  const codeWords = codeBlocks.reduce((total, block) => total + tokenize(toPlainText(block)).length, 0);
+
+  // Prose is everything outside code blocks, with markup stripped
+  const prose = toPlainText(html.replace(/<pre[\s>][\s\S]*?<\/pre>/g, ' '))
+    .replace(/&(?:amp|lt|gt|quot|#39);/g, ' ');
+  const words = tokenize(prose);
+  const imageCount = (html.match(/<img[\s>]/g) || []).length;
+  const language = detectLanguage(words);
+
+  const minutes = words.length / WORDS_PER_MINUTE +
+    codeWords / CODE_WORDS_PER_MINUTE +
+    imageSeconds(imageCount) / 60;
+
+  return {
+    readTime: Math.max(Math.ceil(minutes), 1),
+    contentStats: {
+      wordCount: words.length,
+      codeWordCount: codeWords,
+      imageCount,
+      codeBlockCount: codeBlocks.length,
+      readabilityScore: readabilityScore(prose, words, language),
+      language,
+      analyzedAt: new Date()
+    }
+  };
+};
+
+module.exports = {
+  analyzeContent,
+  detectLanguage
+};
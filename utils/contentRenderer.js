@@ -0,0 +1,123 @@
+// Article content rendering: markdown is rendered to HTML, every format is
+// sanitized against an allowlist, and headings get anchors for a table of contents.
+
+const MarkdownIt = require('markdown-it');
+const sanitizeHtml = require('sanitize-html');
+const slugify = require('slugify');
+
+const CONTENT_FORMATS = ['html', 'markdown'];
+
+// Heading levels listed in the table of contents
+const TOC_LEVELS = [2, 3, 4];
+
+const markdown = new MarkdownIt({
+  html: true, // Raw HTML in markdown is allowed, then sanitized like any other HTML
+  linkify: true,
+  typographer: true
+});
+
+const SANITIZE_OPTIONS = {
+  allowedTags: [
+    ...sanitizeHtml.defaults.allowedTags,
+    'img', 'figure', 'figcaption', 'picture', 'source', 'video', 'audio', 'iframe',
+    'del', 'ins', 'sup', 'sub', 'mark', 'details', 'summary'
+  ],
+  allowedAttributes: {
+    a: ['href', 'name', 'target', 'rel', 'title'],
+    img: ['src', 'srcset', 'alt', 'title', 'width', 'height', 'loading'],
+    source: ['src', 'srcset', 'type', 'media'],
+    video: ['src', 'poster', 'controls', 'width', 'height'],
+    audio: ['src', 'controls'],
+    iframe: ['src', 'width', 'height', 'title', 'allow', 'allowfullscreen', 'frameborder'],
+    code: ['class'],
+    pre: ['class'],
+    span: ['class'],
+    th: ['align', 'colspan', 'rowspan'],
+    td: ['align', 'colspan', 'rowspan'],
+    ol: ['start'],
+    h1: ['id'], h2: ['id'], h3: ['id'], h4: ['id'], h5: ['id'], h6: ['id']
+  },
+  allowedClasses: {
+    code: [/^language-[\w-]+$/],
+    pre: [/^language-[\w-]+$/],
+    span: [/^hljs-[\w-]+$/]
+  },
+  allowedSchemes: ['http', 'https', 'mailto'],
+  allowedSchemesByTag: { img: ['http', 'https', 'data'] },
+  allowedIframeHostnames: ['www.youtube.com', 'www.youtube-nocookie.com', 'player.vimeo.com'],
+  transformTags: {
+    // Links opening a new tab must not get access to window.opener
+    a: (tagName, attribs) => ({
+      tagName,
+      attribs: attribs.target === '_blank'
+        ? { ...attribs, rel: 'noopener noreferrer' }
+        : attribs
+    })
+  }
+};
+
+const sanitize = (html) => sanitizeHtml(html || '', SANITIZE_OPTIONS);
+
+const decodeEntities = (text) => text
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&#39;|&apos;/g, "'")
+  .replace(/&nbsp;/g, ' ')
+  .replace(/&amp;/g, '&');
+
+// Give every heading a unique id and collect the table of contents.
+// Runs on sanitizer output, which always emits lowercase, quoted, well-formed tags.
+const addHeadingAnchors = (html) => {
+  const toc = [];
+  const usedIds = new Set();
+
+  const anchored = html.replace(/<h([1-6])((?:\s+[^>]*)?)>([\s\S]*?)<\/h\1>/g, (match, level, attrs, inner) => {
+    const text = decodeEntities(inner.replace(/<[^>]*>/g, '')).replace(/\s+/g, ' ').trim();
+    const existingId = (attrs.match(/\sid="([^"]*)"/) || [])[1];
+    const baseId = existingId || slugify(text, { lower: true, strict: true }) || 'section';
+
+    let id = baseId;
+    for (let suffix = 2; usedIds.has(id); suffix++) {
+      id = `${baseId}-${suffix}`;
+    }
+    usedIds.add(id);
+
+    if (TOC_LEVELS.includes(Number(level)) && text) {
+      toc.push({ id, text, level: Number(level) });
+    }
+
+    const otherAttrs = attrs.replace(/\sid="[^"]*"/, '');
+    return `<h${level} id="${id}"${otherAttrs}>${inner}</h${level}>`;
+  });
+
+  return { html: anchored, toc };
+};
+
+/**
+ * Render article content for storage
+ * @param {string} content - Source content as submitted
+ * @param {string} format - 'html' or 'markdown'
+ * @returns {Object} { content, html, toc } where `content` is the source to store
+ *   (sanitized when it is HTML) and `html`/`toc` are the cached rendering
+ */
+const renderContent = (content = '', format = 'html') => {
+  if (format === 'markdown') {
+    return {
+      content,
+      ...addHeadingAnchors(sanitize(markdown.render(content)))
+    };
+  }
+
+  const sanitized = sanitize(content);
+  return {
+    content: sanitized,
+    ...addHeadingAnchors(sanitized)
+  };
+};
+
+module.exports = {
+  CONTENT_FORMATS,
+  renderContent,
+  sanitize
+};
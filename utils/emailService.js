@@ -1,4 +1,5 @@
 const nodemailer = require('nodemailer');
+const authConfig = require('../config/auth-config');
 
 class EmailService {
   constructor() {
@@ -135,6 +136,175 @@ class EmailService {
     return this.sendEmail(subscriber.email, subject, html);
   }
 
+  // Notify an author that their article moved through editorial review
+  async sendReviewStatusEmail(author, article, action, notes = '') {
+    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+    const escape = (text) => String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+
+    const outcomes = {
+      submitted: {
+        subject: `Submitted for review: ${article.title}`,
+        message: 'Your article was submitted for review. An editor will look at it shortly.'
+      },
+      approved: {
+        subject: `Approved: ${article.title}`,
+        message: article.status === 'scheduled'
+          ? `Your article was approved and is scheduled for ${new Date(article.scheduledFor).toUTCString()}.`
+          : 'Your article was approved and is now published.'
+      },
+      changes_requested: {
+        subject: `Changes requested: ${article.title}`,
+        message: 'An editor asked for changes to your article. It is back in your drafts; submit it again once updated.'
+      },
+      rejected: {
+        subject: `Not accepted: ${article.title}`,
+        message: 'An editor decided not to publish your article.'
+      }
+    };
+    const { subject, message } = outcomes[action];
+
+    const html = `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: #4F46E5; color: white; padding: 20px; text-align: center; }
+          .content { padding: 20px; background: #f9f9f9; }
+          .notes { padding: 15px; background: white; border-left: 4px solid #4F46E5; white-space: pre-wrap; }
+          .footer { text-align: center; padding: 20px; font-size: 12px; color: #666; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>${escape(article.title)}</h1>
+          </div>
+          <div class="content">
+            <p>Hi ${escape(author.username)},</p>
+            <p>${message}</p>
+            ${notes ? `<p><strong>Editor notes:</strong></p><div class="notes">${escape(notes)}</div>` : ''}
+            ${article.status === 'published'
+              ? `<p><a href="${frontendUrl}/article/${article.slug}" style="color: #4F46E5;">Read it live</a></p>`
+              : ''}
+          </div>
+          <div class="footer">
+            <p>&copy; 2024 Trending Blog. All rights reserved.</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+
+    return this.sendEmail(author.email, subject, html);
+  }
+
+  // Shared layout for account emails (password reset, verification, notices)
+  accountEmailHtml(title, paragraphs, action = null) {
+    const buttonHtml = action
+      ? `<p style="text-align: center;"><a href="${action.url}" class="button">${action.label}</a></p>
+            <p style="font-size: 12px; color: #666;">If the button does not work, paste this link into your browser:<br>${action.url}</p>`
+      : '';
+
+    return `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: #4F46E5; color: white; padding: 20px; text-align: center; }
+          .content { padding: 20px; background: #f9f9f9; }
+          .button { display: inline-block; padding: 12px 24px; background: #4F46E5; color: white; text-decoration: none; border-radius: 6px; }
+          .footer { text-align: center; padding: 20px; font-size: 12px; color: #666; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>${title}</h1>
+          </div>
+          <div class="content">
+            ${paragraphs.map(paragraph => `<p>${paragraph}</p>`).join('')}
+            ${buttonHtml}
+          </div>
+          <div class="footer">
+            <p>&copy; 2024 Trending Blog. All rights reserved.</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+  }
+
+  // Send a single-use password reset link
+  async sendPasswordResetEmail(user, token) {
+    const expiresInMinutes = authConfig.tokens.passwordResetMinutes;
+    const resetLink = `${process.env.FRONTEND_URL || 'http://localhost:3000'}${authConfig.pages.resetPassword}?token=${token}`;
+
+    const html = this.accountEmailHtml('Reset Your Password', [
+      'We received a request to reset the password for your account.',
+      `This link expires in ${expiresInMinutes} minutes and can only be used once. Resetting your password signs you out everywhere.`,
+      'If you did not ask for this, you can ignore this email; your password will not change.'
+    ], { url: resetLink, label: 'Reset password' });
+
+    return this.sendEmail(user.email, 'Reset your password', html);
+  }
+
+  // Send an email address verification link
+  async sendEmailVerification(user, token) {
+    const expiresInHours = authConfig.tokens.emailVerificationHours;
+    const verifyLink = `${process.env.FRONTEND_URL || 'http://localhost:3000'}${authConfig.pages.verifyEmail}?token=${token}`;
+
+    const html = this.accountEmailHtml('Verify Your Email', [
+      'Please confirm this email address to finish setting up your account. You can publish once it is verified.',
+      `This link expires in ${expiresInHours} hours.`
+    ], { url: verifyLink, label: 'Verify email' });
+
+    return this.sendEmail(user.email, 'Verify your email address', html);
+  }
+
+  // Send a link that lifts a lockout caused by repeated failed logins
+  async sendAccountUnlockEmail(user, token, lockedMinutes) {
+    const unlockLink = `${process.env.FRONTEND_URL || 'http://localhost:3000'}${authConfig.pages.unlockAccount}?token=${token}`;
+
+    const html = this.accountEmailHtml('Sign-in Temporarily Locked', [
+      `We locked sign-in to your account for ${lockedMinutes} minutes after several failed login attempts.`,
+      'If that was you, use the link below to unlock it now. If it was not, consider resetting your password.',
+      `This link expires in ${authConfig.tokens.accountUnlockMinutes} minutes.`
+    ], { url: unlockLink, label: 'Unlock my account' });
+
+    return this.sendEmail(user.email, 'Your account was temporarily locked', html);
+  }
+
+  // Code confirming a first two-factor enrollment during sign-in
+  async sendTwoFactorEnrollmentCode(user, code) {
+    const html = this.accountEmailHtml('Confirm Two-Factor Setup', [
+      'Your account requires two-factor authentication, and a sign-in is setting it up for the first time.',
+      `Enter this code to continue: <strong style="font-size: 20px; letter-spacing: 4px;">${code}</strong>`,
+      'If you did not just sign in, do not share this code. Someone knows your password: reset it now.'
+    ]);
+
+    return this.sendEmail(user.email, 'Your two-factor setup code', html);
+  }
+
+  // Tell an account owner someone tried to register with their email address
+  async sendAccountExistsEmail(user) {
+    const forgotLink = `${process.env.FRONTEND_URL || 'http://localhost:3000'}${authConfig.pages.forgotPassword}`;
+
+    const html = this.accountEmailHtml('You Already Have an Account', [
+      'Someone tried to create a new account with this email address, which is already registered.',
+      'If that was you, sign in instead, or reset your password if you have forgotten it. Otherwise you can ignore this email.'
+    ], { url: forgotLink, label: 'Reset password' });
+
+    return this.sendEmail(user.email, 'Registration attempt on your account', html);
+  }
+
   // Test email configuration
   async testEmailConfig() {
     try {
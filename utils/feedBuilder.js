@@ -0,0 +1,109 @@
+// Feed serializers: RSS 2.0, Atom 1.0 and JSON Feed 1.1
+//
+// Every builder takes the same normalized input:
+//   feed  - { title, description, link, feedUrl, language, updated }
+//   items - [{ id, title, url, summary, content, image, author: { name, url }, categories, publishedAt, updatedAt }]
+// `content` is only set when full content was requested.
+
+const escapeXml = (value) => String(value == null ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+// CDATA cannot contain its own terminator, so split it across sections
+const cdata = (value) => `<![CDATA[${String(value || '').replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+
+const toDate = (value) => (value ? new Date(value) : new Date());
+
+const buildRssFeed = (feed, items) => {
+  const entries = items.map(item => [
+    '    <item>',
+    `      <title>${escapeXml(item.title)}</title>`,
+    `      <link>${escapeXml(item.url)}</link>`,
+    `      <guid isPermaLink="false">${escapeXml(item.id)}</guid>`,
+    `      <pubDate>${toDate(item.publishedAt).toUTCString()}</pubDate>`,
+    item.author ? `      <dc:creator>${escapeXml(item.author.name)}</dc:creator>` : null,
+    ...(item.categories || []).map(category => `      <category>${escapeXml(category)}</category>`),
+    `      <description>${cdata(item.summary)}</description>`,
+    item.content ? `      <content:encoded>${cdata(item.content)}</content:encoded>` : null,
+    item.image ? `      <media:content url="${escapeXml(item.image)}" medium="image" />` : null,
+    '    </item>'
+  ].filter(Boolean).join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:media="http://search.yahoo.com/mrss/">',
+    '  <channel>',
+    `    <title>${escapeXml(feed.title)}</title>`,
+    `    <link>${escapeXml(feed.link)}</link>`,
+    `    <description>${escapeXml(feed.description)}</description>`,
+    `    <language>${escapeXml(feed.language)}</language>`,
+    `    <lastBuildDate>${toDate(feed.updated).toUTCString()}</lastBuildDate>`,
+    `    <atom:link href="${escapeXml(feed.feedUrl)}" rel="self" type="application/rss+xml" />`,
+    ...entries,
+    '  </channel>',
+    '</rss>'
+  ].join('\n');
+};
+
+const buildAtomFeed = (feed, items) => {
+  const entries = items.map(item => [
+    '  <entry>',
+    `    <title>${escapeXml(item.title)}</title>`,
+    `    <link rel="alternate" type="text/html" href="${escapeXml(item.url)}" />`,
+    `    <id>${escapeXml(item.id)}</id>`,
+    `    <published>${toDate(item.publishedAt).toISOString()}</published>`,
+    `    <updated>${toDate(item.updatedAt || item.publishedAt).toISOString()}</updated>`,
+    item.author
+      ? `    <author><name>${escapeXml(item.author.name)}</name>${item.author.url ? `<uri>${escapeXml(item.author.url)}</uri>` : ''}</author>`
+      : null,
+    ...(item.categories || []).map(category => `    <category term="${escapeXml(category)}" />`),
+    item.image ? `    <link rel="enclosure" href="${escapeXml(item.image)}" />` : null,
+    `    <summary type="html">${escapeXml(item.summary)}</summary>`,
+    item.content ? `    <content type="html">${escapeXml(item.content)}</content>` : null,
+    '  </entry>'
+  ].filter(Boolean).join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="${escapeXml(feed.language)}">`,
+    `  <title>${escapeXml(feed.title)}</title>`,
+    `  <subtitle>${escapeXml(feed.description)}</subtitle>`,
+    `  <link rel="alternate" type="text/html" href="${escapeXml(feed.link)}" />`,
+    `  <link rel="self" type="application/atom+xml" href="${escapeXml(feed.feedUrl)}" />`,
+    `  <id>${escapeXml(feed.feedUrl)}</id>`,
+    `  <updated>${toDate(feed.updated).toISOString()}</updated>`,
+    ...entries,
+    '</feed>'
+  ].join('\n');
+};
+
+const buildJsonFeed = (feed, items) => JSON.stringify({
+  version: 'https://jsonfeed.org/version/1.1',
+  title: feed.title,
+  description: feed.description,
+  home_page_url: feed.link,
+  feed_url: feed.feedUrl,
+  language: feed.language,
+  items: items.map(item => ({
+    id: item.id,
+    url: item.url,
+    title: item.title,
+    summary: item.summary,
+    ...(item.content ? { content_html: item.content } : { content_text: item.summary || '' }),
+    image: item.image || undefined,
+    date_published: toDate(item.publishedAt).toISOString(),
+    date_modified: toDate(item.updatedAt || item.publishedAt).toISOString(),
+    authors: item.author ? [{ name: item.author.name, url: item.author.url }] : undefined,
+    tags: item.categories && item.categories.length > 0 ? item.categories : undefined
+  }))
+});
+
+module.exports = {
+  escapeXml,
+  buildRssFeed,
+  buildAtomFeed,
+  buildJsonFeed
+};
@@ -0,0 +1,181 @@
+// utils/oauthProviders.js
+// OAuth2 / OpenID Connect sign-in providers. Each provider turns an authorization
+// code into a normalized profile:
+//   { provider, providerId, email, emailVerified, name, username, avatar }
+const crypto = require('crypto');
+const axios = require('axios');
+const oauthConfig = require('../config/oauth-config');
+
+const HTTP_TIMEOUT = 10000;
+
+const callbackUrl = (providerId) => `${oauthConfig.callbackBaseUrl}/api/auth/oauth/${providerId}/callback`;
+
+// PKCE verifier/challenge pair (RFC 7636, S256)
+const createPkcePair = () => {
+  const verifier = crypto.randomBytes(32).toString('base64url');
+  const challenge = crypto.createHash('sha256').update(verifier).digest('base64url');
+  return { verifier, challenge };
+};
+
+const providers = {
+  google: {
+    name: 'Google',
+    isEnabled: () => Boolean(oauthConfig.providers.google.clientId && oauthConfig.providers.google.clientSecret),
+
+    buildAuthorizationUrl({ state, codeChallenge }) {
+      const params = new URLSearchParams({
+        client_id: oauthConfig.providers.google.clientId,
+        redirect_uri: callbackUrl('google'),
+        response_type: 'code',
+        scope: 'openid email profile',
+        state,
+        code_challenge: codeChallenge,
+        code_challenge_method: 'S256',
+        prompt: 'select_account'
+      });
+      return `https://accounts.google.com/o/oauth2/v2/auth?${params.toString()}`;
+    },
+
+    async fetchProfile({ code, codeVerifier }) {
+      const { data: tokens } = await axios.post('https://oauth2.googleapis.com/token', new URLSearchParams({
+        code,
+        client_id: oauthConfig.providers.google.clientId,
+        client_secret: oauthConfig.providers.google.clientSecret,
+        redirect_uri: callbackUrl('google'),
+        grant_type: 'authorization_code',
+        code_verifier: codeVerifier
+      }).toString(), {
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        timeout: HTTP_TIMEOUT
+      });
+
+      const { data: info } = await axios.get('https://openidconnect.googleapis.com/v1/userinfo', {
+        headers: { Authorization: `Bearer ${tokens.access_token}` },
+        timeout: HTTP_TIMEOUT
+      });
+
+      return {
+        provider: 'google',
+        providerId: String(info.sub),
+        email: info.email ? info.email.toLowerCase() : null,
+        emailVerified: info.email_verified === true,
+        name: info.name || '',
+        username: info.email ? info.email.split('@')[0] : info.given_name,
+        avatar: info.picture || null
+      };
+    }
+  },
+
+  github: {
+    name: 'GitHub',
+    isEnabled: () => Boolean(oauthConfig.providers.github.clientId && oauthConfig.providers.github.clientSecret),
+
+    buildAuthorizationUrl({ state, codeChallenge }) {
+      const params = new URLSearchParams({
+        client_id: oauthConfig.providers.github.clientId,
+        redirect_uri: callbackUrl('github'),
+        scope: 'read:user user:email',
+        state,
+        code_challenge: codeChallenge,
+        code_challenge_method: 'S256',
+        allow_signup: 'false'
+      });
+      return `https://github.com/login/oauth/authorize?${params.toString()}`;
+    },
+
+    async fetchProfile({ code, codeVerifier }) {
+      const { data: tokens } = await axios.post('https://github.com/login/oauth/access_token', {
+        client_id: oauthConfig.providers.github.clientId,
+        client_secret: oauthConfig.providers.github.clientSecret,
+        code,
+        redirect_uri: callbackUrl('github'),
+        code_verifier: codeVerifier
+      }, {
+        headers: { Accept: 'application/json' },
+        timeout: HTTP_TIMEOUT
+      });
+
+      // GitHub reports a bad or reused code as a 200 with an error body
+      if (tokens.error || !tokens.access_token) {
+        throw new Error(`GitHub token exchange failed: ${tokens.error || 'no access token'}`);
+      }
+
+      const headers = {
+        Authorization: `Bearer ${tokens.access_token}`,
+        Accept: 'application/vnd.github+json',
+        'User-Agent': 'trending-blog-backend'
+      };
+      const [{ data: user }, { data: emails }] = await Promise.all([
+        axios.get('https://api.github.com/user', { headers, timeout: HTTP_TIMEOUT }),
+        axios.get('https://api.github.com/user/emails', { headers, timeout: HTTP_TIMEOUT })
+      ]);
+
+      // The public profile email may be unverified; use the primary verified address
+      const primary = emails.find(entry => entry.primary && entry.verified);
+
+      return {
+        provider: 'github',
+        providerId: String(user.id),
+        email: primary ? primary.email.toLowerCase() : null,
+        emailVerified: Boolean(primary),
+        name: user.name || user.login,
+        username: user.login,
+        avatar: user.avatar_url || null
+      };
+    }
+  },
+
+  // Skips the consent screen: the profile to sign in with is passed to the start
+  // URL (?email=&name=&id=&verified=) and comes back as the authorization code.
+  mock: {
+    name: 'Mock',
+    isEnabled: () => oauthConfig.providers.mock.enabled,
+
+    buildAuthorizationUrl({ state, query = {} }) {
+      const profile = {
+        id: String(query.id || (query.email ? String(query.email).toLowerCase() : 'mock-user')),
+        email: query.email ? String(query.email).toLowerCase() : null,
+        verified: query.verified !== 'false',
+        name: query.name ? String(query.name) : ''
+      };
+      const code = Buffer.from(JSON.stringify(profile)).toString('base64url');
+      const params = new URLSearchParams({ code, state });
+      return `${callbackUrl('mock')}?${params.toString()}`;
+    },
+
+    async fetchProfile({ code }) {
+      const profile = JSON.parse(Buffer.from(code, 'base64url').toString('utf8'));
+
+      return {
+        provider: 'mock',
+        providerId: profile.id,
+        email: profile.email,
+        emailVerified: Boolean(profile.email && profile.verified),
+        name: profile.name,
+        username: profile.name || (profile.email ? profile.email.split('@')[0] : 'mock'),
+        avatar: null
+      };
+    }
+  }
+};
+
+// Provider by id when it is configured, otherwise null
+const getProvider = (providerId) => {
+  const provider = Object.prototype.hasOwnProperty.call(providers, providerId) ? providers[providerId] : null;
+  return provider && provider.isEnabled() ? provider : null;
+};
+
+// Configured providers, for the sign-in buttons
+const listProviders = () => Object.entries(providers)
+  .filter(([, provider]) => provider.isEnabled())
+  .map(([id, provider]) => ({
+    id,
+    name: provider.name,
+    url: `/api/auth/oauth/${id}`
+  }));
+
+module.exports = {
+  getProvider,
+  listProviders,
+  createPkcePair
+};
@@ -0,0 +1,62 @@
+const Article = require('../models/Article');
+const mongoose = require('mongoose');
+const { calculateTrendingScore } = require('./trendingAlgorithm');
+const { requestSitemapRegeneration } = require('./sitemapGenerator');
+
+// Publish every scheduled article whose scheduledFor date has passed.
+// Each article is claimed with an atomic findOneAndUpdate on its current
+// status, so several server instances can run this job at the same time
+// without publishing the same article twice.
+const publishScheduledArticles = async () => {
+  try {
+    if (mongoose.connection.readyState !== 1) {
+      console.log('MongoDB not connected, skipping scheduled publishing');
+      return 0;
+    }
+
+    const publishedArticles = [];
+    let article;
+
+    do {
+      const now = new Date();
+
+      article = await Article.findOneAndUpdate(
+        {
+          status: 'scheduled',
+          scheduledFor: { $lte: now }
+        },
+        {
+          $set: {
+            status: 'published',
+            publishedAt: now
+          }
+        },
+        { new: true, sort: { scheduledFor: 1 } }
+      );
+
+      if (!article) continue;
+
+      await Article.updateOne(
+        { _id: article._id },
+        { $set: { trendingScore: calculateTrendingScore(article) } }
+      );
+
+      publishedArticles.push(article);
+      console.log(`📰 Published scheduled article: "${article.title}"`);
+    } while (article);
+
+    if (publishedArticles.length > 0) {
+      requestSitemapRegeneration();
+      await Article.refreshArticlesWritten(publishedArticles);
+    }
+
+    return publishedArticles.length;
+  } catch (error) {
+    console.error('❌ Error publishing scheduled articles:', error);
+    return 0;
+  }
+};
+
+module.exports = {
+  publishScheduledArticles
+};
@@ -0,0 +1,79 @@
+// Helpers for building highlighted snippets from full-text search results
+
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Strip HTML tags and collapse whitespace
+const toPlainText = (html = '') => html
+  .replace(/<[^>]*>/g, ' ')
+  .replace(/&nbsp;/g, ' ')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+// Split a MongoDB $text search string into the terms worth highlighting,
+// ignoring negated terms ("-word") and keeping quoted phrases together
+const extractSearchTerms = (query = '') => {
+  const terms = [];
+  const phrasePattern = /"([^"]+)"/g;
+  let match;
+
+  while ((match = phrasePattern.exec(query)) !== null) {
+    terms.push(match[1].trim());
+  }
+
+  query
+    .replace(phrasePattern, ' ')
+    .split(/\s+/)
+    .filter(word => word && !word.startsWith('-'))
+    .forEach(word => terms.push(word));
+
+  return [...new Set(terms.filter(Boolean))];
+};
+
+const buildTermPattern = (terms) => {
+  if (!terms.length) return null;
+  return new RegExp(`(${terms.map(escapeRegExp).join('|')})`, 'gi');
+};
+
+// Escape text and wrap every matching term in <mark>
+const highlight = (text = '', terms = []) => {
+  const escaped = escapeHtml(text);
+  const pattern = buildTermPattern(terms.map(escapeHtml));
+  if (!pattern) return escaped;
+
+  return escaped.replace(pattern, '<mark>$1</mark>');
+};
+
+// Build a highlighted snippet centred on the first matching term
+const buildSnippet = (text = '', terms = [], length = 200) => {
+  const plain = toPlainText(text);
+  if (!plain) return '';
+
+  const pattern = buildTermPattern(terms);
+  const matchIndex = pattern ? plain.search(pattern) : -1;
+
+  let start = 0;
+  if (matchIndex > length / 2) {
+    start = matchIndex - Math.floor(length / 2);
+    // Avoid cutting a word in half
+    const nextSpace = plain.indexOf(' ', start);
+    if (nextSpace !== -1 && nextSpace < matchIndex) start = nextSpace + 1;
+  }
+
+  const end = Math.min(plain.length, start + length);
+  const snippet = plain.substring(start, end);
+
+  return `${start > 0 ? '…' : ''}${highlight(snippet, terms)}${end < plain.length ? '…' : ''}`;
+};
+
+module.exports = {
+  extractSearchTerms,
+  highlight,
+  buildSnippet,
+  toPlainText
+};
@@ -0,0 +1,159 @@
+// Builds the complete <head> payload for an article page: title, description,
+// canonical URL, hreflang alternates, Open Graph and Twitter tags, and schema.org JSON-LD.
+
+const siteConfig = require('../config/site-config');
+const { buildArticleUrl } = require('./shareLinks');
+const { toPlainText } = require('./searchHighlighter');
+
+const truncate = (text, length) => {
+  if (text.length <= length) return text;
+  return `${text.substring(0, length - 1).replace(/\s+\S*$/, '')}…`;
+};
+
+// Warn when a value is longer than search engines display
+const checkLength = (warnings, field, value, max) => {
+  if (value && value.length > max) {
+    warnings.push({
+      field,
+      length: value.length,
+      max,
+      message: `${field} is ${value.length} characters; keep it under ${max} to avoid truncation`
+    });
+  }
+};
+
+/**
+ * Build hreflang alternates for the published versions of an article
+ * @param {Object[]} versions - The article and its published translations, each with `slug` and `locale`
+ * @returns {Object[]} [{ hreflang, href }] including x-default, or an empty list without translations
+ */
+const buildHreflangAlternates = (versions) => {
+  if (versions.length < 2) return [];
+
+  const alternates = versions.map(version => ({
+    hreflang: version.locale || siteConfig.language,
+    href: buildArticleUrl(version)
+  }));
+
+  // Readers whose language has no version land on the default-language one
+  const fallback = alternates.find(alternate => alternate.hreflang === siteConfig.language);
+  if (fallback) {
+    alternates.push({ hreflang: 'x-default', href: fallback.href });
+  }
+
+  return alternates;
+};
+
+/**
+ * Build the SEO head payload for a published article
+ * @param {Object} article - Article with `author` populated (username, bio, avatar)
+ * @param {Object[]} categoryTrail - Categories from the top-level ancestor down to the article's category
+ * @param {Object[]} translations - Published translations of the article, each with `slug` and `locale`
+ * @returns {Object} { title, description, canonicalUrl, alternates, openGraph, twitter, jsonLd, warnings }
+ */
+const buildArticleSeo = (article, categoryTrail = [], translations = []) => {
+  const warnings = [];
+  const canonicalUrl = buildArticleUrl(article);
+  const locale = article.locale || siteConfig.language;
+
+  // Meta fields fall back to the title and excerpt (or the opening of the content)
+  const title = (article.metaTitle || '').trim() || article.title;
+  const description = (article.metaDescription || '').trim() ||
+    (article.excerpt || '').trim() ||
+    truncate(toPlainText(article.content || ''), siteConfig.seo.descriptionMaxLength);
+
+  checkLength(warnings, 'title', title, siteConfig.seo.titleMaxLength);
+  checkLength(warnings, 'description', description, siteConfig.seo.descriptionMaxLength);
+
+  const image = article.featuredImage || siteConfig.seo.defaultImage || null;
+  const author = article.author || null;
+  const authorUrl = author ? `${siteConfig.url}/author/${author.username}` : null;
+  const category = categoryTrail[categoryTrail.length - 1] || null;
+  const publishedTime = article.publishedAt ? new Date(article.publishedAt).toISOString() : null;
+  const modifiedTime = article.updatedAt ? new Date(article.updatedAt).toISOString() : publishedTime;
+
+  const openGraph = {
+    'og:type': 'article',
+    'og:site_name': siteConfig.name,
+    'og:locale': locale,
+    'og:locale:alternate': translations.map(translation => translation.locale),
+    'og:url': canonicalUrl,
+    'og:title': title,
+    'og:description': description,
+    'og:image': image,
+    'article:published_time': publishedTime,
+    'article:modified_time': modifiedTime,
+    'article:author': authorUrl,
+    'article:section': category ? category.name : article.category,
+    'article:tag': article.tags || []
+  };
+
+  const twitter = {
+    'twitter:card': image ? 'summary_large_image' : 'summary',
+    'twitter:site': siteConfig.seo.twitterSite,
+    'twitter:title': title,
+    'twitter:description': description,
+    'twitter:image': image,
+    'twitter:label1': article.readTime ? 'Reading time' : null,
+    'twitter:data1': article.readTime ? `${article.readTime} min read` : null
+  };
+
+  const articleLd = {
+    '@context': 'https://schema.org',
+    '@type': 'Article',
+    mainEntityOfPage: { '@type': 'WebPage', '@id': canonicalUrl },
+    headline: truncate(article.title, 110),
+    inLanguage: locale,
+    description,
+    image: image ? [image] : undefined,
+    datePublished: publishedTime || undefined,
+    dateModified: modifiedTime || undefined,
+    author: author
+      ? { '@type': 'Person', name: author.username, url: authorUrl, image: author.avatar || undefined }
+      : undefined,
+    publisher: {
+      '@type': 'Organization',
+      name: siteConfig.name,
+      url: siteConfig.url,
+      logo: siteConfig.seo.logoUrl ? { '@type': 'ImageObject', url: siteConfig.seo.logoUrl } : undefined
+    },
+    articleSection: category ? category.name : article.category,
+    keywords: article.tags && article.tags.length > 0 ? article.tags.join(', ') : undefined,
+    timeRequired: article.readTime ? `PT${article.readTime}M` : undefined
+  };
+
+  // Home > category ancestors > category > article
+  const crumbs = [
+    { name: siteConfig.name, url: siteConfig.url },
+    ...categoryTrail.map(entry => ({ name: entry.name, url: `${siteConfig.url}/category/${entry.slug}` })),
+    { name: article.title, url: canonicalUrl }
+  ];
+
+  const breadcrumbLd = {
+    '@context': 'https://schema.org',
+    '@type': 'BreadcrumbList',
+    itemListElement: crumbs.map((crumb, index) => ({
+      '@type': 'ListItem',
+      position: index + 1,
+      name: crumb.name,
+      item: crumb.url
+    }))
+  };
+
+  return {
+    title,
+    description,
+    canonicalUrl,
+    alternates: buildHreflangAlternates([article, ...translations]),
+    openGraph,
+    twitter,
+    // Round-trip through JSON to drop undefined properties
+    jsonLd: JSON.parse(JSON.stringify([articleLd, breadcrumbLd])),
+    warnings
+  };
+};
+
+module.exports = {
+  buildArticleSeo,
+  buildHreflangAlternates
+};
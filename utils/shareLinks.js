@@ -0,0 +1,59 @@
+// Share link helpers: canonical article URLs tagged with UTM parameters that
+// extractUTMParameters/determineSource in middleware/tracking.js attribute
+// back to the network on the return visit.
+
+const SHARE_CAMPAIGN = 'article_share';
+
+// Supported networks, the UTM medium they report and their share intent URL
+const SHARE_NETWORKS = {
+  facebook: {
+    medium: 'social',
+    intent: (url) => `https://www.facebook.com/sharer/sharer.php?u=${encodeURIComponent(url)}`
+  },
+  twitter: {
+    medium: 'social',
+    intent: (url, title) => `https://twitter.com/intent/tweet?url=${encodeURIComponent(url)}&text=${encodeURIComponent(title)}`
+  },
+  linkedin: {
+    medium: 'social',
+    intent: (url) => `https://www.linkedin.com/sharing/share-offsite/?url=${encodeURIComponent(url)}`
+  },
+  reddit: {
+    medium: 'social',
+    intent: (url, title) => `https://www.reddit.com/submit?url=${encodeURIComponent(url)}&title=${encodeURIComponent(title)}`
+  },
+  whatsapp: {
+    medium: 'social',
+    intent: (url, title) => `https://wa.me/?text=${encodeURIComponent(`${title} ${url}`)}`
+  },
+  email: {
+    medium: 'email',
+    intent: (url, title) => `mailto:?subject=${encodeURIComponent(title)}&body=${encodeURIComponent(url)}`
+  }
+};
+
+const getFrontendUrl = () => (process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/+$/, '');
+
+// Canonical public URL of an article
+const buildArticleUrl = (article) => `${getFrontendUrl()}/article/${article.slug}`;
+
+// Canonical article URL carrying the UTM parameters for a network
+const buildShareUrl = (article, network) => {
+  const url = new URL(buildArticleUrl(article));
+  url.searchParams.set('utm_source', network);
+  url.searchParams.set('utm_medium', SHARE_NETWORKS[network].medium);
+  url.searchParams.set('utm_campaign', SHARE_CAMPAIGN);
+  url.searchParams.set('utm_content', article._id.toString());
+  return url.toString();
+};
+
+// Link that opens the network's own share dialog
+const buildShareIntentUrl = (network, shareUrl, title = '') => SHARE_NETWORKS[network].intent(shareUrl, title);
+
+module.exports = {
+  SHARE_CAMPAIGN,
+  SHARE_NETWORKS,
+  buildArticleUrl,
+  buildShareUrl,
+  buildShareIntentUrl
+};
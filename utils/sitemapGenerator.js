@@ -0,0 +1,252 @@
+// Sitemap generation: article, category, tag and author sitemaps plus a Google News sitemap.
+//
+// Sitemaps are generated once and kept in memory. Article, category and tag changes
+// that affect the published set call requestSitemapRegeneration(), which batches
+// bursts of changes into a single rebuild. The cache is local to each instance, so
+// it is also rebuilt on a schedule and whenever it is older than maxAgeMinutes.
+
+const Article = require('../models/Article');
+const Category = require('../models/Category');
+const Tag = require('../models/Tag');
+const siteConfig = require('../config/site-config');
+const { buildArticleUrl } = require('./shareLinks');
+const { escapeXml } = require('./feedBuilder');
+const { buildHreflangAlternates } = require('./seoMetadata');
+
+let cache = null;
+let generating = null;
+let regenerateTimer = null;
+
+const toLastmod = (date) => (date ? new Date(date).toISOString() : undefined);
+
+// Newest of a list of dates, or null when none are set
+const latest = (dates) => dates
+  .filter(Boolean)
+  .map(date => new Date(date))
+  .reduce((max, date) => (!max || date > max ? date : max), null);
+
+const buildUrlset = (urls) => [
+  '<?xml version="1.0" encoding="UTF-8"?>',
+  '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:xhtml="http://www.w3.org/1999/xhtml">',
+  ...urls.map(url => [
+    '  <url>',
+    `    <loc>${escapeXml(url.loc)}</loc>`,
+    url.lastmod ? `    <lastmod>${toLastmod(url.lastmod)}</lastmod>` : null,
+    ...(url.alternates || []).map(alternate =>
+      `    <xhtml:link rel="alternate" hreflang="${escapeXml(alternate.hreflang)}" href="${escapeXml(alternate.href)}"/>`
+    ),
+    '  </url>'
+  ].filter(Boolean).join('\n')),
+  '</urlset>'
+].join('\n');
+
+const buildNewsUrlset = (articles) => [
+  '<?xml version="1.0" encoding="UTF-8"?>',
+  '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:news="http://www.google.com/schemas/sitemap-news/0.9">',
+  ...articles.map(article => [
+    '  <url>',
+    `    <loc>${escapeXml(buildArticleUrl(article))}</loc>`,
+    '    <news:news>',
+    '      <news:publication>',
+    `        <news:name>${escapeXml(siteConfig.name)}</news:name>`,
+    `        <news:language>${escapeXml(article.locale || siteConfig.language)}</news:language>`,
+    '      </news:publication>',
+    `      <news:publication_date>${toLastmod(article.publishedAt)}</news:publication_date>`,
+    `      <news:title>${escapeXml(article.title)}</news:title>`,
+    '    </news:news>',
+    '  </url>'
+  ].join('\n')),
+  '</urlset>'
+].join('\n');
+
+// Split a URL list into numbered files of at most maxUrlsPerFile entries
+const addChunkedSitemaps = (files, type, urls) => {
+  const { maxUrlsPerFile } = siteConfig.sitemaps;
+  const pageCount = Math.max(1, Math.ceil(urls.length / maxUrlsPerFile));
+
+  for (let page = 1; page <= pageCount; page++) {
+    const chunk = urls.slice((page - 1) * maxUrlsPerFile, page * maxUrlsPerFile);
+    files.set(`sitemap-${type}-${page}.xml`, {
+      xml: buildUrlset(chunk),
+      lastmod: latest(chunk.map(url => url.lastmod)),
+      urlCount: chunk.length
+    });
+  }
+};
+
+const getArticleUrls = async () => {
+  const articles = await Article.find({ status: 'published' })
+    .select('slug locale translationGroup updatedAt')
+    .sort({ publishedAt: -1 })
+    .lean();
+
+  // Every published version of a translated article lists all versions, itself included
+  const groups = new Map();
+  articles.forEach(article => {
+    if (!article.translationGroup) return;
+    const key = article.translationGroup.toString();
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(article);
+  });
+
+  return articles.map(article => ({
+    loc: buildArticleUrl(article),
+    lastmod: article.updatedAt,
+    alternates: article.translationGroup
+      ? buildHreflangAlternates(groups.get(article.translationGroup.toString()))
+      : []
+  }));
+};
+
+const getCategoryUrls = async () => {
+  const [categories, activity] = await Promise.all([
+    Category.find().select('slug updatedAt').sort({ sortOrder: 1, name: 1 }).lean(),
+    Article.aggregate([
+      { $match: { status: 'published' } },
+      { $group: { _id: '$category', lastmod: { $max: '$updatedAt' } } }
+    ])
+  ]);
+
+  const lastArticleChange = new Map(activity.map(entry => [entry._id, entry.lastmod]));
+
+  return categories.map(category => ({
+    loc: `${siteConfig.url}/category/${category.slug}`,
+    lastmod: latest([category.updatedAt, lastArticleChange.get(category.slug)])
+  }));
+};
+
+const getTagUrls = async () => {
+  const [tags, usage] = await Promise.all([
+    Tag.find().select('name slug synonyms updatedAt').lean(),
+    Article.aggregate([
+      { $match: { status: 'published' } },
+      { $unwind: '$tags' },
+      { $group: { _id: { $toLower: { $trim: { input: '$tags' } } }, lastmod: { $max: '$updatedAt' } } }
+    ])
+  ]);
+
+  // Registered tags absorb their synonyms; other tags in use get their own page
+  const bySlug = new Map();
+  const registeredVariants = new Map();
+
+  tags.forEach(tag => {
+    bySlug.set(tag.slug, { loc: `${siteConfig.url}/tag/${tag.slug}`, lastmod: tag.updatedAt });
+    [tag.name, ...tag.synonyms].forEach(variant => registeredVariants.set(Tag.normalize(variant), tag.slug));
+  });
+
+  usage.forEach(entry => {
+    const slug = registeredVariants.get(entry._id) || Tag.toSlug(entry._id);
+    if (!slug) return;
+
+    const existing = bySlug.get(slug);
+    bySlug.set(slug, {
+      loc: `${siteConfig.url}/tag/${slug}`,
+      lastmod: latest([existing && existing.lastmod, entry.lastmod])
+    });
+  });
+
+  return [...bySlug.values()];
+};
+
+const getAuthorUrls = async () => {
+  const authors = await Article.aggregate([
+    { $match: { status: 'published' } },
+    { $group: { _id: '$author', lastmod: { $max: '$updatedAt' } } },
+    {
+      $lookup: {
+        from: 'users',
+        localField: '_id',
+        foreignField: '_id',
+        as: 'user'
+      }
+    },
+    { $unwind: '$user' },
+    { $match: { 'user.isActive': true } },
+    { $project: { username: '$user.username', lastmod: 1 } },
+    { $sort: { username: 1 } }
+  ]);
+
+  return authors.map(author => ({
+    loc: `${siteConfig.url}/author/${author.username}`,
+    lastmod: author.lastmod
+  }));
+};
+
+const getNewsArticles = async () => {
+  const since = new Date(Date.now() - siteConfig.sitemaps.newsWindowHours * 60 * 60 * 1000);
+
+  return Article.find({ status: 'published', publishedAt: { $gte: since } })
+    .select('title slug locale publishedAt')
+    .sort({ publishedAt: -1 })
+    .limit(siteConfig.sitemaps.maxNewsUrls)
+    .lean();
+};
+
+// Rebuild every sitemap file and swap the cache in one step
+const generateSitemaps = async () => {
+  if (generating) return generating;
+
+  generating = (async () => {
+    const startTime = Date.now();
+    const [articleUrls, categoryUrls, tagUrls, authorUrls, newsArticles] = await Promise.all([
+      getArticleUrls(),
+      getCategoryUrls(),
+      getTagUrls(),
+      getAuthorUrls(),
+      getNewsArticles()
+    ]);
+
+    const files = new Map();
+    addChunkedSitemaps(files, 'articles', articleUrls);
+    addChunkedSitemaps(files, 'categories', categoryUrls);
+    addChunkedSitemaps(files, 'tags', tagUrls);
+    addChunkedSitemaps(files, 'authors', authorUrls);
+    files.set('sitemap-news.xml', {
+      xml: buildNewsUrlset(newsArticles),
+      lastmod: latest(newsArticles.map(article => article.publishedAt)),
+      urlCount: newsArticles.length
+    });
+
+    cache = { files, generatedAt: new Date() };
+    console.log(`🗺️ Sitemaps generated: ${articleUrls.length} articles, ${categoryUrls.length} categories, ${tagUrls.length} tags, ${authorUrls.length} authors, ${newsArticles.length} news (${Date.now() - startTime}ms)`);
+    return cache;
+  })();
+
+  try {
+    return await generating;
+  } finally {
+    generating = null;
+  }
+};
+
+const isStale = () => !cache ||
+  Date.now() - cache.generatedAt.getTime() > siteConfig.sitemaps.maxAgeMinutes * 60 * 1000;
+
+// Current sitemaps, generating them on first use and once they are too old
+const getSitemaps = async () => (isStale() ? generateSitemaps() : cache);
+
+// Schedule a rebuild after the published set changed; repeated calls within
+// the delay collapse into one rebuild. Never throws into the caller.
+const requestSitemapRegeneration = () => {
+  if (regenerateTimer) return;
+
+  regenerateTimer = setTimeout(async () => {
+    regenerateTimer = null;
+    try {
+      // A rebuild already in flight may have read the data before this change
+      if (generating) await generating;
+      await generateSitemaps();
+    } catch (error) {
+      console.error('❌ Sitemap regeneration error:', error);
+    }
+  }, siteConfig.sitemaps.regenerateDelayMs);
+
+  // Do not keep the process alive just for a pending rebuild
+  if (regenerateTimer.unref) regenerateTimer.unref();
+};
+
+module.exports = {
+  generateSitemaps,
+  getSitemaps,
+  requestSitemapRegeneration
+};
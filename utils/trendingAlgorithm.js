@@ -19,15 +19,20 @@ const calculateTrendingScore = (article) => {
   // Use default values if fields are missing
   const views = article.views || 0;
   const likesCount = article.likesCount || 0;
-  const comments = article.comments || [];
+  // Only approved, non-deleted comments count as engagement
+  const comments = (article.comments || []).filter(comment =>
+    (comment.status || 'approved') === 'approved' && !comment.isDeleted
+  );
   const shares = article.shares || 0;
+  const bookmarks = article.bookmarks || 0;
   const readCompletionRate = article.readCompletionRate || 0;
 
   const engagementScore = (
     (views * 0.35) +
     (likesCount * 0.25) +
     (comments.length * 0.20) +
-    (shares * 0.20)
+    (shares * 0.20) +
+    (bookmarks * 0.25)
   );
 
   // Read completion rate bonus
@@ -101,6 +106,7 @@ const updateAllTrendingScores = async () => {
       console.log(`  ❤️  Likes: ${article.likesCount || 0}`);
       console.log(`  💬 Comments: ${article.comments?.length || 0}`);
       console.log(`  🔄 Shares: ${article.shares || 0}`);
+      console.log(`  🔖 Bookmarks: ${article.bookmarks || 0}`);
     });
     
   } catch (error) {